@@ -1,785 +1,4095 @@
+// ====================== 接口配置 ======================
+/**
+ * 默认接口地址（未做任何配置时使用，兼容本地开发）
+ */
+const DEFAULT_API_BASE_URL = 'http://localhost:8081';
+
+/**
+ * 接口路径定义（统一维护，:xxx 为路径参数占位符）
+ */
+const API_ENDPOINTS = {
+    // 用户
+    userCurrent: '/user/current',
+    userLogin: '/user/login',
+    userLogout: '/user/logout',
+    userRegister: '/user/register',
+    userProfile: '/user/:id',
+    // 文化故事
+    storyList: '/culture-story',
+    storyPage: '/culture-story/page',
+    storyDetail: '/culture-story/:id',
+    storyDaily: '/culture-story/daily/:type',
+    storyPersonal: '/culture-story/personal',
+    // 打卡
+    checkInList: '/check-in',
+    checkInPage: '/check-in/page',
+    checkInDetail: '/check-in/:id',
+    // 数字藏品
+    collectionList: '/culture-collection',
+    collectionPage: '/culture-collection/page',
+    collectionDetail: '/culture-collection/:id',
+    // 藏品订单
+    orderCreate: '/collection-order',
+    orderMy: '/collection-order/my',
+    // 个人足迹
+    footprintList: '/user-check-in',
+    footprintMy: '/user-check-in/my',
+    footprintDetail: '/user-check-in/:id',
+    // 点赞、收藏、评论（targetType: story | collection）
+    interactionState: '/interaction/:targetType/:targetId',
+    interactionLike: '/interaction/:targetType/:targetId/like',
+    interactionFavorite: '/interaction/:targetType/:targetId/favorite',
+    favoriteMy: '/favorite/my',
+    commentList: '/comment/:targetType/:targetId',
+    commentDetail: '/comment/:id',
+    // 搜索
+    search: '/search',
+    searchHot: '/search/hot',
+    // 文件上传
+    fileUpload: '/file/upload'
+};
+
+/**
+ * 解析接口基础地址，优先级：
+ * 1. URL参数 ?apiBase=xxx（会记入sessionStorage，本标签页内跨页面保持，?apiBase= 置空可清除）
+ * 2. 全局配置对象 window.APP_CONFIG.apiBaseUrl（页面在api.js之前定义即可）
+ * 3. <meta name="api-base-url" content="xxx">
+ * 4. 默认值 DEFAULT_API_BASE_URL
+ * @returns {String} 去掉末尾斜杠的基础地址
+ */
+function resolveApiBaseUrl() {
+    let baseUrl = '';
+    try {
+        const params = new URLSearchParams(window.location.search);
+        if (params.has('apiBase')) {
+            const override = params.get('apiBase').trim();
+            if (override) {
+                sessionStorage.setItem('apiBaseUrl', override);
+            } else {
+                sessionStorage.removeItem('apiBaseUrl');
+            }
+        }
+        baseUrl = sessionStorage.getItem('apiBaseUrl') || '';
+    } catch (e) {
+        // sessionStorage不可用（隐私模式等），忽略URL覆盖
+    }
+
+    if (!baseUrl && window.APP_CONFIG && window.APP_CONFIG.apiBaseUrl) {
+        baseUrl = window.APP_CONFIG.apiBaseUrl;
+    }
+    if (!baseUrl) {
+        const meta = document.querySelector('meta[name="api-base-url"]');
+        baseUrl = meta ? meta.getAttribute('content') : '';
+    }
+    // 基础地址也可配置为相对路径（如 /api，由网关转发）
+    return (baseUrl || DEFAULT_API_BASE_URL).replace(/\/+$/, '');
+}
+
+const API_CONFIG = {
+    baseUrl: resolveApiBaseUrl(),
+    timeout: (window.APP_CONFIG && window.APP_CONFIG.timeout) || 15000, // 单次请求超时（毫秒）
+    retries: 2, // GET等幂等请求失败后的重试次数
+    retryDelay: 500, // 重试基础间隔（毫秒），按指数退避翻倍
+    uploadTimeout: (window.APP_CONFIG && window.APP_CONFIG.uploadTimeout) || 120000, // 文件上传超时（毫秒）
+    cacheEnabled: !(window.APP_CONFIG && window.APP_CONFIG.cache === false) // 是否启用读接口缓存（见CACHE_POLICIES）
+};
+
+/**
+ * 运行时修改接口基础地址（如调试面板切换环境）
+ * @param {String} baseUrl - 新的基础地址
+ */
+function setApiBaseUrl(baseUrl) {
+    API_CONFIG.baseUrl = String(baseUrl || DEFAULT_API_BASE_URL).replace(/\/+$/, '');
+}
+
+/**
+ * 根据接口名拼接完整地址
+ * @param {String} name - API_ENDPOINTS中的接口名
+ * @param {Object} pathParams - 路径参数，如 { id: 1 }
+ * @returns {String} 完整请求地址
+ */
+function apiUrl(name, pathParams = {}) {
+    const path = API_ENDPOINTS[name];
+    if (!path) throw new Error(`未定义的接口：${name}`);
+    const resolvedPath = path.replace(/:(\w+)/g, (match, key) => {
+        if (pathParams[key] === undefined || pathParams[key] === null) {
+            throw new Error(`接口 ${name} 缺少路径参数：${key}`);
+        }
+        return encodeURIComponent(pathParams[key]);
+    });
+    return `${API_CONFIG.baseUrl}${resolvedPath}`;
+}
+
+// ====================== 请求传输层 ======================
+/**
+ * 统一HTTP传输（所有接口请求的唯一出口，负责拼参数、带cookie、解析JSON）
+ * @param {String} url - 完整请求地址（由apiUrl生成）
+ * @param {Object} options - { method, data, headers, signal, onUploadProgress }，data为FormData时按multipart发送
+ *   onUploadProgress: 上传进度回调，参数为 (已上传字节, 总字节)；传入时改用XMLHttpRequest发送（fetch无法获取上传进度）
+ * @returns {Promise<{status: Number, ok: Boolean, result: Object}>} 原始响应状态与JSON结果
+ */
+async function sendHttp(url, options = {}) {
+    const method = (options.method || 'GET').toUpperCase();
+    const data = options.data || {};
+    const isFormData = typeof FormData !== 'undefined' && data instanceof FormData;
+
+    const fetchOptions = {
+        method: method,
+        headers: Object.assign({}, options.headers),
+        credentials: 'include', // 携带cookie，处理登录态
+        signal: options.signal
+    };
+    // FormData交给浏览器自动生成带boundary的Content-Type
+    if (!isFormData) {
+        fetchOptions.headers['Content-Type'] = 'application/json;charset=utf-8';
+    }
+
+    let requestUrl = url;
+    // GET请求拼参数，非GET请求传body
+    if (method === 'GET') {
+        if (!isFormData && Object.keys(data).length > 0) {
+            const params = new URLSearchParams(data);
+            requestUrl += (requestUrl.includes('?') ? '&' : '?') + params.toString();
+        }
+    } else {
+        fetchOptions.body = isFormData ? data : JSON.stringify(data);
+    }
+
+    if (typeof options.onUploadProgress === 'function') {
+        return await sendXhr(requestUrl, fetchOptions, options.onUploadProgress);
+    }
+
+    const response = await fetch(requestUrl, fetchOptions);
+    let result = null;
+    try {
+        result = await response.json();
+    } catch (e) {
+        // 非JSON响应（如网关错误页），交由调用方根据status处理
+    }
+    return { status: response.status, ok: response.ok, result };
+}
+
+/**
+ * 带上传进度的发送（返回格式与fetch分支一致；中止时按fetch的AbortError抛出）
+ */
+function sendXhr(url, fetchOptions, onUploadProgress) {
+    return new Promise((resolve, reject) => {
+        const xhr = new XMLHttpRequest();
+        const signal = fetchOptions.signal;
+        const abort = () => xhr.abort();
+        xhr.open(fetchOptions.method, url);
+        xhr.withCredentials = true;
+        Object.keys(fetchOptions.headers).forEach(key => xhr.setRequestHeader(key, fetchOptions.headers[key]));
+        xhr.upload.onprogress = e => {
+            if (e.lengthComputable) onUploadProgress(e.loaded, e.total);
+        };
+        xhr.onload = () => {
+            signal?.removeEventListener('abort', abort);
+            let result = null;
+            try {
+                result = JSON.parse(xhr.responseText);
+            } catch (e) {
+                // 非JSON响应，交由调用方根据status处理
+            }
+            resolve({ status: xhr.status, ok: xhr.status >= 200 && xhr.status < 300, result });
+        };
+        xhr.onerror = () => {
+            signal?.removeEventListener('abort', abort);
+            reject(new TypeError('Network request failed'));
+        };
+        xhr.onabort = () => {
+            reject(new DOMException('The operation was aborted.', 'AbortError'));
+        };
+        if (signal) {
+            if (signal.aborted) {
+                xhr.abort();
+                return;
+            }
+            signal.addEventListener('abort', abort, { once: true });
+        }
+        xhr.send(fetchOptions.body);
+    });
+}
+
+/**
+ * 判断后端返回码是否成功（兼容字符串/数字200）
+ */
+function isSuccessCode(code) {
+    return code === 200 || code === "200";
+}
+
+// ====================== 错误模型 ======================
+/**
+ * 接口错误基类（request统一抛出该类及其子类，调用方可用instanceof或type区分）
+ * type取值：network 网络异常 / timeout 超时 / canceled 已取消 / http HTTP状态错误 / business 业务错误 / auth 未登录 / validation 参数校验失败
+ */
+class ApiError extends Error {
+    constructor(message, { type = 'unknown', status = 0, code = null, data = null, url = '', method = '' } = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.type = type;
+        this.status = status; // HTTP状态码（网络异常时为0）
+        this.code = code; // 后端业务码
+        this.data = data; // 后端返回的data字段
+        this.url = url;
+        this.method = method;
+        this.handled = false; // 是否已由错误处理器提示过（页面catch中据此避免重复提示）
+    }
+}
+
+class NetworkError extends ApiError {
+    constructor(message = '网络异常，请检查网络/后端', detail = {}) {
+        super(message, Object.assign({}, detail, { type: 'network' }));
+        this.name = 'NetworkError';
+    }
+}
+
+class TimeoutError extends ApiError {
+    constructor(timeout, detail = {}) {
+        super(`请求超时（${Math.ceil(timeout / 1000)}秒），请稍后重试`, Object.assign({}, detail, { type: 'timeout' }));
+        this.name = 'TimeoutError';
+    }
+}
+
+/**
+ * 请求被主动取消（被同cancelKey的新请求取代或外部signal中止），不会分发给错误处理器
+ */
+class CanceledError extends ApiError {
+    constructor(detail = {}) {
+        super('请求已取消', Object.assign({}, detail, { type: 'canceled' }));
+        this.name = 'CanceledError';
+    }
+}
+
+class HttpError extends ApiError {
+    constructor(status, message = `服务器错误（HTTP ${status}）`, detail = {}) {
+        super(message, Object.assign({}, detail, { type: 'http', status }));
+        this.name = 'HttpError';
+    }
+}
+
+class BusinessError extends ApiError {
+    constructor(code, message = '操作失败', detail = {}) {
+        super(message, Object.assign({}, detail, { type: 'business', code }));
+        this.name = 'BusinessError';
+    }
+}
+
+class AuthError extends ApiError {
+    constructor(message = '请先登录', detail = {}) {
+        super(message, Object.assign({}, detail, { type: 'auth' }));
+        this.name = 'AuthError';
+    }
+}
+
+class ValidationError extends ApiError {
+    /**
+     * @param {String} message - 错误提示
+     * @param {Object} fieldErrors - 字段错误，如 { title: '标题不能为空' }
+     */
+    constructor(message = '提交内容校验失败', fieldErrors = {}, detail = {}) {
+        super(message, Object.assign({}, detail, { type: 'validation' }));
+        this.name = 'ValidationError';
+        this.fieldErrors = fieldErrors;
+    }
+}
+
+/**
+ * 解析后端返回的字段错误，兼容两种格式：
+ * data: { field: '错误信息' } 或 errors: [{ field, message }]
+ */
+function parseFieldErrors(result) {
+    const fieldErrors = {};
+    if (Array.isArray(result?.errors)) {
+        result.errors.forEach(item => {
+            if (item && item.field) fieldErrors[item.field] = item.message || item.msg || '格式不正确';
+        });
+    } else if (result?.data && typeof result.data === 'object' && !Array.isArray(result.data)) {
+        Object.keys(result.data).forEach(field => {
+            if (typeof result.data[field] === 'string') fieldErrors[field] = result.data[field];
+        });
+    }
+    return fieldErrors;
+}
+
+/**
+ * 将传输层结果转换为对应的错误对象（成功时返回null）
+ */
+function toApiError(status, ok, result, detail) {
+    const code = result ? result.code : null;
+    const msg = result && result.msg;
+    if (status === 401 || code === 401 || code === "401") {
+        return new AuthError(msg || '请先登录', Object.assign({ status, code }, detail));
+    }
+    if (status === 400 || status === 422 || code === 400 || code === "400" || code === 422 || code === "422") {
+        return new ValidationError(msg || '提交内容校验失败', parseFieldErrors(result), Object.assign({ status, code, data: result?.data }, detail));
+    }
+    if (status === 403 || code === 403 || code === "403") {
+        return new HttpError(403, msg || '没有权限执行该操作', Object.assign({ code }, detail));
+    }
+    if (!ok) {
+        return new HttpError(status, msg ? `${msg}（HTTP ${status}）` : undefined, Object.assign({ code }, detail));
+    }
+    if (!result) {
+        return new HttpError(status, '服务器返回格式错误', detail);
+    }
+    if (!isSuccessCode(code)) {
+        return new BusinessError(code, msg || '操作失败', Object.assign({ status, data: result.data }, detail));
+    }
+    return null;
+}
+
+// ====================== 错误处理器 ======================
+/**
+ * 页面注册的错误处理器：按错误类型分组，'*' 表示处理所有类型
+ * 某类型注册了处理器时替代默认处理（默认：showAlert提示）
+ */
+const apiErrorHandlers = {};
+
+/**
+ * 注册错误处理器
+ * @param {String} type - 错误类型 network/timeout/http/business/auth/validation/*
+ * @param {Function} handler - 处理函数，参数为ApiError
+ * @returns {Function} 取消注册函数
+ */
+function onApiError(type, handler) {
+    if (!apiErrorHandlers[type]) apiErrorHandlers[type] = [];
+    apiErrorHandlers[type].push(handler);
+    return () => {
+        apiErrorHandlers[type] = apiErrorHandlers[type].filter(item => item !== handler);
+    };
+}
+
+/**
+ * 默认错误处理：非阻塞提示（未登录时由request弹出重新登录框，这里不再跳转）
+ */
+function defaultApiErrorHandler(error) {
+    showAlert(getErrorMessage(error), 'error');
+}
+
+/**
+ * 错误的提示文字：字段校验错误附带第一条字段错误（与错误信息相同时不重复）
+ */
+function getErrorMessage(error) {
+    const msg = (error && error.message) || '未知错误';
+    if (error instanceof ValidationError) {
+        const firstFieldError = Object.values(error.fieldErrors || {})[0];
+        if (firstFieldError && firstFieldError !== msg) return `${msg}：${firstFieldError}`;
+    }
+    return msg;
+}
+
+/**
+ * 分发错误到已注册的处理器（处理器自身异常不影响调用方）
+ */
+function dispatchApiError(error) {
+    const handlers = (apiErrorHandlers[error.type] || []).concat(apiErrorHandlers['*'] || []);
+    try {
+        if (handlers.length > 0) {
+            handlers.forEach(handler => handler(error));
+        } else {
+            defaultApiErrorHandler(error);
+        }
+    } catch (e) {
+        console.error('错误处理器执行异常：', e);
+    }
+    error.handled = true;
+}
+
+/**
+ * 页面catch中使用：已由错误处理器提示过的接口错误不再重复提示
+ * @param {Error} error - 捕获的错误
+ * @param {String} prefix - 提示前缀
+ */
+function reportError(error, prefix = '操作失败') {
+    if (error && error.handled) return;
+    console.error(`${prefix}：`, error);
+    showAlert(`${prefix}：${error?.message || '未知错误'}`, 'error');
+}
+
+// ====================== 超时/重试/取消 ======================
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'PUT', 'DELETE'];
+
+/**
+ * 进行中的可取消请求：cancelKey -> AbortController
+ */
+const inflightControllers = new Map();
+
+/**
+ * 取消指定cancelKey的进行中请求
+ * @param {String} cancelKey - 发起请求时传入的cancelKey
+ */
+function cancelRequest(cancelKey) {
+    const controller = inflightControllers.get(cancelKey);
+    if (controller) {
+        controller.abort();
+        inflightControllers.delete(cancelKey);
+    }
+}
+
+/**
+ * 是否值得重试：网络异常、超时、5xx和429
+ */
+function isRetryableError(error) {
+    if (error instanceof NetworkError || error instanceof TimeoutError) return true;
+    return error instanceof HttpError && (error.status >= 500 || error.status === 429);
+}
+
+/**
+ * 可被中止的等待（中止时立即结束等待）
+ */
+function waitFor(ms, signal) {
+    return new Promise(resolve => {
+        const timer = setTimeout(resolve, ms);
+        signal.addEventListener('abort', () => {
+            clearTimeout(timer);
+            resolve();
+        }, { once: true });
+    });
+}
+
+/**
+ * 单次发送（带超时）：超时抛TimeoutError，整体被取消抛CanceledError
+ */
+async function sendWithTimeout(url, method, data, timeout, parentSignal, detail, onUploadProgress) {
+    const attemptController = new AbortController();
+    const abortAttempt = () => attemptController.abort();
+    parentSignal.addEventListener('abort', abortAttempt, { once: true });
+    let timedOut = false;
+    const timer = timeout > 0 ? setTimeout(() => {
+        timedOut = true;
+        attemptController.abort();
+    }, timeout) : null;
+
+    try {
+        const { ok, status, result } = await sendHttp(url, { method, data, signal: attemptController.signal, onUploadProgress });
+        return toApiError(status, ok, result, detail) || result;
+    } catch (e) {
+        if (parentSignal.aborted) throw new CanceledError(detail);
+        if (timedOut) throw new TimeoutError(timeout, detail);
+        console.error("请求异常：", e);
+        throw new NetworkError(undefined, detail);
+    } finally {
+        clearTimeout(timer);
+        parentSignal.removeEventListener('abort', abortAttempt);
+    }
+}
+
+// ====================== 加载状态 ======================
+/**
+ * 当前进行中的请求数（页面可据此绑定顶部进度条）
+ */
+let apiInflightCount = 0;
+const inflightListeners = [];
+
+/**
+ * 监听进行中请求数变化
+ * @param {Function} listener - 参数为当前进行中的请求数
+ * @returns {Function} 取消监听函数
+ */
+function onInflightChange(listener) {
+    inflightListeners.push(listener);
+    return () => {
+        const index = inflightListeners.indexOf(listener);
+        if (index > -1) inflightListeners.splice(index, 1);
+    };
+}
+
+function changeInflightCount(delta) {
+    apiInflightCount = Math.max(0, apiInflightCount + delta);
+    inflightListeners.forEach(listener => {
+        try {
+            listener(apiInflightCount);
+        } catch (e) {
+            console.error('请求计数监听异常：', e);
+        }
+    });
+}
+
+/**
+ * 绑定页面顶部进度条：有请求进行中时显示，全部结束后隐藏
+ * @param {HTMLElement} barEl - 进度条元素（不传则自动在页面顶部创建）
+ */
+function bindProgressBar(barEl) {
+    let bar = barEl || document.getElementById('apiProgressBar');
+    if (!bar) {
+        bar = document.createElement('div');
+        bar.id = 'apiProgressBar';
+        bar.style.cssText = 'position:fixed; top:0; left:0; height:3px; width:0; background:#3498db; z-index:10001; transition:width 0.3s, opacity 0.3s; opacity:0;';
+        document.body.appendChild(bar);
+    }
+    if (bar.dataset.binded) return bar;
+    bar.dataset.binded = 'true';
+
+    onInflightChange(count => {
+        if (count > 0) {
+            bar.style.opacity = '1';
+            // 请求越多越接近但不到终点，结束时补满再淡出
+            bar.style.width = `${Math.min(90, 30 + count * 15)}%`;
+        } else {
+            bar.style.width = '100%';
+            bar.style.opacity = '0';
+            setTimeout(() => {
+                if (apiInflightCount === 0) bar.style.width = '0';
+            }, 300);
+        }
+    });
+    return bar;
+}
+
+/**
+ * 解析请求的加载元素（支持元素或选择器）
+ */
+function resolveLoadingEl(loading) {
+    if (!loading) return null;
+    return typeof loading === 'string' ? document.querySelector(loading) : loading;
+}
+
+/**
+ * 更新单个请求的加载元素：loading 加载中 / success 隐藏 / error 显示本次请求的错误
+ */
+function setLoadingState(el, state, error) {
+    if (!el) return;
+    if (state === 'loading') {
+        el.style.color = "#999";
+        el.textContent = "加载中...";
+        el.style.display = '';
+    } else if (state === 'success') {
+        el.style.display = 'none';
+    } else {
+        el.style.color = "#f00";
+        el.textContent = `加载失败：${error.message}`;
+        el.style.display = '';
+    }
+}
+
 /**
  * 通用请求函数（适配所有接口，处理加载中状态）
+ * 失败时抛出ApiError子类，并先交给错误处理器提示（options.silent为true时不提示）
  * @param {String} url - 请求地址
  * @param {String} method - 请求方法 GET/POST/PUT/DELETE
  * @param {Object} data - 请求参数
+ * @param {Object} options - 请求选项
+ * @param {Boolean|Function} options.silent - 是否跳过错误处理器（也可传函数按错误判断，如只对网络异常静默）
+ * @param {Number} options.timeout - 单次请求超时（毫秒），默认API_CONFIG.timeout，0表示不限
+ * @param {Number} options.retries - 失败重试次数，默认仅GET重试API_CONFIG.retries次
+ * @param {String} options.cancelKey - 取消标识：发起时自动取消同标识的进行中请求（如重复加载列表）
+ * @param {AbortSignal} options.signal - 外部取消信号
+ * @param {HTMLElement|String} options.loading - 本次请求的加载元素（或选择器），只更新该元素的加载/错误状态
+ * @param {Boolean} options.reauth - 401时是否弹出重新登录框并在登录后重试，默认true（silent请求不弹出）
+ * @param {Function} options.onUploadProgress - 上传进度回调，参数为 (已上传字节, 总字节)
+ * @param {Array} options.invalidates - 请求成功后失效的缓存标签（写操作使用，见CACHE_POLICIES）
  * @returns {Promise} 返回接口数据
  */
-async function request(url, method = 'GET', data = {}) {
-    // 修复：使用类名选择加载元素（原生浏览器不支持:contains）
-    const loadingElements = document.querySelectorAll('.loading-text');
-    loadingElements.forEach(el => {
-        el.style.color = "#999";
-        el.innerHTML = "加载中...";
-        el.style.display = 'block';
-    });
-    
+async function request(url, method = 'GET', data = {}, options = {}) {
+    // 只操作调用方指定的加载元素，不影响页面上其他请求的状态
+    const loadingEl = resolveLoadingEl(options.loading);
+    setLoadingState(loadingEl, 'loading');
+    changeInflightCount(1);
+
+    const upperMethod = method.toUpperCase();
+    const detail = { url, method: upperMethod };
+    const timeout = options.timeout ?? API_CONFIG.timeout;
+    const retries = options.retries ?? (upperMethod === 'GET' ? API_CONFIG.retries : 0);
+
+    const controller = new AbortController();
+    if (options.cancelKey) {
+        cancelRequest(options.cancelKey);
+        inflightControllers.set(options.cancelKey, controller);
+    }
+    if (options.signal) {
+        if (options.signal.aborted) controller.abort();
+        options.signal.addEventListener('abort', () => controller.abort(), { once: true });
+    }
+
+    let error;
     try {
-        const fetchOptions = {
-            method: method,
-            headers: {
-                'Content-Type': 'application/json;charset=utf-8'
-            },
-            credentials: 'include' // 携带cookie，处理登录态
-        };
+        for (let attempt = 0; ; attempt++) {
+            try {
+                const outcome = await sendWithTimeout(url, upperMethod, data, timeout, controller.signal, detail, options.onUploadProgress);
+                if (!(outcome instanceof ApiError)) {
+                    if (options.invalidates) invalidateCache(options.invalidates);
+                    setLoadingState(loadingEl, 'success');
+                    return outcome.data;
+                }
+                error = outcome;
+            } catch (e) {
+                error = e;
+            }
+            // 非幂等请求不重试，避免重复提交
+            const canRetry = attempt < retries && IDEMPOTENT_METHODS.includes(upperMethod) && isRetryableError(error);
+            if (!canRetry || controller.signal.aborted) break;
+            await waitFor(API_CONFIG.retryDelay * Math.pow(2, attempt), controller.signal);
+            if (controller.signal.aborted) {
+                error = new CanceledError(detail);
+                break;
+            }
+        }
+    } finally {
+        changeInflightCount(-1);
+        if (options.cancelKey && inflightControllers.get(options.cancelKey) === controller) {
+            inflightControllers.delete(options.cancelKey);
+        }
+    }
 
-        // GET请求拼参数，非GET请求传body
-        let requestUrl = url;
-        if (method.toUpperCase() === 'GET' && Object.keys(data).length > 0) {
-            const params = new URLSearchParams(data);
-            requestUrl = `${url}?${params.toString()}`;
-        } else if (method.toUpperCase() !== 'GET') {
-            fetchOptions.body = JSON.stringify(data);
-        }
-
-        const response = await fetch(requestUrl, fetchOptions);
-        if (!response.ok) throw new Error(`HTTP错误：${response.status}`);
-        
-        const result = await response.json();
-
-        // 请求成功处理（兼容字符串/数字200）
-        if (result.code === "200" || result.code === 200) {
-            loadingElements.forEach(el => el.style.display = 'none');
-            return result.data;
-        } 
-        // 未登录处理（兼容字符串/数字401）
-        else if (result.code === "401" || result.code === 401) {
-            alert(result.msg || '请先登录');
-            window.location.href = '/login.html';
-        } 
-        // 业务错误处理
-        else {
-            alert(result.msg || '操作失败');
-            loadingElements.forEach(el => {
-                el.innerHTML = "操作失败，请重试";
-                el.style.color = "#f00";
-            });
-            return null;
+    // 被新请求取代：不提示、不改动加载状态，由调用方忽略即可
+    if (error instanceof CanceledError) throw error;
+
+    // 会话过期：在当前页面重新登录后重试本次请求（不跳转，不丢失页面状态）
+    const silent = typeof options.silent === 'function' ? options.silent(error) : !!options.silent;
+    if (error instanceof AuthError && !silent && options.reauth !== false) {
+        if (await promptRelogin(error)) {
+            return await request(url, method, data, Object.assign({}, options, { reauth: false }));
         }
-    } catch (error) {
-        console.error("请求异常：", error);
-        loadingElements.forEach(el => {
-            el.innerHTML = "加载失败，请检查网络/后端";
-            el.style.color = "#f00";
+    }
+
+    setLoadingState(loadingEl, 'error', error);
+    if (!silent) dispatchApiError(error);
+    throw error;
+}
+
+// ====================== 响应缓存 ======================
+/**
+ * 读接口缓存策略（接口名 -> 策略），未列出的接口不缓存：
+ *   ttl       - 新鲜期（毫秒），期内直接返回缓存，不发请求
+ *   staleTime - 过期后仍可使用的时长：先返回旧数据，同时在后台重新请求（stale-while-revalidate），超出后按无缓存处理
+ *   tags      - 缓存标签 (pathParams, params) => [...]，写操作按标签失效，如 'collection:list'、'collection:5'
+ *   persist   - 是否保存到sessionStorage（整页刷新、直接打开页面时也能先用缓存渲染）
+ */
+const CACHE_POLICIES = {
+    userCurrent: { ttl: 60 * 1000, staleTime: 30 * 60 * 1000, tags: () => ['user'], persist: true },
+    userProfile: { ttl: 10 * 60 * 1000, staleTime: 60 * 60 * 1000, tags: p => [`user:${p.id}`], persist: true },
+    storyDaily: { ttl: 5 * 60 * 1000, staleTime: 60 * 60 * 1000, tags: () => ['story:list'], persist: true },
+    storyList: { ttl: 30 * 1000, staleTime: 10 * 60 * 1000, tags: () => ['story:list'], persist: true },
+    storyPage: { ttl: 30 * 1000, staleTime: 10 * 60 * 1000, tags: () => ['story:list'] },
+    storyDetail: { ttl: 60 * 1000, staleTime: 10 * 60 * 1000, tags: p => [`story:${p.id}`] },
+    storyPersonal: { ttl: 5 * 60 * 1000, staleTime: 30 * 60 * 1000, tags: () => ['story:list', 'preference'] },
+    checkInList: { ttl: 30 * 1000, staleTime: 10 * 60 * 1000, tags: () => ['checkIn:list'] },
+    checkInPage: { ttl: 30 * 1000, staleTime: 10 * 60 * 1000, tags: () => ['checkIn:list'] },
+    checkInDetail: { ttl: 60 * 1000, staleTime: 10 * 60 * 1000, tags: p => [`checkIn:${p.id}`] },
+    collectionList: { ttl: 30 * 1000, staleTime: 10 * 60 * 1000, tags: () => ['collection:list'], persist: true },
+    collectionPage: { ttl: 30 * 1000, staleTime: 10 * 60 * 1000, tags: () => ['collection:list'] },
+    collectionDetail: { ttl: 60 * 1000, staleTime: 10 * 60 * 1000, tags: p => [`collection:${p.id}`] },
+    footprintMy: { ttl: 30 * 1000, staleTime: 10 * 60 * 1000, tags: () => ['footprint:list'], persist: true },
+    orderMy: { ttl: 30 * 1000, staleTime: 10 * 60 * 1000, tags: () => ['order:list'] },
+    interactionState: { ttl: 30 * 1000, staleTime: 5 * 60 * 1000, tags: p => [`interaction:${p.targetType}:${p.targetId}`] },
+    favoriteMy: { ttl: 30 * 1000, staleTime: 10 * 60 * 1000, tags: () => ['favorite:list'] },
+    commentList: { ttl: 30 * 1000, staleTime: 5 * 60 * 1000, tags: p => [`comment:${p.targetType}:${p.targetId}`] },
+    search: { ttl: 30 * 1000, staleTime: 5 * 60 * 1000, tags: () => ['story:list', 'collection:list', 'checkIn:list'] }
+};
+
+const CACHE_STORAGE_KEY = 'apiCache';
+
+/**
+ * 缓存数据：key -> { data, time, tags, persist }
+ */
+const apiCache = new Map();
+/**
+ * 进行中的缓存请求（相同接口和参数的并发请求共用一次）：key -> { promise, invalidated }
+ */
+const inflightCacheRequests = new Map();
+
+/**
+ * 缓存key：完整接口地址（含基础地址和路径参数）+ 查询参数（参数顺序无关，值统一按字符串比较）
+ */
+function cacheKey(url, params) {
+    const sortedParams = Object.keys(params).sort().map(key => [key, String(params[key])]);
+    return `${url}|${JSON.stringify(sortedParams)}`;
+}
+
+function loadPersistedCache() {
+    try {
+        const saved = JSON.parse(sessionStorage.getItem(CACHE_STORAGE_KEY) || '{}');
+        Object.keys(saved).forEach(key => apiCache.set(key, saved[key]));
+    } catch (e) {
+        // 存储不可用或内容损坏，忽略
+    }
+}
+
+function savePersistedCache() {
+    try {
+        const saved = {};
+        apiCache.forEach((entry, key) => {
+            if (entry.persist) saved[key] = entry;
         });
-        return null;
+        sessionStorage.setItem(CACHE_STORAGE_KEY, JSON.stringify(saved));
+    } catch (e) {
+        // 存储不可用或超出容量，只保留内存缓存
     }
 }
 
-// ====================== 全局变量：登录状态 ======================
-let isLogin = false; // 是否登录
-let currentUser = null; // 当前登录用户
-const DEFAULT_AVATAR = 'images/default-avatar.png'; // 默认头像路径（需放置该图片）
+function writeCache(key, data, tags, persist) {
+    apiCache.set(key, { data, time: Date.now(), tags, persist: !!persist });
+    if (persist) savePersistedCache();
+}
+
+/**
+ * 按标签失效缓存（写操作成功后调用），进行中的同标签请求返回后也不再写入缓存
+ * @param {Array|String} tags - 缓存标签，如 ['collection:list', 'collection:5']
+ */
+function invalidateCache(tags) {
+    const targets = [].concat(tags || []).map(String);
+    if (targets.length === 0) return;
+    const matches = entryTags => entryTags.some(tag => targets.includes(tag));
+    let persistChanged = false;
+    apiCache.forEach((entry, key) => {
+        if (!matches(entry.tags)) return;
+        apiCache.delete(key);
+        if (entry.persist) persistChanged = true;
+    });
+    inflightCacheRequests.forEach((inflight, key) => {
+        if (!matches(inflight.tags)) return;
+        inflight.invalidated = true;
+        inflightCacheRequests.delete(key);
+    });
+    if (persistChanged) savePersistedCache();
+}
+
+/**
+ * 清空全部缓存（登录、退出、切换账号时调用，避免看到上一个账号的数据）
+ */
+function clearApiCache() {
+    apiCache.clear();
+    inflightCacheRequests.forEach(inflight => inflight.invalidated = true);
+    inflightCacheRequests.clear();
+    try {
+        sessionStorage.removeItem(CACHE_STORAGE_KEY);
+    } catch (e) {
+        // 存储不可用，忽略
+    }
+}
+
+/**
+ * 发起（或复用进行中的）请求并写入缓存
+ */
+function fetchIntoCache(key, url, params, options, tags, persist) {
+    const existing = inflightCacheRequests.get(key);
+    if (existing) {
+        // 复用进行中的请求：本次调用指定的加载元素同样随之更新
+        const loadingEl = resolveLoadingEl(options.loading);
+        setLoadingState(loadingEl, 'loading');
+        return existing.promise.then(data => {
+            setLoadingState(loadingEl, 'success');
+            return data;
+        }, err => {
+            if (!(err instanceof CanceledError)) setLoadingState(loadingEl, 'error', err);
+            throw err;
+        });
+    }
+    const inflight = { tags, invalidated: false };
+    inflight.promise = request(url, 'GET', params, options)
+        .then(data => {
+            if (!inflight.invalidated) writeCache(key, data, tags, persist);
+            return data;
+        })
+        .finally(() => {
+            if (inflightCacheRequests.get(key) === inflight) inflightCacheRequests.delete(key);
+        });
+    inflightCacheRequests.set(key, inflight);
+    return inflight.promise;
+}
+
+/**
+ * 带缓存的GET请求（按CACHE_POLICIES中的策略）：
+ * 新鲜缓存直接返回；过期但在staleTime内先返回旧数据，后台重新请求，数据有变化时调用options.onUpdate；
+ * 后台请求返回未登录时删除该缓存并以null调用onUpdate；相同请求并发时只发一次
+ * @param {String} name - API_ENDPOINTS中的接口名
+ * @param {Object} pathParams - 路径参数
+ * @param {Object} params - 查询参数
+ * @param {Object} options - request选项，另支持：
+ * @param {Function} options.onUpdate - 后台刷新得到新数据时的回调，参数为新数据
+ * @param {Boolean} options.cache - 为false时跳过缓存直接请求（结果仍写入缓存），如下单前核对库存
+ * @returns {Promise} 接口数据
+ */
+async function cachedRequest(name, pathParams = {}, params = {}, options = {}) {
+    const url = apiUrl(name, pathParams);
+    const policy = CACHE_POLICIES[name];
+    const onUpdate = options.onUpdate;
+    const requestOptions = Object.assign({}, options);
+    delete requestOptions.onUpdate;
+    delete requestOptions.cache;
+    if (!policy || !API_CONFIG.cacheEnabled) {
+        return await request(url, 'GET', params, requestOptions);
+    }
+
+    const key = cacheKey(url, params);
+    const tags = policy.tags ? policy.tags(pathParams, params) : [];
+    const entry = apiCache.get(key);
+    const age = entry ? Date.now() - entry.time : Infinity;
+    if (options.cache !== false && age < policy.ttl + (policy.staleTime || 0)) {
+        setLoadingState(resolveLoadingEl(options.loading), 'success');
+        if (age >= policy.ttl) {
+            // 后台刷新：不提示错误、不占用调用方的加载元素和取消标识
+            fetchIntoCache(key, url, params, { silent: true, retries: 0 }, tags, policy.persist).then(data => {
+                if (onUpdate && JSON.stringify(data) !== JSON.stringify(entry.data)) onUpdate(data);
+            }, err => {
+                if (err instanceof AuthError) {
+                    apiCache.delete(key);
+                    if (policy.persist) savePersistedCache();
+                    if (onUpdate) onUpdate(null);
+                }
+            });
+        }
+        return entry.data;
+    }
+    return await fetchIntoCache(key, url, params, requestOptions, tags, policy.persist);
+}
+
+loadPersistedCache();
+
+// ====================== 全局变量：登录状态 ======================
+let isLogin = false; // 是否登录
+let currentUser = null; // 当前登录用户
+let loginStatusLoaded = false; // 本次页面加载是否已获取登录状态（路由切换视图时不再重复获取）
+let userBadges = []; // 当前用户已解锁的足迹成就（显示在用户下拉菜单，见 refreshUserBadges）
+const DEFAULT_AVATAR = 'images/default-avatar.png'; // 默认头像路径（需放置该图片）
+
+// ====================== 登录状态相关 ======================
+/**
+ * 设置当前登录用户（null表示未登录），补全默认头像（兼容avatar和avatarUrl字段）
+ */
+function setLoginUser(user) {
+    if (!user || !currentUser || String(user.id) !== String(currentUser.id)) userBadges = [];
+    isLogin = !!user;
+    currentUser = user || null;
+    if (currentUser) {
+        if (!currentUser.avatarUrl && currentUser.avatar) {
+            currentUser.avatarUrl = currentUser.avatar;
+        }
+        if (!currentUser.avatarUrl) {
+            currentUser.avatarUrl = DEFAULT_AVATAR;
+        }
+    }
+    rememberOfflineUser(currentUser);
+}
+
+/**
+ * 获取当前登录用户（走缓存，静默请求：未登录/接口失败均返回null，不弹重新登录框、不跳转）
+ * 网络不可用时沿用最近一次登录的用户，离线时仍可打卡（记录进入离线队列）
+ * @param {Object} options - cachedRequest选项（如 onUpdate）
+ */
+async function fetchCurrentUser(options = {}) {
+    try {
+        return await cachedRequest('userCurrent', {}, {}, Object.assign({ silent: true, reauth: false, retries: 0 }, options));
+    } catch (err) {
+        if (err instanceof NetworkError) return getOfflineUser();
+        console.log('未检测到登录状态：', err);
+        return null;
+    }
+}
+
+/**
+ * 初始化登录状态：有缓存时先按缓存渲染，后台刷新后登录状态有变化时重新初始化当前视图
+ */
+async function initLoginStatus() {
+    const user = await fetchCurrentUser({
+        onUpdate: latest => {
+            const wasLogin = isLogin;
+            setLoginUser(latest);
+            updateLoginButton();
+            if (wasLogin !== isLogin) {
+                refreshUserBadges();
+                initPage(document.body.dataset.pageType);
+            }
+        }
+    });
+    setLoginUser(user);
+    loginStatusLoaded = true;
+    // 更新页面登录信息展示
+    updateLoginButton();
+    // 足迹成就在后台计算，完成后更新下拉菜单
+    refreshUserBadges();
+}
+
+/**
+ * 更新页面右上角登录信息展示（兼容loginBtn和loginContainer两种ID）
+ */
+function updateLoginButton() {
+    // 兼容原有loginBtn，同时支持新的loginContainer
+    const loginBtn = document.getElementById('loginBtn');
+    const loginContainer = document.getElementById('loginContainer');
+    const targetEl = loginContainer || loginBtn;
+
+    // 导航栏中仅登录可见的入口
+    document.querySelectorAll('[data-require-login]').forEach(el => {
+        el.style.display = isLogin ? '' : 'none';
+    });
+    applyPermissions();
+    
+    if (!targetEl) return;
+    
+    if (isLogin && currentUser) {
+        // 登录后展示：适配index.html的CSS类，解决文字看不见问题
+        targetEl.innerHTML = html`
+            <div class="user-info">
+                <img src="${safeImageUrl(currentUser.avatarUrl, DEFAULT_AVATAR)}" alt="头像" class="user-avatar">
+                <span>${currentUser.nickname || currentUser.username}</span>
+                <button class="user-menu-btn" data-action="toggle-user-menu">▼</button>
+                <!-- 下拉菜单：使用页面定义的CSS类 -->
+                <div id="userMenuDropdown" class="user-dropdown">
+                    ${userBadges.length > 0 ? html`<a class="dropdown-badges" href="user-footprint.html" title="查看全部成就">
+                        <span class="dropdown-badges-title">我的成就（${userBadges.length}）</span>
+                        ${userBadges.map(badge => html`<span class="badge-chip" title="${badge.description}">${badge.name}</span>`)}
+                    </a>` : ''}
+                    <a class="dropdown-item" href="user-favorite.html">我的收藏</a>
+                    <a class="dropdown-item" data-action="logout">退出登录</a>
+                    <a class="dropdown-item" data-action="switch-account">切换账号</a>
+                </div>
+            </div>
+        `;
+    } else {
+        // 未登录展示：登录/注册按钮
+        targetEl.innerHTML = '<a href="login.html" class="login-link">登录/注册</a>';
+    }
+}
+
+// 已通知过的成就（按用户保存，新解锁时提示一次）
+const SEEN_BADGES_KEY = 'seenBadges';
+
+/**
+ * 按个人足迹计算已解锁的成就并更新下拉菜单；有新解锁的成就时提示（首次计算只记录，不提示）
+ * @param {Array} list - 足迹列表（足迹页已加载时传入，不传则请求，走缓存）
+ */
+async function refreshUserBadges(list) {
+    if (!isLogin || !currentUser) return;
+    const userId = currentUser.id;
+    let footprints = list;
+    if (!footprints) {
+        try {
+            footprints = await getMyFootprint({ silent: true, reauth: false, retries: 0 });
+        } catch (err) {
+            return;
+        }
+    }
+    // 请求期间已退出或切换账号
+    if (!isLogin || !currentUser || currentUser.id !== userId) return;
+
+    const unlocked = getUnlockedBadges(computeFootprintStats(footprints || []));
+    const storageKey = `${SEEN_BADGES_KEY}:${userId}`;
+    try {
+        const stored = localStorage.getItem(storageKey);
+        const seen = stored ? JSON.parse(stored) : null;
+        const fresh = seen ? unlocked.filter(badge => !seen.includes(badge.id)) : [];
+        if (fresh.length > 0) showAlert(`解锁新成就：${fresh.map(badge => badge.name).join('、')}`, 'success');
+        localStorage.setItem(storageKey, JSON.stringify(Array.from(new Set((seen || []).concat(unlocked.map(badge => badge.id))))));
+    } catch (e) {
+        // 存储不可用时不提示新成就
+    }
+
+    const changed = unlocked.map(badge => badge.id).join() !== userBadges.map(badge => badge.id).join();
+    userBadges = unlocked;
+    if (changed) updateLoginButton();
+}
+
+/**
+ * 切换用户下拉菜单显示/隐藏（适配页面CSS类）
+ */
+function toggleUserMenu(e) {
+    e.stopPropagation(); // 阻止事件冒泡
+    const dropdown = document.getElementById('userMenuDropdown');
+    if (dropdown) {
+        // 切换show类控制显示/隐藏，匹配页面CSS
+        dropdown.classList.toggle('show');
+        // 点击其他区域关闭菜单
+        document.addEventListener('click', () => {
+            dropdown.classList.remove('show');
+        }, { once: true }); // 只执行一次，避免重复绑定
+    }
+}
+
+/**
+ * 退出登录（同时通知其他已打开的标签页）
+ * @param {String} redirectTo - 退出后跳转的页面，默认首页
+ */
+async function logout(redirectTo = 'index.html') {
+    try {
+        await request(apiUrl('userLogout'), 'POST', {}, { silent: true, reauth: false });
+    } catch (e) {
+        console.log('退出登录接口未实现，模拟退出');
+    }
+    clearApiCache();
+    await clearRuntimeCache();
+    setLoginUser(null);
+    updateLoginButton();
+    broadcastAuthChange('logout');
+    alert('退出成功！');
+    window.location.href = redirectTo;
+}
+
+/**
+ * 切换账号（退出后进入登录页，登录后回到当前页面）
+ */
+function switchAccount() {
+    if (confirm('确定要切换账号吗？')) {
+        logout(loginUrl());
+    }
+}
+
+// ====================== 登录跳转与会话过期 ======================
+/**
+ * 登录页地址，带上当前页面作为returnTo（登录/注册后回到原页面）
+ * 已在登录页时保留原有的returnTo
+ */
+function loginUrl() {
+    if (getCurrentPageFile() === 'login.html') {
+        return `login.html${window.location.search}`;
+    }
+    const current = getCurrentPageFile() + window.location.search + window.location.hash;
+    return `login.html?returnTo=${encodeURIComponent(current)}`;
+}
+
+/**
+ * 跳转登录页（记录当前页面，登录后返回）
+ */
+function redirectToLogin() {
+    navigateTo(loginUrl());
+}
+
+/**
+ * 登录成功后要返回的页面：只接受本站地址，不能是登录页本身，否则回到首页
+ */
+function getReturnTo() {
+    const returnTo = new URLSearchParams(window.location.search).get('returnTo');
+    if (!returnTo) return 'index.html';
+    try {
+        const url = new URL(returnTo, window.location.href);
+        const baseDir = window.location.pathname.replace(/[^/]*$/, '');
+        if (url.origin !== window.location.origin || !url.pathname.startsWith(baseDir)) return 'index.html';
+        const target = url.pathname.slice(baseDir.length) + url.search + url.hash;
+        return target && !target.startsWith('login.html') ? target : 'index.html';
+    } catch (e) {
+        return 'index.html';
+    }
+}
+
+// 进行中的重新登录弹窗：多个请求同时401时共用一个弹窗，登录后一起重试
+let reloginPromise = null;
+
+/**
+ * 会话过期时弹出重新登录框（不离开当前页面）
+ * @param {AuthError} error - 触发弹窗的401错误
+ * @returns {Promise<Boolean>} 是否已重新登录
+ */
+function promptRelogin(error) {
+    if (reloginPromise) return reloginPromise;
+    reloginPromise = new Promise(resolve => {
+        const modal = document.createElement('div');
+        modal.className = 'checkout-modal relogin-modal';
+        modal.innerHTML = `
+            <div class="checkout-content">
+                <span class="checkout-close">&times;</span>
+                <h2>${isLogin ? '登录已过期' : '请先登录'}</h2>
+                <p class="relogin-tip">${escapeHtml(error.message || '请重新登录')}，登录后将继续刚才的操作</p>
+                <form class="relogin-form">
+                    <div class="form-group">
+                        <label>用户名</label>
+                        <input type="text" name="username" value="${escapeHtml(currentUser?.username || '')}" autocomplete="username">
+                    </div>
+                    <div class="form-group">
+                        <label>密码</label>
+                        <input type="password" name="password" autocomplete="current-password">
+                    </div>
+                    <p class="checkout-error"></p>
+                    <div class="checkout-actions">
+                        <button type="submit" class="btn btn-primary">登录并继续</button>
+                        <button type="button" class="btn relogin-cancel">取消</button>
+                        <a class="relogin-page-link" href="${loginUrl()}">前往登录页</a>
+                    </div>
+                </form>
+            </div>
+        `;
+        document.body.appendChild(modal);
+
+        const form = modal.querySelector('.relogin-form');
+        const errorEl = modal.querySelector('.checkout-error');
+        const submitBtn = form.querySelector('button[type="submit"]');
+        const finish = success => {
+            modal.remove();
+            reloginPromise = null;
+            resolve(success);
+        };
+
+        modal.querySelector('.checkout-close').addEventListener('click', () => finish(false));
+        modal.querySelector('.relogin-cancel').addEventListener('click', () => finish(false));
+        modal.querySelector('.relogin-page-link').addEventListener('click', () => finish(false));
+        form.addEventListener('submit', async e => {
+            e.preventDefault();
+            const username = form.elements.username.value.trim();
+            const password = form.elements.password.value.trim();
+            if (!username || !password) {
+                errorEl.textContent = '请输入用户名和密码';
+                return;
+            }
+            submitBtn.disabled = true;
+            try {
+                if (await doLogin(username, password, { silent: true })) {
+                    broadcastAuthChange('login');
+                    finish(true);
+                }
+            } catch (err) {
+                errorEl.textContent = `登录失败：${err.message}`;
+            } finally {
+                submitBtn.disabled = false;
+            }
+        });
+        (currentUser?.username ? form.elements.password : form.elements.username).focus();
+    });
+    return reloginPromise;
+}
+
+// ====================== 角色权限 ======================
+// 受权限控制的资源与操作，权限标识为 资源:操作（如 story:delete）
+const PERMISSION_RESOURCES = ['story', 'collection', 'checkIn', 'comment'];
+// 角色可执行的操作：普通用户只读，编辑可新增/编辑，管理员另可删除
+const ROLE_ACTIONS = {
+    admin: ['create', 'edit', 'delete'],
+    editor: ['create', 'edit'],
+    user: []
+};
+// 所有登录用户都有的权限：打卡以当前用户身份发布（编辑/删除按发布者判断，见 canManageCheckIn）
+const LOGIN_PERMISSIONS = ['checkIn:create'];
+
+/**
+ * 当前用户的权限列表：/user/current 返回 permissions 时以其为准，否则按 role/roles 推算（兼容 ROLE_ADMIN 写法）
+ * @returns {Array} 权限标识列表，未登录为空
+ */
+function getUserPermissions() {
+    if (!isLogin || !currentUser) return [];
+    if (Array.isArray(currentUser.permissions)) return LOGIN_PERMISSIONS.concat(currentUser.permissions);
+
+    const roles = Array.isArray(currentUser.roles) ? currentUser.roles : [currentUser.role];
+    const permissions = LOGIN_PERMISSIONS.slice();
+    roles.filter(Boolean).forEach(role => {
+        const actions = ROLE_ACTIONS[String(role).toLowerCase().replace(/^role_/, '')] || [];
+        PERMISSION_RESOURCES.forEach(resource => {
+            actions.forEach(action => permissions.push(`${resource}:${action}`));
+        });
+    });
+    return permissions;
+}
+
+/**
+ * 是否拥有指定权限
+ * @param {String} permission - 权限标识，如 story:edit
+ */
+function hasPermission(permission) {
+    return getUserPermissions().includes(permission);
+}
+
+/**
+ * 接口调用前校验权限：未登录跳转登录页，无权限时提示
+ * @returns {Boolean} 是否可以继续调用
+ */
+function checkPermission(permission) {
+    if (hasPermission(permission)) return true;
+    if (!isLogin) {
+        alert('请先登录！');
+        redirectToLogin();
+    } else {
+        alert('当前账号没有该操作权限');
+    }
+    return false;
+}
+
+/**
+ * 记录是否由当前用户发布（按记录的userId判断）
+ */
+function isAuthor(item) {
+    return isLogin && !!currentUser && !!item && item.userId !== undefined && item.userId !== null
+        && String(item.userId) === String(currentUser.id);
+}
+
+/**
+ * 打卡记录归发布者所有：本人可编辑、删除；有 checkIn:delete 权限的管理员可删除（处理违规内容），不能编辑他人的打卡
+ * @param {Object} item - 打卡记录
+ * @param {String} action - edit | delete
+ */
+function canManageCheckIn(item, action) {
+    if (isAuthor(item)) return true;
+    return action === 'delete' && hasPermission('checkIn:delete');
+}
+
+/**
+ * 评论归发布者所有：本人可删除；有 comment:delete 权限的管理员可删除任何评论
+ */
+function canDeleteComment(comment) {
+    return isAuthor(comment) || hasPermission('comment:delete');
+}
+
+/**
+ * 按权限显示/隐藏页面元素：data-permission 写一个或多个权限标识（空格分隔，满足其一即显示）
+ * @param {HTMLElement} root - 查找范围，默认整个页面
+ */
+function applyPermissions(root = document) {
+    root.querySelectorAll('[data-permission]').forEach(el => {
+        el.hidden = !el.dataset.permission.split(/\s+/).some(hasPermission);
+    });
+}
+
+/**
+ * 表格操作列：没有任何可用按钮时不输出该列（表头由 data-permission 同步隐藏）
+ * @param {Array} buttons - 按钮（html模板），无权限的项传false
+ */
+function renderActionCell(buttons) {
+    const available = buttons.filter(Boolean);
+    return available.length > 0 ? html`<td>
+            ${available}
+        </td>` : '';
+}
+
+/**
+ * 表格选择列（批量操作）：没有相关权限时不输出该列（表头全选框由 data-permission 同步隐藏）
+ * @param {String|Number} id - 行ID
+ * @param {String} permissions - 显示该列所需的权限（空格分隔，满足其一即可），与表头的 data-permission 一致
+ * @param {Boolean} enabled - 该行能否选择（如他人发布的打卡），不能选择时复选框禁用
+ */
+function renderSelectCell(id, permissions, enabled = true) {
+    if (!permissions.split(/\s+/).some(hasPermission)) return '';
+    return html`<td class="select-cell"><input type="checkbox" data-select-id="${id}" aria-label="选择" ${enabled ? '' : 'disabled'}></td>`;
+}
+
+// ---------- 多标签页登录状态同步 ----------
+const AUTH_CHANNEL_NAME = 'auth';
+const AUTH_STORAGE_KEY = 'authEvent';
+const authChannel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(AUTH_CHANNEL_NAME) : null;
+
+/**
+ * 通知其他标签页登录状态变化（支持BroadcastChannel时使用，否则借助localStorage的storage事件）
+ * @param {String} type - login | logout
+ */
+function broadcastAuthChange(type) {
+    const message = { type, at: Date.now() };
+    if (authChannel) {
+        authChannel.postMessage(message);
+        return;
+    }
+    try {
+        localStorage.setItem(AUTH_STORAGE_KEY, JSON.stringify(message));
+    } catch (e) {
+        // 存储不可用时不同步
+    }
+}
+
+/**
+ * 收到其他标签页的登录状态变化
+ */
+async function handleAuthMessage(message) {
+    if (!message || !message.type) return;
+    // 其他页面登录/退出后，本页缓存的数据可能属于上一个账号
+    clearApiCache();
+    if (message.type === 'logout') {
+        if (!isLogin) return;
+        setLoginUser(null);
+        updateLoginButton();
+        showAlert('你已在其他页面退出登录', 'error');
+    } else if (message.type === 'login') {
+        await initLoginStatus();
+    } else {
+        return;
+    }
+    // 按新的登录状态和权限重新初始化当前视图（需要登录的页面会跳转登录页，登录后返回）
+    await initPage(document.body.dataset.pageType);
+}
+
+if (authChannel) {
+    authChannel.addEventListener('message', e => handleAuthMessage(e.data));
+} else {
+    window.addEventListener('storage', e => {
+        if (e.key !== AUTH_STORAGE_KEY || !e.newValue) return;
+        try {
+            handleAuthMessage(JSON.parse(e.newValue));
+        } catch (err) {
+            // 忽略格式错误的消息
+        }
+    });
+}
+
+// ====================== 导航栏 ======================
+// 导航菜单（requireLogin：未登录时隐藏）
+const NAV_ITEMS = [
+    { href: 'index.html', text: '首页' },
+    { href: 'check-in.html', text: '文化打卡' },
+    { href: 'story.html', text: '文化故事' },
+    { href: 'collection.html', text: '数字藏品' },
+    { href: 'user-footprint.html', text: '个人足迹', requireLogin: true },
+    { href: 'user-favorite.html', text: '我的收藏', requireLogin: true },
+    { href: 'market.html', text: '藏品集市', requireLogin: true }
+];
+
+/**
+ * 当前页面文件名（如 story.html，站点根路径视为 index.html）
+ */
+function getCurrentPageFile() {
+    return window.location.pathname.split('/').pop() || 'index.html';
+}
+
+/**
+ * 渲染公共导航栏（各页面只需放置 <div class="nav" id="appNav"></div>，切换视图时导航栏保留）
+ */
+function renderNavBar() {
+    const nav = document.getElementById('appNav');
+    if (!nav) return;
+    if (!nav.dataset.rendered) {
+        nav.dataset.rendered = 'true';
+        nav.innerHTML = `
+            <div class="container">
+                ${NAV_ITEMS.map(item => `<a href="${item.href}"${item.requireLogin ? ' data-require-login style="display: none;"' : ''}>${item.text}</a>`).join('')}
+                <a href="about-us.html" class="about-us-link">关于我们</a>
+                <!-- 登录/用户信息入口（由updateLoginButton渲染） -->
+                <div id="loginContainer" class="login-btn-container">
+                    <a href="login.html" class="login-link">登录/注册</a>
+                </div>
+            </div>
+        `;
+        if (loginStatusLoaded) updateLoginButton();
+        // 点击登录入口时再生成地址，带上当前页面（分页、筛选等参数随操作变化）
+        nav.addEventListener('click', e => {
+            const link = e.target.closest('.login-link');
+            if (link) link.setAttribute('href', loginUrl());
+        });
+    }
+    updateNavActive();
+}
+
+/**
+ * 高亮当前页面对应的导航项
+ */
+function updateNavActive() {
+    const current = getCurrentPageFile();
+    document.querySelectorAll('#appNav .container > a').forEach(link => {
+        link.classList.toggle('active', link.getAttribute('href') === current);
+    });
+}
+
+// ====================== 用户相关接口 ======================
+/**
+ * 注册（支持头像上传+确认密码，单独处理表单数据）
+ */
+async function doRegisterWithAvatar(formData) {
+    // FormData由传输层按multipart发送
+    return await request(apiUrl('userRegister'), 'POST', formData);
+}
+
+/**
+ * 普通注册（不含头像，按FORM_SCHEMAS.register校验，校验不通过时抛出ValidationError）
+ */
+async function doRegister(userData) {
+    const payload = toPayload(FORM_SCHEMAS.register, Object.assign({}, userData, { avatar: null }));
+    if (!payload.nickname) payload.nickname = '';
+    return await request(apiUrl('userRegister'), 'POST', payload);
+}
+
+/**
+ * 登录（修复：确保返回true/false，解决跳转问题）
+ */
+async function doLogin(username, password, options = {}) {
+    if (!username) { alert('请输入用户名'); return false; }
+    if (!password) { alert('请输入密码'); return false; }
+
+    // 登录接口本身的401（用户名或密码错误）不再弹出重新登录框
+    const result = await request(apiUrl('userLogin'), 'POST', { username, password }, Object.assign({}, options, { reauth: false }));
+    if (result) {
+        // 换了账号：丢弃上一个账号的缓存数据
+        clearApiCache();
+        setLoginUser(result);
+        updateLoginButton();
+        return true; // 返回true表示登录成功
+    }
+    return false; // 返回false表示登录失败
+}
+
+/**
+ * 用户公开资料（昵称、头像），用于列表中显示发布者；接口失败时返回null
+ */
+async function getUserProfile(id) {
+    try {
+        return await cachedRequest('userProfile', { id }, {}, { silent: true, reauth: false, retries: 0 });
+    } catch (err) {
+        return null;
+    }
+}
+
+// ====================== 发布者头像昵称 ======================
+/**
+ * 列表中显示发布者的头像和昵称：优先使用记录自带的用户信息（user对象，或nickname/avatarUrl字段），
+ * 都没有时按userId请求用户资料（走缓存，同一用户只请求一次），返回后更新页面上该用户的所有显示
+ */
+// userId -> 用户资料（请求失败记为空对象，不再重复请求）
+const userProfiles = new Map();
+const loadingProfileIds = new Set();
+
+function resolveUserProfile(item) {
+    const key = String(item.userId);
+    if (isAuthor(item)) return currentUser;
+    const embedded = item.user || (item.nickname || item.avatarUrl ? { nickname: item.nickname, avatarUrl: item.avatarUrl } : null);
+    if (embedded) userProfiles.set(key, embedded);
+    return userProfiles.get(key) || null;
+}
+
+function renderUserChipContent(userId, profile) {
+    const name = profile && (profile.nickname || profile.username);
+    return html`<img src="${safeImageUrl(profile && (profile.avatarUrl || profile.avatar), DEFAULT_AVATAR)}" alt="头像" class="user-chip-avatar">
+        <span>${name || `用户${userId}`}</span>`;
+}
+
+/**
+ * 发布者头像+昵称
+ * @param {Object} item - 带userId的记录
+ */
+function renderUserChip(item) {
+    if (item.userId === undefined || item.userId === null || item.userId === '') return '';
+    const profile = resolveUserProfile(item);
+    if (!profile) loadUserProfile(item.userId);
+    return html`<span class="user-chip" data-user-chip="${item.userId}">${renderUserChipContent(item.userId, profile)}</span>`;
+}
+
+function loadUserProfile(userId) {
+    const key = String(userId);
+    if (userProfiles.has(key) || loadingProfileIds.has(key)) return;
+    loadingProfileIds.add(key);
+    getUserProfile(userId).then(profile => {
+        userProfiles.set(key, profile || {});
+        const selector = `[data-user-chip="${key.replace(/["\\]/g, '\\$&')}"]`;
+        document.querySelectorAll(selector).forEach(el => {
+            el.innerHTML = renderUserChipContent(userId, profile);
+        });
+    }).finally(() => loadingProfileIds.delete(key));
+}
+
+// ====================== 分页数据 ======================
+/**
+ * 统一分页接口返回格式（兼容MyBatis-Plus的records、PageHelper的list和直接返回数组）
+ * @param {Object|Array} data - 分页接口返回的data
+ * @returns {{records: Array, total: Number}} 当前页数据和总条数
+ */
+function normalizePageResult(data) {
+    if (Array.isArray(data)) return { records: data, total: data.length };
+    if (!data) return { records: [], total: 0 };
+    const records = data.records || data.list || data.content || data.rows || [];
+    const total = Number(data.total ?? data.totalElements ?? records.length) || 0;
+    return { records, total };
+}
+
+// ====================== 表单Schema（各实体字段） ======================
+/**
+ * 每个实体一份字段声明，同时用于：表单取值与校验、转换接口字段、编辑弹窗回填、字段错误显示（见 js/form-schema.js）
+ */
+const FORM_SCHEMAS = {
+    story: {
+        fields: [
+            { name: 'title', label: '故事标题', required: true, maxLength: 100 },
+            { name: 'content', label: '故事内容', required: true },
+            { name: 'coverUrl', label: '封面图片URL', type: 'url', default: '' },
+            { name: 'pushDate', label: '发布日期', required: true, message: '请选择发布日期' },
+            { name: 'type', label: '类型', required: true, default: 'story' },
+            { name: 'reason', label: '推荐理由', apiField: 'recommendReason', maxLength: 200, default: '' },
+            { name: 'location', label: '地点', default: '' }
+        ]
+    },
+    checkIn: {
+        fields: [
+            // 发布者：页面不提供输入，由addCheckIn/updateCheckIn填写（当前登录用户/原发布者）
+            { name: 'userId', label: '用户ID' },
+            { name: 'checkInContent', label: '打卡内容', required: true, maxLength: 500 },
+            { name: 'checkInTime', label: '打卡时间', required: true, message: '请选择打卡时间' },
+            { name: 'location', label: '打卡地点', required: true },
+            // 可选的定位坐标（见 js/geo.js），未定位时提交null，编辑时可清除
+            { name: 'latitude', label: '纬度', type: 'number', min: -90, max: 90, default: null },
+            { name: 'longitude', label: '经度', type: 'number', min: -180, max: 180, default: null }
+        ]
+    },
+    collection: {
+        fields: [
+            { name: 'name', label: '藏品名称', required: true, maxLength: 100 },
+            { name: 'creator', label: '创作者', required: true },
+            { name: 'creatorInfo', label: '创作者简介', default: '' },
+            { name: 'collectionCoverUrl', label: '封面图片URL', type: 'url', default: '' },
+            { name: 'detailUrl', label: '详情页URL', type: 'url', default: '' },
+            { name: 'price', label: '价格', type: 'number', required: true, min: 0 },
+            { name: 'blockchainId', label: '区块链ID', default: '' },
+            { name: 'stock', label: '库存', type: 'integer', required: true, min: 0 }
+        ]
+    },
+    footprint: {
+        fields: [
+            { name: 'content', label: '打卡内容', maxLength: 500, default: '' },
+            { name: 'location', label: '打卡地点', required: true },
+            { name: 'footprintImg', label: '足迹图片', type: 'urls', default: '' },
+            { name: 'checkInTime', label: '打卡时间' },
+            { name: 'latitude', label: '纬度', type: 'number', min: -90, max: 90, default: null },
+            { name: 'longitude', label: '经度', type: 'number', min: -180, max: 180, default: null }
+        ]
+    },
+    comment: {
+        fields: [
+            { name: 'content', label: '评论内容', required: true, maxLength: 500 },
+            // 回复的评论ID，直接评论时为null
+            { name: 'parentId', label: '回复的评论', type: 'integer', default: null }
+        ]
+    },
+    register: {
+        fields: [
+            { name: 'username', label: '用户名', required: true, maxLength: 30 },
+            { name: 'nickname', label: '昵称', maxLength: 30 },
+            { name: 'password', label: '密码', required: true },
+            {
+                name: 'confirmPassword', label: '确认密码', required: true, message: '请再次输入密码',
+                validate: (value, values) => (value !== values.password ? '两次密码不一致' : '')
+            },
+            { name: 'avatar', label: '头像', type: 'file' }
+        ]
+    }
+};
+
+// ====================== 文化故事接口 ======================
+async function getDailyRecommend(type = "story", options = {}) {
+    return await cachedRequest('storyDaily', { type }, {}, options);
+}
+
+async function getAllStories(options = {}) {
+    return await cachedRequest('storyList', {}, {}, options);
+}
+
+/**
+ * 分页查询（query为排序/筛选条件，如 { sortField, sortOrder, keyword }，空值不传）
+ */
+async function getStoryPage(pageNum = 1, pageSize = 10, query = {}, options = {}) {
+    return await cachedRequest('storyPage', {}, Object.assign({ pageNum, pageSize }, query), options);
+}
+
+/**
+ * 新增/编辑故事：按FORM_SCHEMAS.story校验并转换字段（reason → recommendReason，匹配后端实体类），
+ * 校验不通过时抛出ValidationError；options为附加的request选项（批量导入时传 silent: true）
+ */
+async function addCultureStory(storyData, options = {}) {
+    if (!checkPermission('story:create')) return null;
+    return await request(apiUrl('storyList'), 'POST', toPayload(FORM_SCHEMAS.story, storyData), Object.assign({
+        invalidates: ['story:list']
+    }, options));
+}
+
+async function updateCultureStory(id, storyData, options = {}) {
+    if (!checkPermission('story:edit')) return null;
+    if (!id) { alert('缺少故事ID'); return null; }
+    const result = await request(apiUrl('storyDetail', { id }), 'PUT', toPayload(FORM_SCHEMAS.story, storyData), Object.assign({
+        invalidates: ['story:list', `story:${id}`]
+    }, options));
+    return result ?? true; // 接口不返回数据时也以非null表示保存成功，null只表示无权限或缺少ID
+}
+
+/**
+ * 删除故事：options.confirmed为true时不再逐条确认（批量删除已统一确认），其余为附加的request选项
+ * 取消确认或无权限时返回null，删除成功返回非null
+ */
+async function deleteCultureStory(id, options = {}) {
+    if (!checkPermission('story:delete')) return null;
+    const { confirmed, ...requestOptions } = options;
+    if (!confirmed && !confirm('确定删除该故事吗？')) return null;
+    const result = await request(apiUrl('storyDetail', { id }), 'DELETE', {}, Object.assign({
+        invalidates: ['story:list', `story:${id}`]
+    }, requestOptions));
+    return result ?? true; // 接口不返回数据时也以非null表示删除成功
+}
+
+// 新增：获取文化故事详情（修复openStoryEditModal调用错误）
+async function getStoryById(id, options = {}) {
+    if (!id) { alert('缺少故事ID'); return null; }
+    return await cachedRequest('storyDetail', { id }, {}, options);
+}
+
+// ====================== 打卡接口（CheckIn） ======================
+/**
+ * 新增打卡（离线或网络异常时保存到离线队列，返回 { queued: true }，联网后自动同步）
+ */
+async function addCheckIn(checkInData, options = {}) {
+    if (!checkPermission('checkIn:create')) return null;
+    const payload = toPayload(FORM_SCHEMAS.checkIn, Object.assign({}, checkInData, { userId: currentUser.id }));
+    return await submitOrQueue('checkIn', payload, options);
+}
+
+/**
+ * 分页查询（query为排序/筛选条件，如 { sortField, sortOrder, keyword }，空值不传）
+ */
+async function getCheckInPage(pageNum = 1, pageSize = 10, query = {}, options = {}) {
+    return await cachedRequest('checkInPage', {}, Object.assign({ pageNum, pageSize }, query), options);
+}
+
+async function getAllCheckIns(options = {}) {
+    return await cachedRequest('checkInList', {}, {}, options);
+}
+
+async function getCheckInById(id, options = {}) {
+    if (!id) { alert('缺少打卡ID'); return null; }
+    return await cachedRequest('checkInDetail', { id }, {}, options);
+}
+
+/**
+ * 校验当前用户能否编辑/删除该打卡（未登录时跳转登录页），打卡详情走缓存（打开编辑弹窗时已加载）
+ * @returns {Promise<Object|null>} 可以操作时返回打卡记录
+ */
+async function getManageableCheckIn(id, action) {
+    if (!isLogin) {
+        alert('请先登录！');
+        redirectToLogin();
+        return null;
+    }
+    if (!id) { alert('缺少打卡ID'); return null; }
+    const item = await getCheckInById(id);
+    if (!item) return null;
+    if (!canManageCheckIn(item, action)) {
+        alert(action === 'edit' ? '只能编辑自己发布的打卡' : '只能删除自己发布的打卡');
+        return null;
+    }
+    return item;
+}
+
+async function updateCheckIn(id, checkInData) {
+    const item = await getManageableCheckIn(id, 'edit');
+    if (!item) return null;
+    const payload = toPayload(FORM_SCHEMAS.checkIn, Object.assign({}, checkInData, { userId: item.userId }));
+    return await request(apiUrl('checkInDetail', { id }), 'PUT', payload, {
+        invalidates: ['checkIn:list', `checkIn:${id}`]
+    });
+}
+
+/**
+ * 删除打卡（本人或管理员）：options同deleteCultureStory
+ */
+async function deleteCheckIn(id, options = {}) {
+    if (!await getManageableCheckIn(id, 'delete')) return null;
+    const { confirmed, ...requestOptions } = options;
+    if (!confirmed && !confirm('确定删除该打卡记录吗？')) return null;
+    const result = await request(apiUrl('checkInDetail', { id }), 'DELETE', {}, Object.assign({
+        invalidates: ['checkIn:list', `checkIn:${id}`]
+    }, requestOptions));
+    return result ?? true; // 接口不返回数据时也以非null表示删除成功
+}
+
+// ====================== 藏品订单接口（核心修改：加登录校验） ======================
+async function buyCollection(orderData) {
+    // 手动校验登录，未登录不调用接口，避免触发401跳转
+    if (!isLogin) {
+        alert('请先登录后再购买藏品！');
+        redirectToLogin();
+        return null;
+    }
+    if (!orderData.collectionId) {
+        alert('请选择要购买的藏品');
+        return null;
+    }
+    if (orderData.quantity !== undefined && !(parseInt(orderData.quantity) > 0)) {
+        alert('请输入有效的购买数量');
+        return null;
+    }
+    // 下单后库存变化：失效该藏品、藏品列表和我的订单
+    const result = await request(apiUrl('orderCreate'), 'POST', orderData, {
+        invalidates: ['collection:list', `collection:${orderData.collectionId}`, 'order:list']
+    });
+    return result ?? true; // 接口不返回订单数据时也以非null表示下单成功
+}
+
+async function getMyCollectionOrders(options = {}) {
+    // 手动校验登录
+    if (!isLogin) {
+        alert('请先登录查看我的订单！');
+        redirectToLogin();
+        return null;
+    }
+    return await cachedRequest('orderMy', {}, {}, options);
+}
+
+// ====================== 文化藏品接口 ======================
+async function addCultureCollection(collectionData, options = {}) {
+    if (!checkPermission('collection:create')) return null;
+    return await request(apiUrl('collectionList'), 'POST', toPayload(FORM_SCHEMAS.collection, collectionData), Object.assign({
+        invalidates: ['collection:list']
+    }, options));
+}
+
+/**
+ * 分页查询（query为排序/筛选条件，如 { sortField, sortOrder, keyword }，空值不传）
+ */
+async function getCollectionPage(pageNum = 1, pageSize = 10, query = {}, options = {}) {
+    return await cachedRequest('collectionPage', {}, Object.assign({ pageNum, pageSize }, query), options);
+}
+
+async function getAllCollections(options = {}) {
+    return await cachedRequest('collectionList', {}, {}, options);
+}
+
+async function getCollectionById(id, options = {}) {
+    if (!id) { alert('缺少藏品ID'); return null; }
+    return await cachedRequest('collectionDetail', { id }, {}, options);
+}
+
+async function updateCultureCollection(id, collectionData, options = {}) {
+    if (!checkPermission('collection:edit')) return null;
+    if (!id) { alert('缺少藏品ID'); return null; }
+    const result = await request(apiUrl('collectionDetail', { id }), 'PUT', toPayload(FORM_SCHEMAS.collection, collectionData), Object.assign({
+        invalidates: ['collection:list', `collection:${id}`]
+    }, options));
+    return result ?? true; // 接口不返回数据时也以非null表示保存成功
+}
+
+/**
+ * 删除藏品：options同deleteCultureStory
+ */
+async function deleteCultureCollection(id, options = {}) {
+    if (!checkPermission('collection:delete')) return null;
+    const { confirmed, ...requestOptions } = options;
+    if (!confirmed && !confirm('确定删除该藏品吗？')) return null;
+    const result = await request(apiUrl('collectionDetail', { id }), 'DELETE', {}, Object.assign({
+        invalidates: ['collection:list', `collection:${id}`]
+    }, requestOptions));
+    return result ?? true; // 接口不返回数据时也以非null表示删除成功
+}
+
+// ====================== 用户打卡足迹接口（核心修改：加登录校验） ======================
+/**
+ * 新增足迹（离线或网络异常时保存到离线队列，返回 { queued: true }，联网后自动同步）
+ */
+async function addUserFootprint(footData) {
+    if (!isLogin) {
+        alert('请先登录后再添加足迹！');
+        redirectToLogin();
+        return null;
+    }
+    return await submitOrQueue('footprint', toPayload(FORM_SCHEMAS.footprint, footData));
+}
+
+async function getMyFootprint(options = {}) {
+    if (!isLogin) {
+        alert('请先登录查看个人足迹！');
+        redirectToLogin();
+        return null;
+    }
+    return await cachedRequest('footprintMy', {}, {}, options);
+}
+
+async function deleteFootprint(id) {
+    if (!isLogin) {
+        alert('请先登录后再删除足迹！');
+        redirectToLogin();
+        return null;
+    }
+    if (!confirm('确定删除该足迹吗？')) return null;
+    const result = await request(apiUrl('footprintDetail', { id }), 'DELETE', {}, {
+        invalidates: ['footprint:list']
+    });
+    return result ?? true; // 接口不返回数据时也以非null表示删除成功
+}
+
+// ====================== 个性化推荐接口（核心修改：加登录校验） ======================
+async function getPersonalRecommend() {
+    if (!isLogin) {
+        // 未登录时返回空，不弹窗不跳转，页面显示“暂无个性化推荐”
+        return null;
+    }
+    return await cachedRequest('storyPersonal');
+}
+
+// ====================== 点赞、收藏与评论接口 ======================
+/**
+ * 可点赞、收藏、评论的内容类型（targetType），接口路径为 /interaction/:targetType/:targetId、/comment/:targetType/:targetId
+ */
+const INTERACTION_TARGETS = {
+    story: { label: '文化故事', detailUrl: id => storyDetailUrl(id) },
+    collection: { label: '数字藏品', detailUrl: id => collectionDetailUrl(id) }
+};
+
+/**
+ * 点赞/收藏状态和数量：{ liked, favorited, likeCount, favoriteCount }（未登录时liked/favorited为false）
+ */
+async function getInteractionState(targetType, targetId, options = {}) {
+    return await cachedRequest('interactionState', { targetType, targetId }, {}, options);
+}
+
+/**
+ * 点赞/取消点赞（未登录时提示并跳转登录页，与购买藏品一致）
+ * 点赞和收藏是个性化推荐的偏好来源，成功后失效推荐缓存
+ * @param {Boolean} liked - true点赞，false取消
+ */
+async function toggleLike(targetType, targetId, liked) {
+    if (!isLogin) {
+        alert('请先登录后再点赞！');
+        redirectToLogin();
+        return null;
+    }
+    const result = await request(apiUrl('interactionLike', { targetType, targetId }), liked ? 'POST' : 'DELETE', {}, {
+        invalidates: [`interaction:${targetType}:${targetId}`, 'preference']
+    });
+    return result ?? true; // 接口不返回数据时也以非null表示操作成功
+}
+
+/**
+ * 收藏/取消收藏
+ * @param {Boolean} favorited - true收藏，false取消
+ */
+async function toggleFavorite(targetType, targetId, favorited) {
+    if (!isLogin) {
+        alert('请先登录后再收藏！');
+        redirectToLogin();
+        return null;
+    }
+    const result = await request(apiUrl('interactionFavorite', { targetType, targetId }), favorited ? 'POST' : 'DELETE', {}, {
+        invalidates: [`interaction:${targetType}:${targetId}`, 'favorite:list', 'preference']
+    });
+    return result ?? true; // 接口不返回数据时也以非null表示操作成功
+}
+
+/**
+ * 我的收藏（分页，query可按 targetType 筛选）
+ * 记录格式：{ id, targetType, targetId, title, coverUrl, createTime }
+ */
+async function getMyFavorites(pageNum = 1, pageSize = 10, query = {}, options = {}) {
+    if (!isLogin) {
+        alert('请先登录查看我的收藏！');
+        redirectToLogin();
+        return null;
+    }
+    return await cachedRequest('favoriteMy', {}, Object.assign({ pageNum, pageSize }, query), options);
+}
+
+/**
+ * 评论列表（平铺返回，按parentId组成楼中楼）：[{ id, parentId, userId, nickname, avatarUrl, content, createTime }]
+ */
+async function getComments(targetType, targetId, options = {}) {
+    return await cachedRequest('commentList', { targetType, targetId }, {}, options);
+}
+
+/**
+ * 发表评论/回复（按FORM_SCHEMAS.comment校验，校验不通过时抛出ValidationError）
+ */
+async function addComment(targetType, targetId, commentData) {
+    if (!isLogin) {
+        alert('请先登录后再评论！');
+        redirectToLogin();
+        return null;
+    }
+    const result = await request(apiUrl('commentList', { targetType, targetId }), 'POST', toPayload(FORM_SCHEMAS.comment, commentData), {
+        invalidates: [`comment:${targetType}:${targetId}`]
+    });
+    return result ?? true; // 接口不返回数据时也以非null表示发表成功
+}
+
+/**
+ * 删除评论（发布者本人或管理员），其下的回复由后端一并处理
+ */
+async function deleteComment(comment, targetType, targetId) {
+    if (!canDeleteComment(comment)) {
+        checkPermission('comment:delete');
+        return null;
+    }
+    if (!confirm('确定删除这条评论吗？')) return null;
+    const result = await request(apiUrl('commentDetail', { id: comment.id }), 'DELETE', {}, {
+        invalidates: [`comment:${targetType}:${targetId}`]
+    });
+    return result ?? true; // 接口不返回数据时也以非null表示删除成功
+}
+
+// ====================== 搜索接口 ======================
+/**
+ * 统一搜索（返回 { stories, collections, checkIns }）
+ */
+async function searchAll(keyword, options = {}) {
+    return await cachedRequest('search', {}, { keyword }, options);
+}
+
+/**
+ * 热门搜索词（接口未实现时静默返回空数组，不影响搜索框使用）
+ */
+async function getHotSearches() {
+    try {
+        const list = await request(apiUrl('searchHot'), 'GET', {}, { silent: true, retries: 0 });
+        return Array.isArray(list) ? list.map(item => (typeof item === 'string' ? item : item.keyword)).filter(Boolean) : [];
+    } catch (e) {
+        return [];
+    }
+}
+
+// ====================== 文件上传接口 ======================
+/**
+ * 上传单个文件（multipart，字段名file），返回文件访问地址
+ * 兼容后端返回 data: 'url' 或 data: { url }
+ * @param {File|Blob} file - 要上传的文件
+ * @param {Object} options - request选项，另支持 onUploadProgress、signal（取消上传）
+ * @returns {Promise<String>} 文件地址
+ */
+async function uploadFile(file, options = {}) {
+    if (!isLogin) {
+        alert('请先登录后再上传图片！');
+        redirectToLogin();
+        return null;
+    }
+    const formData = new FormData();
+    formData.append('file', file, file.name || 'upload');
+    const data = await request(apiUrl('fileUpload'), 'POST', formData, Object.assign({ timeout: API_CONFIG.uploadTimeout }, options));
+    const url = typeof data === 'string' ? data : (data && (data.url || data.fileUrl));
+    if (!url) throw new BusinessError(null, '上传失败：未返回文件地址');
+    return url;
+}
+
+// ====================== 通用初始化函数 ======================
+async function initPage(pageType) {
+    bindProgressBar();
+    renderNavBar();
+    // 先初始化登录状态（路由切换视图时沿用已获取的状态）
+    if (!loginStatusLoaded) {
+        await initLoginStatus();
+    }
+    // 按角色权限显示新增表单、操作列等（路由挂载的新视图同样需要）
+    applyPermissions();
+    // 带 data-uploader 的图片地址输入框挂载上传组件
+    initUploaders();
+    // 带 data-markdown 的内容输入框挂载Markdown编辑器
+    initMarkdownEditors();
+    // 带 data-geolocate 的地点输入框挂载“获取当前位置”
+    initLocationPickers();
+    // 重放离线期间保存的打卡/足迹（不阻塞页面渲染）
+    syncOutbox();
+
+    switch (pageType) {
+        case "index":
+            await initIndexPage(); // 加await确保加载完成
+            break;
+        case "story":
+            await initStoryPage();
+            break;
+        case "check-in":
+            await initCheckInPage();
+            break;
+        case "collection":
+            await initCollectionPage();
+            break;
+        case "footprint":
+            await initFootprintPage();
+            break;
+        case "favorite":
+            await initFavoritePage();
+            break;
+        case "search":
+            await initSearchPage();
+            break;
+        case "market":
+            await initMarketPage();
+            break;
+        case "login":
+            initLoginPage();
+            break;
+    }
+}
+
+// ====================== 各页面专属初始化函数 ======================
+/**
+ * 首页推荐卡片（每日推荐、个性化推荐，故事页排期预览也用它展示某天的推荐效果）
+ * @param {Object} recommend - 推荐的故事
+ * @param {Object} options - { emptyTitle: 没有推荐时的标题, defaultReason: 没有推荐理由时显示的文字 }
+ */
+function renderRecommendCard(recommend, options = {}) {
+    return html`
+        <div class="recommend-card">
+            <h3>${recommend?.title || options.emptyTitle || '暂无推荐'}</h3>
+            <p>${createExcerpt(recommend?.content, 200) || '暂无内容'}</p>
+            <p class="reason"><strong>推荐理由：</strong>${recommend?.reason || options.defaultReason || '精选优质文化内容'}</p>
+            ${recommend?.id ? html`<p style="margin-top:10px;"><a href="${storyDetailUrl(recommend.id)}">阅读全文 →</a></p>` : ''}
+        </div>
+    `;
+}
+
+// 首页初始化
+async function initIndexPage() {
+    const dailyRecommendEl = document.getElementById('dailyRecommend');
+    if (dailyRecommendEl) {
+        const renderDaily = recommend => {
+            dailyRecommendEl.innerHTML = renderRecommendCard(recommend);
+        };
+        try {
+            renderDaily(await getDailyRecommend('story', {
+                onUpdate: latest => dailyRecommendEl.isConnected && renderDaily(latest)
+            }));
+        } catch (err) {
+            dailyRecommendEl.innerHTML = '<p style="text-align:center; padding:20px;">暂无每日推荐</p>';
+        }
+    }
+
+    const searchInput = document.getElementById('searchInput');
+    if (searchInput) bindSearchSuggest(searchInput);
+
+    if (isLogin) {
+        document.getElementById('personalFootprintCard')?.style.setProperty('display', 'block');
+        document.getElementById('collectionMarketCard')?.style.setProperty('display', 'block');
+
+        const personalRecommendEl = document.getElementById('personalRecommend');
+        const personalCardEl = document.getElementById('personalRecommendCard');
+        if (personalRecommendEl && personalCardEl) {
+            personalCardEl.style.display = 'block';
+            try {
+                const personal = await getPersonalRecommend();
+                personalRecommendEl.innerHTML = renderRecommendCard(personal, {
+                    emptyTitle: '暂无个性化推荐',
+                    defaultReason: '基于你的打卡足迹和收藏偏好推荐'
+                });
+            } catch (err) {
+                personalRecommendEl.innerHTML = '<p style="text-align:center; padding:10px;">暂无个性化推荐</p>';
+            }
+        }
+    }
+}
+
+// 首页搜索：跳转搜索结果页（关键词在URL中，可分享）
+function doSearch() {
+    const keyword = document.getElementById('searchInput').value.trim();
+    if (!keyword) {
+        showAlert("请输入搜索关键词！", "error");
+        return;
+    }
+    goSearch(keyword);
+}
+
+// 文化故事列表（首次初始化页面时创建，重新加载列表时保持当前页和查询条件）
+let storyDataTable = null;
+
+// 渲染文化故事表格行
+function renderStoryRow(story) {
+    const coverUrl = safeImageUrl(story.coverUrl);
+    return html`<tr>
+        ${renderSelectCell(story.id, 'story:edit story:delete')}
+        <td>${story.id || ''}</td>
+        <td><a href="${storyDetailUrl(story.id)}">${story.title || ''}</a></td>
+        <td>${createExcerpt(story.content, 50)}</td>
+        <td>${story.pushDate || ''}</td>
+        <td>${story.type === 'story' ? '文化故事' : '景点推荐'}</td>
+        <td>${story.reason || ''}</td>
+        <td>${coverUrl ? html`<img src="${coverUrl}" width="50">` : '无'}</td>
+        ${renderActionCell([
+            hasPermission('story:edit') && html`<button data-action="story-edit" data-id="${story.id}">编辑</button>`,
+            hasPermission('story:delete') && html`<button data-action="story-delete" data-id="${story.id}">删除</button>`
+        ])}
+    </tr>`;
+}
+
+// 渲染故事页的每日推荐
+function renderStoryDaily(dailyEl, recommend) {
+    if (recommend && recommend.id) {
+        const coverUrl = safeImageUrl(recommend.coverUrl);
+        dailyEl.innerHTML = html`
+            <h3 style="text-align:center; margin:10px 0;">每日推荐</h3>
+            <h4 style="padding:0 20px;">${recommend.title || '无标题'}</h4>
+            <p style="padding:0 20px; line-height:1.6;">${createExcerpt(recommend.content, 200) || '暂无内容'}</p>
+            ${coverUrl ? html`<img src="${coverUrl}" style="width:100%; margin:10px 0; border-radius:4px;">` : ''}
+            <p style="padding:0 20px; color:#666;">推荐理由：${recommend.reason || '暂无'}</p>
+            <p style="padding:0 20px;"><a href="${storyDetailUrl(recommend.id)}">阅读全文 →</a></p>
+        `;
+    } else {
+        dailyEl.innerHTML = '<p style="text-align:center; padding:20px;">暂无每日推荐</p>';
+    }
+}
+
+/**
+ * 故事表单的草稿（自动保存到localStorage，按用户区分）：新增表单一份，编辑弹窗按故事ID各一份
+ */
+function getStoryDraft(form) {
+    return bindFormDraft(form, FORM_SCHEMAS.story, () => {
+        const target = form.elements.id ? form.elements.id.value : 'new';
+        return `storyDraft:${currentUser ? currentUser.id : 'guest'}:${target}`;
+    });
+}
+
+// 文化故事页初始化
+async function initStoryPage() {
+    // story.html?id=xxx 进入详情视图
+    if (showDetailView('storyDetailView', 'storyListView')) {
+        await renderStoryDetail(getDetailId());
+        return;
+    }
+
+    const dailyEl = document.getElementById('dailyRecommend');
+    if (dailyEl) {
+        try {
+            const recommend = await getDailyRecommend('story', {
+                cancelKey: 'storyDaily',
+                loading: dailyEl.querySelector('.loading-text'),
+                onUpdate: latest => dailyEl.isConnected && renderStoryDaily(dailyEl, latest)
+            });
+            renderStoryDaily(dailyEl, recommend);
+        } catch (err) {
+            // 接口错误已显示在本次请求的加载元素中（取消说明已有更新的加载），这里只兜底其他异常
+            if (err instanceof ApiError) return;
+            dailyEl.innerHTML = '<p style="text-align:center; padding:20px; color:red;">加载失败</p>';
+        }
+    }
+
+    if (document.getElementById('storyTable')) {
+        if (!storyDataTable || !storyDataTable.mounted) {
+            storyDataTable = createDataTable({
+                tbody: '#storyTable',
+                pagination: '#storyPagination',
+                fetchPage: getStoryPage,
+                renderRow: renderStoryRow,
+                colspan: 9,
+                searchPlaceholder: '搜索故事标题...',
+                filters: [
+                    { key: 'type', label: '类型', type: 'select', options: [
+                        { value: 'story', label: '文化故事' },
+                        { value: 'spot', label: '景点推荐' }
+                    ] }
+                ],
+                emptyText: '暂无文化故事数据',
+                cancelKey: 'storyList',
+                onSelectionChange: ids => updateBatchBar('story', ids)
+            });
+        }
+        mountTableTransfer('story');
+        await storyDataTable.reload();
+    }
+
+    await loadStoryCalendar();
+
+    // 恢复未提交的新增草稿（表单首次出现时）
+    const storyForm = document.getElementById('storyForm');
+    if (storyForm && isLogin && !storyForm.dataset.draftBinded) {
+        storyForm.dataset.draftBinded = 'true';
+        getStoryDraft(storyForm).start();
+    }
+
+    // 绑定新增/编辑故事表单（仅绑定一次，前端页面无需重复绑定）
+    bindSchemaForm('#storyForm', FORM_SCHEMAS.story, async (values, form) => {
+        if (await addCultureStory(values)) {
+            alert('新增成功！');
+            form.reset();
+            getStoryDraft(form).clear();
+            await initStoryPage(); // 重新加载列表
+        }
+    });
+    bindSchemaForm('#editStoryForm', FORM_SCHEMAS.story, async (values, form) => {
+        if (await updateCultureStory(form.elements.id.value, values)) {
+            alert('编辑成功！');
+            getStoryDraft(form).clear();
+            closeStoryEditModal();
+            await initStoryPage(); // 重新加载列表
+        }
+    });
+}
+
+// 打卡记录列表（首次初始化页面时创建，重新加载列表时保持当前页和查询条件）
+let checkInDataTable = null;
+
+// 渲染打卡记录表格行（登录后每行可存为自己的足迹，发布者本人可编辑/删除）
+function renderCheckInRow(item) {
+    return html`<tr>
+        ${renderSelectCell(item.id, 'checkIn:create', canManageCheckIn(item, 'delete'))}
+        <td>${item.id || ''}</td>
+        <td>${renderUserChip(item)}</td>
+        <td>${item.checkInContent || ''}</td>
+        <td>${item.checkInTime || ''}</td>
+        <td>${renderLocationText(item)}</td>
+        ${renderActionCell([
+            isLogin && html`<button class="btn" data-action="checkin-promote" data-id="${item.id}">存为足迹</button>`,
+            canManageCheckIn(item, 'edit') && html`<button class="btn btn-edit" data-action="checkin-edit" data-id="${item.id}">编辑</button>`,
+            canManageCheckIn(item, 'delete') && html`<button class="btn btn-delete" data-action="checkin-delete" data-id="${item.id}">删除</button>`
+        ])}
+    </tr>`;
+}
+
+// 地点名称，带坐标时附“已定位”标记（鼠标悬停查看坐标）
+function renderLocationText(item) {
+    const coords = getCoords(item);
+    return html`${item.location || ''}${coords ? html` <span class="geo-tag" title="坐标：${formatCoords(coords)}">已定位</span>` : ''}`;
+}
+
+// 离线记录的同步状态：待同步 / 同步失败（被后端拒绝，鼠标悬停查看原因）
+function renderSyncBadge(item) {
+    return item.error
+        ? html`<span class="sync-badge is-failed" title="${item.error}">同步失败</span>`
+        : html`<span class="sync-badge">待同步</span>`;
+}
+
+// 渲染离线队列中的打卡（置顶显示，可放弃）
+function renderPendingCheckInRow(item) {
+    const data = item.payload || {};
+    return html`<tr class="pending-row">
+        ${renderSelectCell('', 'checkIn:create', false)}
+        <td>${renderSyncBadge(item)}</td>
+        <td>${renderUserChip(data)}</td>
+        <td>${data.checkInContent || ''}</td>
+        <td>${data.checkInTime || ''}</td>
+        <td>${renderLocationText(data)}</td>
+        ${renderActionCell([
+            html`<button class="btn btn-delete" data-action="outbox-discard" data-id="${item.id}">放弃</button>`
+        ])}
+    </tr>`;
+}
+
+// 放弃离线队列中的记录（队列变化后由 onOutboxChange 刷新列表）
+async function discardOutboxItem(id) {
+    if (!confirm('确定放弃这条未同步的记录吗？')) return;
+    try {
+        await removeOutboxItem(id);
+    } catch (err) {
+        reportError(err, '删除失败');
+    }
+}
+
+/**
+ * 把打卡存为自己的足迹：自己的打卡保留原打卡时间，他人的打卡以当前时间记录（离线时进入离线队列）
+ */
+async function promoteCheckInToFootprint(id) {
+    if (!isLogin) {
+        alert('请先登录后再保存足迹！');
+        redirectToLogin();
+        return;
+    }
+    try {
+        const item = await getCheckInById(id);
+        if (!item || !confirm(`将“${item.location || '该打卡'}”存为我的足迹吗？`)) return;
+        const result = await addUserFootprint({
+            content: item.checkInContent,
+            location: item.location,
+            latitude: item.latitude,
+            longitude: item.longitude,
+            checkInTime: isAuthor(item) && item.checkInTime ? item.checkInTime : new Date().toISOString().split('.')[0]
+        });
+        if (isQueuedResult(result)) {
+            alert('网络不可用，足迹已保存在本地，联网后自动同步');
+        } else if (result) {
+            showAlert('已存为我的足迹', 'success');
+        }
+    } catch (err) {
+        reportError(err, '保存足迹失败');
+    }
+}
+
+// 打卡页初始化
+async function initCheckInPage() {
+    if (document.getElementById('checkInTable')) {
+        if (!checkInDataTable || !checkInDataTable.mounted) {
+            checkInDataTable = createDataTable({
+                tbody: '#checkInTable',
+                pagination: '#checkInPagination',
+                fetchPage: getCheckInPage,
+                renderRow: renderCheckInRow,
+                colspan: 7,
+                searchPlaceholder: '搜索打卡内容...',
+                filters: [
+                    { key: 'location', label: '地点', type: 'text', placeholder: '如：故宫' },
+                    { key: 'userId', label: '用户', type: 'text', placeholder: '用户ID' }
+                ],
+                emptyText: '暂无打卡记录',
+                cancelKey: 'checkInList',
+                onSelectionChange: ids => updateBatchBar('checkIn', ids),
+                pinnedRows: async () => (await getOutboxItems('checkIn')).map(renderPendingCheckInRow)
+            });
+        }
+        mountTableTransfer('checkIn');
+        await checkInDataTable.reload();
+    }
+
+    // 绑定新增/编辑打卡表单
+    bindSchemaForm('#checkInForm', FORM_SCHEMAS.checkIn, async (values, form) => {
+        const result = await addCheckIn(values);
+        if (isQueuedResult(result)) {
+            // 待同步行由离线队列变化通知刷新
+            alert('网络不可用，打卡已保存在本地，联网后自动同步');
+            form.reset();
+        } else if (result) {
+            alert('打卡成功！');
+            form.reset();
+            await initCheckInPage(); // 重新加载列表
+        }
+    });
+    bindSchemaForm('#editCheckInForm', FORM_SCHEMAS.checkIn, async (values, form) => {
+        if (await updateCheckIn(form.elements.id.value, values)) {
+            alert('编辑成功！');
+            closeCheckInEditModal();
+            await initCheckInPage(); // 重新加载列表
+        }
+    });
+}
+
+// 数字藏品列表（首次初始化页面时创建，重新加载列表时保持当前页和查询条件）
+let collectionDataTable = null;
+
+// 渲染数字藏品表格行
+function renderCollectionRow(item) {
+    const coverUrl = safeImageUrl(item.collectionCoverUrl);
+    return html`<tr>
+        ${renderSelectCell(item.id, 'collection:edit collection:delete')}
+        <td>${item.id || ''}</td>
+        <td><a href="${collectionDetailUrl(item.id)}">${item.name || ''}</a></td>
+        <td>${item.creator || ''}</td>
+        <td>${item.creatorInfo?.substring(0, 30) || ''}...</td>
+        <td>${item.price || 0} 元</td>
+        <td>${item.stock || 0}</td>
+        <td>${item.blockchainId || '无'}</td>
+        <td>${coverUrl ? html`<img src="${coverUrl}" width="50">` : '无'}</td>
+        <td><button data-action="collection-view" data-id="${item.id}">查看</button></td>
+        ${renderActionCell([
+            hasPermission('collection:edit') && html`<button data-action="collection-edit" data-id="${item.id}">编辑</button>`,
+            hasPermission('collection:delete') && html`<button data-action="collection-delete" data-id="${item.id}">删除</button>`
+        ])}
+    </tr>`;
+}
+
+// 数字藏品页初始化
+async function initCollectionPage() {
+    // collection.html?id=xxx 进入详情视图
+    if (showDetailView('collectionDetailView', 'collectionListView')) {
+        await renderCollectionDetail(getDetailId());
+        return;
+    }
+
+    if (document.getElementById('collectionTable')) {
+        if (!collectionDataTable || !collectionDataTable.mounted) {
+            collectionDataTable = createDataTable({
+                tbody: '#collectionTable',
+                pagination: '#collectionPagination',
+                fetchPage: getCollectionPage,
+                renderRow: renderCollectionRow,
+                colspan: 11,
+                searchPlaceholder: '搜索藏品名称...',
+                filters: [
+                    { key: 'creator', label: '创作者', type: 'text', placeholder: '创作者名称' }
+                ],
+                emptyText: '暂无数字藏品',
+                cancelKey: 'collectionList',
+                onSelectionChange: ids => updateBatchBar('collection', ids)
+            });
+        }
+        mountTableTransfer('collection');
+        await collectionDataTable.reload();
+    }
+
+    // 绑定新增/编辑藏品表单
+    bindSchemaForm('#collectionForm', FORM_SCHEMAS.collection, async (values, form) => {
+        if (await addCultureCollection(values)) {
+            alert('新增藏品成功！');
+            form.reset();
+            await initCollectionPage();
+        }
+    });
+    bindSchemaForm('#editCollectionForm', FORM_SCHEMAS.collection, async (values, form) => {
+        if (await updateCultureCollection(form.elements.id.value, values)) {
+            alert('编辑成功！');
+            closeCollectionEditModal();
+            await initCollectionPage(); // 重新加载列表
+        }
+    });
+}
+
+// 渲染个人足迹行（多张图片逗号分隔）
+function renderFootprintRow(item) {
+    const imgUrls = parseUrlList(item.footprintImg).map(url => safeImageUrl(url)).filter(Boolean);
+    return html`<tr>
+        <td>${item.id || ''}</td>
+        <td>${item.content || ''}</td>
+        <td>${renderLocationText(item)}</td>
+        <td>${item.checkInTime || ''}</td>
+        <td>${imgUrls.length > 0 ? imgUrls.map(url => html`<img src="${url}" width="60" class="footprint-thumb">`) : '-'}</td>
+        <td>
+            ${canLocateFootprint(item) ? html`<button class="btn" data-action="footprint-locate" data-id="${item.id}">地图</button>` : ''}
+            <button class="btn btn-delete" data-action="footprint-delete" data-id="${item.id}">删除</button>
+        </td>
+    </tr>`;
+}
+
+// 渲染离线队列中的足迹（置顶显示，可放弃）
+function renderPendingFootprintRow(item) {
+    const data = item.payload || {};
+    const imgUrls = parseUrlList(data.footprintImg).map(url => safeImageUrl(url)).filter(Boolean);
+    return html`<tr class="pending-row">
+        <td>${renderSyncBadge(item)}</td>
+        <td>${data.content || ''}</td>
+        <td>${renderLocationText(data)}</td>
+        <td>${data.checkInTime || ''}</td>
+        <td>${imgUrls.length > 0 ? imgUrls.map(url => html`<img src="${url}" width="60" class="footprint-thumb">`) : '-'}</td>
+        <td><button class="btn btn-delete" data-action="outbox-discard" data-id="${item.id}">放弃</button></td>
+    </tr>`;
+}
+
+// 个人足迹地图（首次初始化页面时创建，路由切换视图后重新创建）
+let footprintMap = null;
+
+// 足迹地图弹窗内容
+function renderFootprintPopup(item) {
+    const imgUrl = parseUrlList(item.footprintImg).map(url => safeImageUrl(url)).find(Boolean);
+    return html`<div class="map-popup">
+        <strong>${item.location || '未填写地点'}</strong>
+        ${item.content ? html`<p>${item.content}</p>` : ''}
+        ${imgUrl ? html`<img src="${imgUrl}" alt="足迹图片">` : ''}
+        <small>${item.checkInTime || ''}</small>
+    </div>`;
+}
+
+// 带坐标的足迹标到地图上，未记录坐标的条数显示在地图下方
+function updateFootprintMap(list) {
+    if (!footprintMap || !footprintMap.mounted) return;
+    const points = [];
+    let missing = 0;
+    (list || []).forEach(item => {
+        const coords = getCoords(item);
+        if (coords) {
+            points.push({ id: item.id, lat: coords.lat, lng: coords.lng, popup: renderFootprintPopup(item) });
+        } else {
+            missing++;
+        }
+    });
+    footprintMap.setPoints(points);
+    const noteEl = document.getElementById('footprintMapNote');
+    if (noteEl) noteEl.textContent = missing > 0 ? `${missing} 条足迹未记录坐标，未在地图上显示` : '';
+}
+
+// 删除一条足迹，成功后重新加载足迹列表和地图
+async function removeFootprint(id) {
+    try {
+        if (await deleteFootprint(id) === null) return;
+        showAlert('删除成功', 'success');
+        await loadFootprintList();
+    } catch (err) {
+        reportError(err, '删除失败');
+    }
+}
+
+// 开启足迹地图（APP_CONFIG.map）且记录了坐标的足迹才显示“地图”按钮
+function canLocateFootprint(item) {
+    return MAP_CONFIG.enabled && !!getCoords(item);
+}
+
+// 列表中点击“地图”：滚动到地图并打开该足迹的弹窗
+function locateFootprint(id) {
+    if (!footprintMap || !footprintMap.mounted) return;
+    document.getElementById('footprintMap').scrollIntoView({ behavior: 'smooth', block: 'center' });
+    footprintMap.focus(id);
+}
+
+// 足迹时间线中的一条（离线队列中的足迹带同步状态，可放弃）
+function renderTimelineItem(item, pending) {
+    const data = pending ? item.payload || {} : item;
+    const imgUrls = parseUrlList(data.footprintImg).map(url => safeImageUrl(url)).filter(Boolean);
+    return html`<li class="timeline-item${pending ? ' pending-row' : ''}">
+        <time>${formatFootprintTime(data.checkInTime)}</time>
+        <div class="timeline-body">
+            <div class="timeline-title">
+                ${pending ? renderSyncBadge(item) : ''}
+                <strong>${renderLocationText(data)}</strong>
+            </div>
+            ${data.content ? html`<p>${data.content}</p>` : ''}
+            ${imgUrls.length > 0 ? html`<div>${imgUrls.map(url => html`<img src="${url}" width="60" class="footprint-thumb">`)}</div>` : ''}
+            <div class="timeline-actions">
+                ${pending
+                    ? html`<button class="btn btn-delete" data-action="outbox-discard" data-id="${item.id}">放弃</button>`
+                    : html`${canLocateFootprint(item) ? html`<button class="btn" data-action="footprint-locate" data-id="${item.id}">地图</button>` : ''}
+                        <button class="btn btn-delete" data-action="footprint-delete" data-id="${item.id}">删除</button>`}
+            </div>
+        </div>
+    </li>`;
+}
+
+// 足迹时间线：按月分组，离线队列中的足迹单独放在最前
+function renderFootprintTimeline(list, pendingItems) {
+    const groups = groupFootprintsByMonth(list);
+    if (groups.length === 0 && pendingItems.length === 0) return html`<p class="timeline-empty">暂无个人足迹</p>`;
+    return html`
+        ${pendingItems.length > 0 ? html`<section class="timeline-month">
+            <h3>待同步<span>（${pendingItems.length}条）</span></h3>
+            <ul class="timeline-list">${pendingItems.map(item => renderTimelineItem(item, true))}</ul>
+        </section>` : ''}
+        ${groups.map(group => html`<section class="timeline-month">
+            <h3>${group.label}<span>（${group.items.length}条）</span></h3>
+            <ul class="timeline-list">${group.items.map(item => renderTimelineItem(item, false))}</ul>
+        </section>`)}
+    `;
+}
+
+// 足迹统计：打卡次数、不同地点、连续打卡、常去地点，以及全部成就（未解锁的显示进度）
+function renderFootprintStats(stats) {
+    const badges = evaluateBadges(stats);
+    return html`
+        <div class="stats-grid">
+            <div class="stat-item"><strong>${stats.total}</strong><span>累计打卡</span></div>
+            <div class="stat-item"><strong>${stats.distinctLocations}</strong><span>到访地点</span></div>
+            <div class="stat-item"><strong>${stats.currentStreak}</strong><span>当前连续（天）</span></div>
+            <div class="stat-item"><strong>${stats.longestStreak}</strong><span>最长连续（天）</span></div>
+        </div>
+        <h3>常去地点</h3>
+        ${stats.topLocations.length > 0
+            ? html`<ol class="top-places">${stats.topLocations.map(place => html`<li>${place.location}<span>${place.count}次</span></li>`)}</ol>`
+            : html`<p class="stats-empty">还没有打卡地点</p>`}
+        <h3>成就<span class="badge-count">（${badges.filter(badge => badge.unlocked).length}/${badges.length}）</span></h3>
+        <div class="badge-list">${badges.map(badge => html`
+            <div class="badge-card${badge.unlocked ? ' is-unlocked' : ''}" title="${badge.description}">
+                <strong>${badge.name}</strong>
+                <span>${badge.description}</span>
+                ${badge.unlocked
+                    ? html`<em>已解锁</em>`
+                    : html`<div class="badge-progress"><span style="width:${Math.round(badge.value / badge.target * 100)}%"></span></div><em>${badge.value}/${badge.target}</em>`}
+            </div>
+        `)}</div>
+    `;
+}
+
+// 当前足迹视图：timeline | list（?view=list）
+let footprintView = 'timeline';
+
+/**
+ * 切换足迹视图：时间线 / 列表，同步到URL参数
+ */
+function switchFootprintView(view) {
+    footprintView = view === 'list' ? 'list' : 'timeline';
+    const timelineView = document.getElementById('footprintTimeline');
+    const listView = document.getElementById('footprintListView');
+    if (timelineView) timelineView.style.display = footprintView === 'timeline' ? 'block' : 'none';
+    if (listView) listView.style.display = footprintView === 'list' ? 'block' : 'none';
+    document.querySelectorAll('.footprint-tabs [data-view]').forEach(tab => {
+        tab.classList.toggle('active', tab.dataset.view === footprintView);
+    });
+    const url = new URL(window.location.href);
+    if (footprintView === 'list') {
+        url.searchParams.set('view', 'list');
+    } else {
+        url.searchParams.delete('view');
+    }
+    window.history.replaceState(window.history.state, '', url.toString());
+}
+
+// 加载个人足迹（时间线、列表、统计、地图共用一次请求；离线队列中的足迹置顶显示，接口失败时仍保留）
+async function loadFootprintList() {
+    const footprintTable = document.getElementById('footprintTable');
+    if (!footprintTable) return;
+    const timelineEl = document.getElementById('footprintTimeline');
+    const statsEl = document.getElementById('footprintStats');
+    const pendingItems = await getOutboxItems('footprint');
+    const pendingRows = pendingItems.map(renderPendingFootprintRow);
+    // 加载行只随本列表的请求变化
+    footprintTable.innerHTML = html`${pendingRows}<tr><td colspan="6" class="loading-text" style="text-align:center;">加载中...</td></tr>`;
+    const pendingTimeline = pendingItems.length > 0 ? renderFootprintTimeline([], pendingItems) : '';
+    if (timelineEl) timelineEl.innerHTML = html`${pendingTimeline}<p class="loading-text">加载中...</p>`;
+    try {
+        // 加载/错误提示显示在当前视图中
+        const loadingEl = (footprintView === 'timeline' && timelineEl ? timelineEl : footprintTable).querySelector('.loading-text');
+        const list = await getMyFootprint({
+            cancelKey: 'footprintList',
+            loading: loadingEl
+        }) || [];
+        updateFootprintMap(list);
+        if (timelineEl) timelineEl.innerHTML = renderFootprintTimeline(list, pendingItems);
+        if (statsEl) statsEl.innerHTML = renderFootprintStats(computeFootprintStats(list));
+        refreshUserBadges(list);
+
+        if (list.length > 0) {
+            footprintTable.innerHTML = html`${pendingRows}${list.map(renderFootprintRow)}`;
+        } else if (pendingRows.length > 0) {
+            footprintTable.innerHTML = html`${pendingRows}`;
+        } else {
+            footprintTable.innerHTML = '<tr><td colspan="6" style="text-align:center;">暂无个人足迹</td></tr>';
+        }
+    } catch (err) {
+        // 接口错误已显示在本次请求的加载元素中（取消说明已有更新的加载），这里只兜底其他异常
+        if (err instanceof ApiError) return;
+        console.error('足迹渲染失败：', err);
+        footprintTable.innerHTML = html`${pendingRows}<tr><td colspan="6" style="color:red; text-align:center;">加载失败，请重试</td></tr>`;
+        if (timelineEl) timelineEl.innerHTML = html`${pendingTimeline}<p class="timeline-empty" style="color:red;">加载失败，请重试</p>`;
+    }
+}
+
+// 个人足迹页初始化
+async function initFootprintPage() {
+    if (!isLogin) {
+        alert('请先登录！');
+        redirectToLogin();
+        return;
+    }
+
+    const mapEl = document.getElementById('footprintMap');
+    if (mapEl) {
+        // 未开启地图时不加载第三方脚本和瓦片，整块隐藏
+        mapEl.closest('.card').hidden = !MAP_CONFIG.enabled;
+        if (MAP_CONFIG.enabled && (!footprintMap || !footprintMap.mounted)) {
+            footprintMap = createFootprintMap(mapEl);
+        }
+    }
+    const tabs = document.querySelector('.footprint-tabs');
+    if (tabs && !tabs.dataset.binded) {
+        tabs.dataset.binded = 'true';
+        tabs.querySelectorAll('[data-view]').forEach(tab => {
+            tab.addEventListener('click', () => switchFootprintView(tab.dataset.view));
+        });
+        switchFootprintView(new URLSearchParams(window.location.search).get('view'));
+    }
+    await loadFootprintList();
+
+    // 绑定新增足迹表单（打卡时间取提交时刻）
+    bindSchemaForm('#footprintForm', FORM_SCHEMAS.footprint, async (values, form) => {
+        const footData = Object.assign({}, values, { checkInTime: new Date().toISOString().split('.')[0] });
+        const result = await addUserFootprint(footData);
+        if (isQueuedResult(result)) {
+            // 待同步行由离线队列变化通知刷新
+            alert('网络不可用，足迹已保存在本地，联网后自动同步');
+            form.reset();
+        } else if (result) {
+            alert('足迹打卡成功！');
+            form.reset();
+            await initFootprintPage();
+        }
+    });
+}
+
+// ====================== 列表导入导出 ======================
+/**
+ * 批量导入逐条提交时的请求选项：错误记在导入结果中，不逐条弹出提示（登录失效时停止导入，不弹登录框）
+ */
+const BULK_REQUEST_OPTIONS = { silent: true };
+
+/**
+ * 各列表的导出/批量导入配置（createTableTransfer的选项，见 js/table-transfer.js）：
+ * 列和校验规则取自FORM_SCHEMAS，导入逐行调用与新增表单相同的接口函数；getTable为对应的列表（导出沿用其筛选条件）
+ */
+const TABLE_TRANSFERS = {
+    story: {
+        label: '文化故事',
+        schema: FORM_SCHEMAS.story,
+        permission: 'story:create',
+        fetchPage: getStoryPage,
+        submit: values => addCultureStory(values, BULK_REQUEST_OPTIONS),
+        previewFields: ['title', 'pushDate', 'type'],
+        getTable: () => storyDataTable
+    },
+    collection: {
+        label: '数字藏品',
+        schema: FORM_SCHEMAS.collection,
+        permission: 'collection:create',
+        fetchPage: getCollectionPage,
+        submit: values => addCultureCollection(values, BULK_REQUEST_OPTIONS),
+        previewFields: ['name', 'creator', 'price'],
+        getTable: () => collectionDataTable
+    },
+    // 打卡导入时发布者为当前登录用户（表格中的用户ID列忽略），离线时与打卡表单一样进入离线队列
+    checkIn: {
+        label: '打卡记录',
+        schema: FORM_SCHEMAS.checkIn,
+        permission: 'checkIn:create',
+        fetchPage: getCheckInPage,
+        submit: values => addCheckIn(values, BULK_REQUEST_OPTIONS),
+        previewFields: ['checkInContent', 'checkInTime', 'location'],
+        getTable: () => checkInDataTable
+    }
+};
+
+/**
+ * 挂载列表的导入导出工具栏：页面中的 data-table-transfer="story" 等容器（路由切换视图后的新容器重新挂载）
+ */
+function mountTableTransfer(name) {
+    const el = document.querySelector(`[data-table-transfer="${name}"]`);
+    if (!el || el.dataset.binded) return;
+    const config = TABLE_TRANSFERS[name];
+    createTableTransfer(el, Object.assign({
+        fileName: config.label,
+        getQuery: () => (config.getTable() ? config.getTable().getQuery() : {}),
+        canImport: () => checkPermission(config.permission),
+        // 网络断开、登录失效时后面的行同样会失败，停止导入
+        shouldStop: error => error instanceof NetworkError || error instanceof AuthError,
+        onImported: async count => {
+            showAlert(`已导入${count}条${config.label}`, 'success');
+            const table = config.getTable();
+            if (table && table.mounted) await table.reload();
+        }
+    }, config));
+    applyPermissions(el);
+}
+
+// ====================== 批量操作 ======================
+// 批量操作同时进行的请求数上限
+const BATCH_CONCURRENCY = 4;
+
+// 批量删除逐条调用删除函数时的选项：已统一确认，错误汇总后一次提示
+const BATCH_DELETE_OPTIONS = Object.assign({ confirmed: true }, BULK_REQUEST_OPTIONS);
+
+/**
+ * 各列表的批量操作：页面中 data-batch-bar="story" 等操作栏，勾选表格行后显示
+ * permission为批量删除所需权限，remove为不再逐条确认的删除，refresh在操作结束后重新加载页面数据
+ */
+const BATCH_TARGETS = {
+    story: {
+        label: '故事',
+        permission: 'story:delete',
+        getTable: () => storyDataTable,
+        remove: id => deleteCultureStory(id, BATCH_DELETE_OPTIONS),
+        refresh: () => initStoryPage()
+    },
+    collection: {
+        label: '藏品',
+        permission: 'collection:delete',
+        getTable: () => collectionDataTable,
+        remove: id => deleteCultureCollection(id, BATCH_DELETE_OPTIONS),
+        refresh: () => initCollectionPage()
+    },
+    // 打卡只能勾选自己能删除的行（本人或管理员），这里只要求登录
+    checkIn: {
+        label: '打卡记录',
+        permission: 'checkIn:create',
+        getTable: () => checkInDataTable,
+        remove: id => deleteCheckIn(id, BATCH_DELETE_OPTIONS),
+        refresh: () => initCheckInPage()
+    }
+};
+
+// 正在执行批量操作的列表（期间操作栏禁用）
+const runningBatches = new Set();
+
+/**
+ * 选中行变化时更新操作栏：未选中时隐藏，显示已选数量
+ */
+function updateBatchBar(name, ids) {
+    const bar = document.querySelector(`[data-batch-bar="${name}"]`);
+    if (!bar || runningBatches.has(name)) return;
+    bar.hidden = ids.length === 0;
+    bar.querySelector('[data-batch-count]').textContent = `已选 ${ids.length} 项`;
+}
+
+/**
+ * 对选中的行执行批量操作：最多BATCH_CONCURRENCY条同时进行，网络断开或登录失效时停止剩余的行；
+ * 全部结束后一次提示成功/失败汇总并重新加载，失败和未执行的行保持选中便于重试
+ * @param {String} name - BATCH_TARGETS中的列表
+ * @param {String} actionText - 操作名称（如“删除”），用于进度和结果提示
+ * @param {Function} worker - 处理一行，参数为行ID，返回Promise
+ */
+async function runBatchAction(name, actionText, worker) {
+    const target = BATCH_TARGETS[name];
+    const table = target.getTable();
+    if (!table || runningBatches.has(name)) return;
+    const ids = table.selectedIds;
+    if (ids.length === 0) return;
+
+    const bar = document.querySelector(`[data-batch-bar="${name}"]`);
+    const countEl = bar && bar.querySelector('[data-batch-count]');
+    const controls = bar ? Array.from(bar.querySelectorAll('button, select, input')) : [];
+    runningBatches.add(name);
+    controls.forEach(control => control.disabled = true);
+    let results;
+    try {
+        results = await runInBatches(ids, worker, {
+            batchSize: BATCH_CONCURRENCY,
+            shouldStop: error => error instanceof NetworkError || error instanceof AuthError,
+            onProgress: progress => {
+                if (countEl) countEl.textContent = `正在${actionText} ${progress.length} / ${ids.length}`;
+            }
+        });
+    } finally {
+        runningBatches.delete(name);
+        controls.forEach(control => control.disabled = false);
+    }
+
+    const failed = results.filter(result => !result.ok);
+    const skipped = ids.length - results.length;
+    let summary = `${actionText}${target.label}：成功${results.length - failed.length}条`;
+    if (failed.length > 0) summary += `，失败${failed.length}条`;
+    if (skipped > 0) summary += `，已停止，${skipped}条未执行`;
+    if (failed.length > 0 || skipped > 0) {
+        // 失败原因逐条列出（过多时只列前10条）
+        const details = failed.slice(0, 10).map(result => `ID ${result.item}：${getErrorMessage(result.error)}`);
+        if (failed.length > 10) details.push(`……共${failed.length}条失败`);
+        alert([summary].concat(details).join('\n'));
+    } else {
+        showAlert(summary, 'success');
+    }
+    const succeededIds = results.filter(result => result.ok).map(result => result.item);
+    table.setSelection(ids.filter(id => !succeededIds.includes(id)));
+    await target.refresh();
+}
+
+/**
+ * 批量删除选中的行（统一确认一次）
+ */
+async function batchDelete(name) {
+    const target = BATCH_TARGETS[name];
+    const table = target.getTable();
+    if (!table || !checkPermission(target.permission)) return;
+    const count = table.selectedIds.length;
+    if (count === 0 || !confirm(`确定删除选中的${count}条${target.label}吗？删除后不可恢复。`)) return;
+    await runBatchAction(name, '删除', target.remove);
+}
 
-// ====================== 登录状态相关 ======================
 /**
- * 初始化登录状态（核心修改：不走全局request函数，避免401强制跳转）
+ * 行内删除单条记录：删除成功后和批量操作一样移出已选并重新加载页面
+ * @param {String} name - BATCH_TARGETS中的列表名
+ * @param {String} id - 记录ID
+ * @param {Function} remove - 删除函数（含确认），取消或无权限时返回null
  */
-async function initLoginStatus() {
+async function removeListItem(name, id, remove) {
+    const target = BATCH_TARGETS[name];
     try {
-        // 手动发请求，单独处理结果，不触发全局401拦截
-        const response = await fetch('http://localhost:8081/user/current', {
-            method: 'GET',
-            credentials: 'include', // 携带cookie
-            headers: {
-                'Content-Type': 'application/json;charset=utf-8'
-            }
-        });
-        const result = await response.json();
-        
-        // 仅当接口返回成功时，才标记为登录状态
-        if (result.code === 200 || result.code === "200") {
-            isLogin = true;
-            currentUser = result.data;
-            // 补全默认头像（兼容avatar和avatarUrl字段）
-            if (!currentUser.avatarUrl && currentUser.avatar) {
-                currentUser.avatarUrl = currentUser.avatar;
-            }
-            if (!currentUser.avatarUrl) {
-                currentUser.avatarUrl = DEFAULT_AVATAR;
-            }
-        } else {
-            // 接口返回失败（含401），仅置空状态，不跳转
-            isLogin = false;
-            currentUser = null;
-        }
+        if (await remove(id) === null) return;
+        showAlert(`${target.label}已删除`, 'success');
+        const table = target.getTable();
+        if (table) table.setSelection(table.selectedIds.filter(selected => String(selected) !== String(id)));
+        await target.refresh();
     } catch (err) {
-        // 请求失败（网络/接口不存在），仅置空状态，不跳转
-        console.log('未检测到登录状态：', err);
-        isLogin = false;
-        currentUser = null;
+        reportError(err, '删除失败');
     }
-    // 更新页面登录信息展示
-    updateLoginButton();
 }
 
 /**
- * 更新页面右上角登录信息展示（兼容loginBtn和loginContainer两种ID）
+ * 批量修改选中故事的类型（按最新的故事数据提交，只改type）
  */
-function updateLoginButton() {
-    // 兼容原有loginBtn，同时支持新的loginContainer
-    const loginBtn = document.getElementById('loginBtn');
-    const loginContainer = document.getElementById('loginContainer');
-    const targetEl = loginContainer || loginBtn;
-    
-    if (!targetEl) return;
-    
-    if (isLogin && currentUser) {
-        // 登录后展示：适配index.html的CSS类，解决文字看不见问题
-        targetEl.innerHTML = `
-            <div class="user-info">
-                <img src="${currentUser.avatarUrl || DEFAULT_AVATAR}" alt="头像" class="user-avatar">
-                <span>${currentUser.nickname || currentUser.username}</span>
-                <button class="user-menu-btn" onclick="toggleUserMenu(event)">▼</button>
-                <!-- 下拉菜单：使用页面定义的CSS类 -->
-                <div id="userMenuDropdown" class="user-dropdown">
-                    <a class="dropdown-item" onclick="logout()">退出登录</a>
-                    <a class="dropdown-item" onclick="switchAccount()">切换账号</a>
-                </div>
-            </div>
-        `;
-    } else {
-        // 未登录展示：登录/注册按钮
-        targetEl.innerHTML = '<a href="login.html" class="login-link">登录/注册</a>';
-    }
+async function batchChangeStoryType() {
+    const table = BATCH_TARGETS.story.getTable();
+    const select = document.getElementById('batchStoryType');
+    if (!table || !select || !checkPermission('story:edit')) return;
+    const type = STORY_TYPES.find(item => item.value === select.value);
+    const count = table.selectedIds.length;
+    if (!type || count === 0 || !confirm(`确定把选中的${count}个故事改为“${type.label}”吗？`)) return;
+    await runBatchAction('story', '修改类型', async id => {
+        const story = await getStoryById(id, { cache: false, silent: true });
+        const values = Object.assign(toFormValues(FORM_SCHEMAS.story, story), { type: type.value });
+        return await updateCultureStory(id, values, BULK_REQUEST_OPTIONS);
+    });
 }
 
 /**
- * 切换用户下拉菜单显示/隐藏（适配页面CSS类）
+ * 藏品批量调整方式：计算新的价格/库存（结果按FORM_SCHEMAS.collection校验，如库存减到负数时该条失败）
  */
-function toggleUserMenu(e) {
-    e.stopPropagation(); // 阻止事件冒泡
-    const dropdown = document.getElementById('userMenuDropdown');
-    if (dropdown) {
-        // 切换show类控制显示/隐藏，匹配页面CSS
-        dropdown.classList.toggle('show');
-        // 点击其他区域关闭菜单
-        document.addEventListener('click', () => {
-            dropdown.classList.remove('show');
-        }, { once: true }); // 只执行一次，避免重复绑定
+const COLLECTION_ADJUSTMENTS = {
+    'price-set': { field: 'price', label: '价格设为', apply: (current, value) => value },
+    'price-percent': { field: 'price', label: '价格调整（%）', apply: (current, value) => Math.round(current * (100 + value)) / 100 },
+    'stock-set': { field: 'stock', label: '库存设为', integer: true, apply: (current, value) => value },
+    'stock-add': { field: 'stock', label: '库存增减', integer: true, apply: (current, value) => current + value }
+};
+
+/**
+ * 批量调整选中藏品的价格或库存（按最新的藏品数据计算和提交）
+ */
+async function batchAdjustCollections() {
+    const table = BATCH_TARGETS.collection.getTable();
+    const modeEl = document.getElementById('batchAdjustMode');
+    const valueEl = document.getElementById('batchAdjustValue');
+    if (!table || !modeEl || !valueEl || !checkPermission('collection:edit')) return;
+    const adjustment = COLLECTION_ADJUSTMENTS[modeEl.value];
+    const value = Number(valueEl.value);
+    if (!adjustment || valueEl.value.trim() === '' || !isFinite(value)) {
+        showAlert('请输入调整的数值', 'error');
+        valueEl.focus();
+        return;
+    }
+    if (adjustment.integer && !Number.isInteger(value)) {
+        showAlert('库存必须是整数', 'error');
+        valueEl.focus();
+        return;
     }
+    const count = table.selectedIds.length;
+    if (count === 0 || !confirm(`确定对选中的${count}个藏品执行“${adjustment.label} ${value}”吗？`)) return;
+    await runBatchAction('collection', '调整', async id => {
+        const item = await getCollectionById(id, { cache: false, silent: true });
+        const values = toFormValues(FORM_SCHEMAS.collection, item);
+        values[adjustment.field] = adjustment.apply(Number(values[adjustment.field]) || 0, value);
+        return await updateCultureCollection(id, values, BULK_REQUEST_OPTIONS);
+    });
+    valueEl.value = '';
 }
 
+// ====================== 每日推荐排期 ======================
 /**
- * 退出登录
+ * 故事页的排期日历（编辑可见）：按发布日期（pushDate）和类型显示每天的每日推荐
+ * 同一天同类型有多条时标为冲突（getDailyRecommend只会返回其中一条），今天起没有排期的类型标为空缺
+ * 拖动故事到其他日期即改期（预览中也可选择日期），预览沿用首页推荐卡片
  */
-async function logout() {
-    try {
-        await request('http://localhost:8081/user/logout', 'POST');
-    } catch (e) {
-        console.log('退出登录接口未实现，模拟退出');
+const STORY_TYPES = [
+    { value: 'story', label: '文化故事', short: '故事' },
+    { value: 'spot', label: '景点推荐', short: '景点' }
+];
+
+// 排期日历（首次初始化页面时创建，重新加载时保持当前月份和选中日期）
+let storyCalendar = null;
+// 日历用的全部故事，及按日期、类型分组后的排期（只含筛选的类型）
+let calendarStories = [];
+let storySchedule = {};
+
+/**
+ * 故事的排期日期（pushDate可能带时间，只取日期部分）
+ */
+function getStoryDateKey(story) {
+    return String(story?.pushDate || '').slice(0, 10);
+}
+
+/**
+ * 按日期和类型分组：{ '2024-05-01': { story: [...], spot: [...] } }
+ */
+function buildStorySchedule(stories) {
+    const schedule = {};
+    (stories || []).forEach(story => {
+        const dayKey = getStoryDateKey(story);
+        if (!dayKey) return;
+        schedule[dayKey] = schedule[dayKey] || {};
+        (schedule[dayKey][story.type] = schedule[dayKey][story.type] || []).push(story);
+    });
+    return schedule;
+}
+
+// 日历显示的类型（按页面上的类型筛选）
+function getCalendarTypes() {
+    const filter = document.getElementById('calendarTypeFilter')?.value || '';
+    return STORY_TYPES.filter(type => !filter || type.value === filter);
+}
+
+/**
+ * 某天的排期问题：conflicts 同类型多于一条的类型，gaps 没有排期的类型（只看今天及以后）
+ */
+function getScheduleIssues(dayKey) {
+    const day = storySchedule[dayKey] || {};
+    const types = getCalendarTypes();
+    return {
+        conflicts: types.filter(type => (day[type.value] || []).length > 1),
+        gaps: dayKey >= toDayKey(new Date()) ? types.filter(type => !(day[type.value] || []).length) : []
+    };
+}
+
+// 日历格子内容：当天的故事（可拖动）和空缺的类型
+function renderStoryCalendarDay(dayKey) {
+    const day = storySchedule[dayKey] || {};
+    const { conflicts, gaps } = getScheduleIssues(dayKey);
+    return html`
+        ${getCalendarTypes().map(type => (day[type.value] || []).map(story => html`
+            <div class="calendar-story type-${type.value} ${conflicts.includes(type) ? 'is-conflict' : ''}"
+                 draggable="true" data-calendar-item="${story.id}" title="${type.label}：${story.title || '无标题'}">${story.title || '无标题'}</div>
+        `))}
+        ${gaps.length > 0 ? html`<div class="calendar-gap">缺${gaps.map(type => type.short).join('、')}</div>` : ''}
+    `;
+}
+
+function getStoryCalendarDayClass(dayKey) {
+    const { conflicts, gaps } = getScheduleIssues(dayKey);
+    if (conflicts.length > 0) return 'has-conflict';
+    return gaps.length > 0 ? 'has-gap' : '';
+}
+
+// 本月排期概况
+function renderStoryCalendarSummary() {
+    const summaryEl = document.getElementById('calendarSummary');
+    if (!summaryEl || !storyCalendar) return;
+    let conflictDays = 0;
+    let gapDays = 0;
+    const days = new Date(storyCalendar.year, storyCalendar.month, 0).getDate();
+    for (let day = 1; day <= days; day++) {
+        const { conflicts, gaps } = getScheduleIssues(toDayKey(new Date(storyCalendar.year, storyCalendar.month - 1, day)));
+        if (conflicts.length > 0) conflictDays++;
+        if (gaps.length > 0) gapDays++;
     }
-    isLogin = false;
-    currentUser = null;
-    updateLoginButton();
-    alert('退出成功！');
-    window.location.href = 'index.html';
+    summaryEl.innerHTML = conflictDays === 0 && gapDays === 0
+        ? '本月排期完整'
+        : html`本月 <strong class="${conflictDays > 0 ? 'is-danger' : ''}">${conflictDays}</strong> 天冲突，<strong>${gapDays}</strong> 天未排满（今天起）`;
+}
+
+// 选中日期的推荐预览（每种类型按首页卡片显示，可直接选择日期改期）
+function renderStoryCalendarPreview() {
+    const previewEl = document.getElementById('calendarPreview');
+    if (!previewEl || !storyCalendar || !storyCalendar.selected) return;
+    const dayKey = storyCalendar.selected;
+    const todayKey = toDayKey(new Date());
+    const dayName = { [todayKey]: '（今天）', [toDayKey(addDays(new Date(), 1))]: '（明天）' }[dayKey] || '';
+    const day = storySchedule[dayKey] || {};
+    previewEl.innerHTML = html`
+        <h3>${dayKey}${dayName} 推荐预览</h3>
+        ${getCalendarTypes().map(type => {
+            const stories = day[type.value] || [];
+            return html`
+                <div class="calendar-preview-type">
+                    <h4>${type.label}</h4>
+                    ${stories.length > 1 ? html`<p class="calendar-warning">当天有 ${stories.length} 条${type.label}，每日推荐只会展示其中一条，请把多余的改到其他日期</p>` : ''}
+                    ${stories.length === 0
+                        ? html`<p class="calendar-empty">${dayKey < todayKey ? '当天没有' : '尚未排期'}${type.label}</p>`
+                        : stories.map(story => html`
+                            ${renderRecommendCard(story)}
+                            <label class="calendar-reschedule">改期到
+                                <input type="date" value="${dayKey}" min="${todayKey}" data-action="calendar-reschedule" data-action-on="change" data-id="${story.id}">
+                            </label>
+                        `)}
+                </div>
+            `;
+        })}
+    `;
+}
+
+// 按当前故事列表和类型筛选重新渲染日历、概况和预览
+function refreshStoryCalendar() {
+    if (!storyCalendar || !storyCalendar.mounted) return;
+    const types = getCalendarTypes().map(type => type.value);
+    storySchedule = buildStorySchedule(calendarStories.filter(story => types.includes(story.type)));
+    storyCalendar.render();
+    renderStoryCalendarSummary();
+    renderStoryCalendarPreview();
 }
 
 /**
- * 切换账号
+ * 加载故事页的排期日历（没有编辑权限时不加载）
  */
-function switchAccount() {
-    if (confirm('确定要切换账号吗？')) {
-        logout();
-        setTimeout(() => {
-            window.location.href = 'login.html';
-        }, 500);
+async function loadStoryCalendar() {
+    const calendarEl = document.getElementById('storyCalendar');
+    if (!calendarEl || !hasPermission('story:edit')) return;
+    if (!storyCalendar || !storyCalendar.mounted) {
+        storyCalendar = createMonthCalendar(calendarEl, {
+            renderDay: renderStoryCalendarDay,
+            dayClass: getStoryCalendarDayClass,
+            onSelect: renderStoryCalendarPreview,
+            onMove: (id, from, to) => rescheduleStory(id, to),
+            onChangeMonth: renderStoryCalendarSummary
+        });
+        // 默认预览明天的推荐
+        storyCalendar.selected = toDayKey(addDays(new Date(), 1));
+    }
+    const showStories = data => {
+        calendarStories = normalizePageResult(data).records;
+        refreshStoryCalendar();
+    };
+    try {
+        showStories(await getAllStories({
+            loading: calendarEl.querySelector('.loading-text'),
+            onUpdate: latest => storyCalendar.mounted && showStories(latest)
+        }));
+    } catch (err) {
+        // 接口错误已显示在加载元素中
+        if (!(err instanceof ApiError)) reportError(err, '加载排期失败');
     }
 }
 
-// ====================== 用户相关接口 ======================
 /**
- * 注册（支持头像上传+确认密码，单独处理表单数据）
+ * 改期：把故事的发布日期改为dayKey（不能改到过去的日期，目标日期已有同类型故事时确认）
+ * 日历上先移动，保存失败时恢复
  */
-async function doRegisterWithAvatar(formData) {
+async function rescheduleStory(id, dayKey) {
+    if (!checkPermission('story:edit')) return;
+    const story = calendarStories.find(item => String(item.id) === String(id));
+    if (!story || !dayKey || getStoryDateKey(story) === dayKey) return;
+    if (dayKey < toDayKey(new Date())) {
+        showAlert('不能改到已经过去的日期', 'error');
+        refreshStoryCalendar();
+        return;
+    }
+    const type = STORY_TYPES.find(item => item.value === story.type) || { label: '故事' };
+    const others = (buildStorySchedule(calendarStories)[dayKey]?.[story.type] || []).filter(item => item !== story);
+    if (others.length > 0
+        && !confirm(`${dayKey} 已有${type.label}《${others.map(item => item.title).join('》《')}》，每日推荐只会展示其中一条，仍要改到这天吗？`)) {
+        refreshStoryCalendar();
+        return;
+    }
+
+    const previous = calendarStories;
+    calendarStories = calendarStories.map(item => item === story ? Object.assign({}, item, { pushDate: dayKey }) : item);
+    refreshStoryCalendar();
     try {
-        const response = await axios.post('http://localhost:8081/user/register', formData, {
-            headers: {
-                'Content-Type': 'multipart/form-data'
-            },
-            withCredentials: true
-        });
-        const result = response.data;
-        if (result.code === 200 || result.code === "200") {
-            return result.data;
-        } else {
-            alert(result.msg || '注册失败');
-            return null;
+        // 用最新的完整数据提交，避免覆盖他人刚做的修改
+        const latest = await getStoryById(id, { cache: false });
+        const values = Object.assign(toFormValues(FORM_SCHEMAS.story, latest || story), { pushDate: dayKey });
+        if (!await updateCultureStory(id, values)) {
+            calendarStories = previous;
+            refreshStoryCalendar();
+            return;
         }
+        showAlert(`《${story.title || '无标题'}》已改到 ${dayKey}`, 'success');
+        await initStoryPage(); // 重新加载每日推荐、列表和排期
     } catch (err) {
-        console.error('注册失败：', err);
-        alert('注册失败：' + (err.response?.data?.msg || '网络错误'));
-        return null;
+        calendarStories = previous;
+        refreshStoryCalendar();
+        reportError(err, '改期失败');
     }
 }
 
+// ====================== 详情页 ======================
+function storyDetailUrl(id) {
+    return `story.html?id=${encodeURIComponent(id)}`;
+}
+
+function collectionDetailUrl(id) {
+    return `collection.html?id=${encodeURIComponent(id)}`;
+}
+
 /**
- * 普通注册（兼容原有逻辑）
+ * 当前URL中的详情ID（?id=xxx）
  */
-async function doRegister(userData) {
-    const { username, password, nickname, confirmPassword } = userData;
-    if (!username) { alert('请输入用户名'); return; }
-    if (!password) { alert('请输入密码'); return; }
-    if (password !== confirmPassword) { alert('两次密码不一致'); return; }
+function getDetailId() {
+    return new URLSearchParams(window.location.search).get('id');
+}
 
-    return await request('http://localhost:8081/user/register', 'POST', {
-        username,
-        password,
-        nickname: nickname || '',
-        confirmPassword
-    });
+/**
+ * URL带id时切换到详情视图（隐藏列表视图），返回是否处于详情模式
+ */
+function showDetailView(detailViewId, listViewId) {
+    const detailView = document.getElementById(detailViewId);
+    const listView = document.getElementById(listViewId);
+    const isDetail = !!(getDetailId() && detailView);
+    if (detailView) detailView.style.display = isDetail ? 'block' : 'none';
+    if (listView) listView.style.display = isDetail ? 'none' : 'block';
+    return isDetail;
 }
 
 /**
- * 登录（修复：确保返回true/false，解决跳转问题）
+ * 纯文本按换行分段显示
  */
-async function doLogin(username, password) {
-    if (!username) { alert('请输入用户名'); return false; }
-    if (!password) { alert('请输入密码'); return false; }
+function renderParagraphs(text) {
+    const lines = String(text || '').split(/\n+/).filter(line => line.trim());
+    return lines.length > 0 ? html`${lines.map(line => html`<p>${line}</p>`)}` : html`<p>暂无内容</p>`;
+}
 
-    const result = await request('http://localhost:8081/user/login', 'POST', { username, password });
-    if (result) {
-        isLogin = true;
-        currentUser = result;
-        // 补全默认头像（兼容avatar和avatarUrl）
-        if (!currentUser.avatarUrl && currentUser.avatar) {
-            currentUser.avatarUrl = currentUser.avatar;
+/**
+ * 分享当前详情链接：支持系统分享时调用分享面板，否则复制到剪贴板
+ */
+async function shareDetail(title) {
+    const url = window.location.href;
+    try {
+        if (navigator.share) {
+            await navigator.share({ title, url });
+            return;
         }
-        if (!currentUser.avatarUrl) {
-            currentUser.avatarUrl = DEFAULT_AVATAR;
+        await navigator.clipboard.writeText(url);
+        showAlert('链接已复制，可直接分享', 'success');
+    } catch (e) {
+        if (e && e.name === 'AbortError') return; // 用户取消分享
+        window.prompt('复制以下链接分享：', url);
+    }
+}
+
+// 文化故事详情
+async function renderStoryDetail(id) {
+    const detailEl = document.getElementById('storyDetail');
+    detailEl.innerHTML = '<p class="loading-text" style="text-align:center; padding:20px;">加载中...</p>';
+    try {
+        const story = await getStoryById(id, { loading: detailEl.querySelector('.loading-text') });
+        if (!story) {
+            detailEl.innerHTML = '<p style="text-align:center; padding:20px;">该故事不存在或已删除</p>';
+            return;
         }
-        updateLoginButton();
-        return true; // 返回true表示登录成功
+        document.title = `${story.title || '文化故事'} - 文化故事 - 文化打卡与数字藏品平台`;
+        const coverUrl = safeImageUrl(story.coverUrl);
+        const contentHtml = renderMarkdown(story.content);
+        const reason = story.reason || story.recommendReason;
+        const targetId = story.id ?? id;
+        detailEl.innerHTML = html`
+            <h1 class="detail-title">${story.title || '无标题'}</h1>
+            <p class="detail-meta">
+                ${story.type === 'story' ? '文化故事' : '景点推荐'}
+                · 发布日期：${story.pushDate || '未设置'}
+                ${story.location ? html` · 地点：${story.location}` : ''}
+            </p>
+            ${coverUrl ? html`<img class="detail-cover" src="${coverUrl}" alt="${story.title || ''}">` : ''}
+            <div class="detail-content">${String(contentHtml) ? contentHtml : html`<p>暂无内容</p>`}</div>
+            ${reason ? html`<p class="detail-reason">推荐理由：${reason}</p>` : ''}
+            <div class="detail-actions">
+                <button type="button" class="btn btn-primary" id="storyShareBtn">分享</button>
+                <span class="interaction-bar" data-target-type="story" data-target-id="${targetId}"></span>
+            </div>
+            <div class="comment-section" data-target-type="story" data-target-id="${targetId}"></div>
+        `;
+        document.getElementById('storyShareBtn').addEventListener('click', () => shareDetail(story.title));
+        loadInteractions(detailEl);
+    } catch (err) {
+        // 接口错误已显示在本次请求的加载元素中，这里只兜底其他异常
+        if (err instanceof ApiError) return;
+        console.error('故事详情渲染失败：', err);
+        detailEl.innerHTML = '<p style="text-align:center; padding:20px; color:red;">加载失败，请重试</p>';
     }
-    return false; // 返回false表示登录失败
 }
 
-// ====================== 文化故事接口 ======================
-async function getDailyRecommend(type = "story") {
-    return await request(`http://localhost:8081/culture-story/daily/${type}`, 'GET');
+// 数字藏品详情
+async function renderCollectionDetail(id) {
+    const detailEl = document.getElementById('collectionDetail');
+    detailEl.innerHTML = '<p class="loading-text" style="text-align:center; padding:20px;">加载中...</p>';
+    try {
+        const item = await getCollectionById(id, { loading: detailEl.querySelector('.loading-text') });
+        if (!item) {
+            detailEl.innerHTML = '<p style="text-align:center; padding:20px;">该藏品不存在或已下架</p>';
+            return;
+        }
+        document.title = `${item.name || '数字藏品'} - 数字藏品 - 文化打卡与数字藏品平台`;
+        const coverUrl = safeImageUrl(item.collectionCoverUrl);
+        const detailUrl = safeLink(item.detailUrl);
+        const soldOut = !(item.stock > 0);
+        const targetId = item.id ?? id;
+        detailEl.innerHTML = html`
+            <div class="detail-layout">
+                ${coverUrl ? html`<img class="detail-cover" src="${coverUrl}" alt="${item.name || ''}">` : ''}
+                <div class="detail-info">
+                    <h1 class="detail-title">${item.name || '未命名藏品'}</h1>
+                    <p class="detail-price">${item.price ?? 0} 元</p>
+                    <p>库存：${item.stock ?? 0}</p>
+                    <p>区块链ID：<code>${item.blockchainId || '无'}</code></p>
+                    ${detailUrl ? html`<p>详情页：<a href="${detailUrl}" target="_blank" rel="noopener noreferrer">${detailUrl}</a></p>` : ''}
+                    <div class="detail-actions">
+                        <button type="button" class="btn btn-primary" id="collectionBuyBtn" ${soldOut ? rawHtml('disabled') : ''}>${soldOut ? '库存不足' : '立即购买'}</button>
+                        <button type="button" class="btn" id="collectionShareBtn">分享</button>
+                        <span class="interaction-bar" data-target-type="collection" data-target-id="${targetId}"></span>
+                    </div>
+                </div>
+            </div>
+            <h3 class="detail-subtitle">创作者：${item.creator || '未知'}</h3>
+            <div class="detail-content">${renderParagraphs(item.creatorInfo || '暂无创作者简介')}</div>
+            <div class="comment-section" data-target-type="collection" data-target-id="${targetId}"></div>
+        `;
+        document.getElementById('collectionShareBtn').addEventListener('click', () => shareDetail(item.name));
+        loadInteractions(detailEl);
+        document.getElementById('collectionBuyBtn').addEventListener('click', async () => {
+            const order = await openCheckout(item.id);
+            if (order) await renderCollectionDetail(id); // 刷新库存
+        });
+    } catch (err) {
+        // 接口错误已显示在本次请求的加载元素中，这里只兜底其他异常
+        if (err instanceof ApiError) return;
+        console.error('藏品详情渲染失败：', err);
+        detailEl.innerHTML = '<p style="text-align:center; padding:20px; color:red;">加载失败，请重试</p>';
+    }
 }
 
-async function getAllStories() {
-    return await request('http://localhost:8081/culture-story', 'GET');
+// ====================== 点赞、收藏与评论 ======================
+/**
+ * 详情页的点赞/收藏按钮（.interaction-bar）和评论区（.comment-section），容器带 data-target-type、data-target-id
+ * 未登录时可查看数量和评论，点击操作提示登录
+ */
+// 评论最多缩进的层数，更深的回复不再缩进，注明回复对象
+const COMMENT_MAX_DEPTH = 3;
+
+/**
+ * 加载容器内的点赞/收藏按钮和评论区（详情渲染后调用）
+ */
+function loadInteractions(root) {
+    root.querySelectorAll('.interaction-bar').forEach(loadInteractionBar);
+    root.querySelectorAll('.comment-section').forEach(loadCommentSection);
 }
 
-async function getStoryPage(pageNum = 1, pageSize = 10) {
-    return await request(`http://localhost:8081/culture-story/page`, 'GET', { pageNum, pageSize });
+function renderInteractionBar(barEl, state) {
+    barEl._state = state;
+    barEl.innerHTML = html`
+        <button type="button" class="btn interaction-btn ${state.liked ? 'is-active' : ''}" data-action="interaction-like" aria-pressed="${state.liked ? 'true' : 'false'}">
+            ${state.liked ? '已赞' : '点赞'} <span class="interaction-count">${state.likeCount || 0}</span>
+        </button>
+        <button type="button" class="btn interaction-btn ${state.favorited ? 'is-active' : ''}" data-action="interaction-favorite" aria-pressed="${state.favorited ? 'true' : 'false'}">
+            ${state.favorited ? '已收藏' : '收藏'} <span class="interaction-count">${state.favoriteCount || 0}</span>
+        </button>
+    `;
 }
 
-// 核心修改：解决400错误的关键
-async function addCultureStory(storyData) {
-    // 字段映射：reason → recommendReason（匹配后端实体类）
-    const submitData = {
-        title: storyData.title,
-        content: storyData.content,
-        coverUrl: storyData.coverUrl,
-        pushDate: storyData.pushDate,
-        type: storyData.type,
-        recommendReason: storyData.reason,
-        location: ""
-    };
+async function loadInteractionBar(barEl) {
+    const { targetType, targetId } = barEl.dataset;
+    renderInteractionBar(barEl, {});
+    try {
+        const state = await getInteractionState(targetType, targetId, {
+            silent: true,
+            onUpdate: latest => barEl.isConnected && !barEl.dataset.pending && renderInteractionBar(barEl, latest || {})
+        });
+        renderInteractionBar(barEl, state || {});
+    } catch (err) {
+        // 状态加载失败时按未点赞显示，不影响浏览
+    }
+}
 
-    // 仅校验必填字段
-    if (!submitData.title) { alert('请输入故事标题'); return null; }
-    if (!submitData.content) { alert('请输入故事内容'); return null; }
-    if (!submitData.pushDate) { alert('请选择发布日期'); return null; }
-    
-    return await request('http://localhost:8081/culture-story', 'POST', submitData);
+/**
+ * 点赞/收藏切换：先更新按钮和数量，失败时恢复
+ * @param {String} kind - like | favorite
+ */
+async function toggleInteraction(barEl, kind) {
+    if (!barEl || barEl.dataset.pending) return;
+    const { targetType, targetId } = barEl.dataset;
+    const toggle = kind === 'like' ? toggleLike : toggleFavorite;
+    const flag = kind === 'like' ? 'liked' : 'favorited';
+    const countKey = kind === 'like' ? 'likeCount' : 'favoriteCount';
+    const previous = barEl._state || {};
+    const next = !previous[flag];
+    // 未登录时由接口函数提示登录
+    if (!isLogin) return toggle(targetType, targetId, next);
+
+    barEl.dataset.pending = 'true';
+    renderInteractionBar(barEl, Object.assign({}, previous, {
+        [flag]: next,
+        [countKey]: Math.max(0, (Number(previous[countKey]) || 0) + (next ? 1 : -1))
+    }));
+    try {
+        const result = await toggle(targetType, targetId, next);
+        // 接口返回最新状态时以其为准
+        if (result && typeof result === 'object') renderInteractionBar(barEl, Object.assign({}, barEl._state, result));
+        if (kind === 'favorite') showAlert(next ? '已收藏，可在“我的收藏”中查看' : '已取消收藏', 'success');
+    } catch (err) {
+        renderInteractionBar(barEl, previous);
+        reportError(err, next ? '操作失败' : '取消失败');
+    } finally {
+        delete barEl.dataset.pending;
+    }
 }
 
-async function updateCultureStory(id, storyData) {
-    if (!id) { alert('缺少故事ID'); return null; }
-    return await request(`http://localhost:8081/culture-story/${id}`, 'PUT', storyData);
+/**
+ * 平铺的评论按parentId组成树：顶层评论新的在前，回复按时间先后；上级已删除的回复作为顶层显示
+ * @returns {Array} [{ comment, children: [...] }]
+ */
+function buildCommentTree(comments) {
+    const nodes = new Map();
+    (comments || []).forEach(comment => nodes.set(String(comment.id), { comment, children: [] }));
+    const roots = [];
+    nodes.forEach(node => {
+        const parentId = node.comment.parentId;
+        const parent = parentId !== null && parentId !== undefined && parentId !== '' ? nodes.get(String(parentId)) : null;
+        if (parent && parent !== node) {
+            parent.children.push(node);
+        } else {
+            roots.push(node);
+        }
+    });
+    const byTime = (a, b) => String(a.comment.createTime || '').localeCompare(String(b.comment.createTime || ''));
+    nodes.forEach(node => node.children.sort(byTime));
+    return roots.sort((a, b) => byTime(b, a));
 }
 
-async function deleteCultureStory(id) {
-    if (!confirm('确定删除该故事吗？')) return null;
-    return await request(`http://localhost:8081/culture-story/${id}`, 'DELETE');
+function getCommentAuthorName(comment) {
+    const profile = comment && comment.userId !== undefined && comment.userId !== null ? resolveUserProfile(comment) : null;
+    return (profile && (profile.nickname || profile.username)) || comment?.nickname || `用户${comment?.userId ?? ''}`;
 }
 
-// 新增：获取文化故事详情（修复openStoryEditModal调用错误）
-async function getStoryById(id) {
-    if (!id) { alert('缺少故事ID'); return null; }
-    return await request(`http://localhost:8081/culture-story/${id}`, 'GET');
+function renderCommentNode(node, depth, parent) {
+    const { comment } = node;
+    // 先渲染本条的发布者（记录自带的昵称先登记，回复中同一用户不再请求资料）
+    const author = renderUserChip(comment) || html`<span>${getCommentAuthorName(comment)}</span>`;
+    const children = node.children.map(child => renderCommentNode(child, Math.min(depth + 1, COMMENT_MAX_DEPTH), comment));
+    return html`
+        <div class="comment-item" data-comment-id="${comment.id}">
+            <div class="comment-meta">
+                ${author}
+                ${depth >= COMMENT_MAX_DEPTH && parent ? html`<span class="comment-reply-to">回复 @${getCommentAuthorName(parent)}</span>` : ''}
+                <span class="comment-time">${String(comment.createTime || '').replace('T', ' ').slice(0, 16)}</span>
+            </div>
+            <div class="comment-content">${comment.content || ''}</div>
+            <div class="comment-actions">
+                <button type="button" data-action="comment-reply" data-id="${comment.id}">回复</button>
+                ${canDeleteComment(comment) ? html`<button type="button" data-action="comment-delete" data-id="${comment.id}">删除</button>` : ''}
+            </div>
+        </div>
+        ${children.length === 0 ? '' : depth < COMMENT_MAX_DEPTH ? html`<div class="comment-children">${children}</div>` : children}
+    `;
 }
 
-// ====================== 打卡接口（CheckIn） ======================
-async function addCheckIn(checkInData) {
-    if (!checkInData.userId) { alert('请输入用户ID'); return null; }
-    if (!checkInData.checkInContent) { alert('请输入打卡内容'); return null; }
-    return await request('http://localhost:8081/check-in', 'POST', checkInData);
+function renderCommentSection(sectionEl) {
+    const comments = sectionEl._comments || [];
+    sectionEl.innerHTML = html`
+        <h3 class="detail-subtitle">评论（${comments.length}）</h3>
+        ${isLogin ? html`
+            <form class="comment-form">
+                <div class="form-group">
+                    <textarea name="content" rows="3" maxlength="500" placeholder="说说你的看法..."></textarea>
+                </div>
+                <button type="submit" class="btn btn-primary">发表评论</button>
+            </form>
+        ` : html`<p class="comment-tip"><a href="${loginUrl()}">登录</a>后参与评论</p>`}
+        <div class="comment-list">
+            ${comments.length > 0
+                ? buildCommentTree(comments).map(node => renderCommentNode(node, 1, null))
+                : html`<p class="comment-tip">还没有评论，来说两句吧</p>`}
+        </div>
+    `;
+    const form = sectionEl.querySelector('.comment-form');
+    if (form) bindCommentForm(sectionEl, form);
 }
 
-async function getCheckInPage(pageNum = 1, pageSize = 10) {
-    return await request(`http://localhost:8081/check-in/page`, 'GET', { pageNum, pageSize });
+async function loadCommentSection(sectionEl) {
+    const { targetType, targetId } = sectionEl.dataset;
+    if (!sectionEl._comments) {
+        sectionEl.innerHTML = '<h3 class="detail-subtitle">评论</h3><p class="loading-text" style="text-align:center; padding:10px;">加载中...</p>';
+    }
+    const showComments = data => {
+        sectionEl._comments = normalizePageResult(data).records;
+        renderCommentSection(sectionEl);
+    };
+    // 正在输入的评论不被后台刷新覆盖
+    const isTyping = () => Array.from(sectionEl.querySelectorAll('textarea')).some(textarea => textarea.value.trim());
+    try {
+        showComments(await getComments(targetType, targetId, {
+            loading: sectionEl.querySelector('.loading-text'),
+            onUpdate: latest => sectionEl.isConnected && !isTyping() && showComments(latest)
+        }));
+    } catch (err) {
+        // 接口错误已显示在加载元素中
+        if (!(err instanceof ApiError)) reportError(err, '加载评论失败');
+    }
 }
 
-async function getAllCheckIns() {
-    return await request('http://localhost:8081/check-in', 'GET');
+// 评论/回复表单（回复表单带 data-parent-id）
+function bindCommentForm(sectionEl, form) {
+    const { targetType, targetId } = sectionEl.dataset;
+    bindSchemaForm(form, FORM_SCHEMAS.comment, async values => {
+        const result = await addComment(targetType, targetId, Object.assign({}, values, { parentId: form.dataset.parentId || null }));
+        if (result) {
+            showAlert(form.dataset.parentId ? '回复成功' : '评论成功', 'success');
+            await loadCommentSection(sectionEl);
+        }
+    });
 }
 
-async function getCheckInById(id) {
-    if (!id) { alert('缺少打卡ID'); return null; }
-    return await request(`http://localhost:8081/check-in/${id}`, 'GET');
+/**
+ * 在评论下方打开回复框（同时只保留一个）
+ */
+function openReplyForm(button) {
+    if (!isLogin) {
+        alert('请先登录后再评论！');
+        redirectToLogin();
+        return;
+    }
+    const sectionEl = button.closest('.comment-section');
+    const itemEl = button.closest('.comment-item');
+    const comment = (sectionEl._comments || []).find(item => String(item.id) === button.dataset.id);
+    sectionEl.querySelectorAll('.comment-reply-form').forEach(el => el.remove());
+    const form = document.createElement('form');
+    form.className = 'comment-form comment-reply-form';
+    form.dataset.parentId = button.dataset.id;
+    form.innerHTML = html`
+        <div class="form-group">
+            <textarea name="content" rows="2" maxlength="500" placeholder="回复 @${getCommentAuthorName(comment)}"></textarea>
+        </div>
+        <button type="submit" class="btn btn-primary">回复</button>
+        <button type="button" class="btn" data-action="comment-reply-cancel">取消</button>
+    `;
+    itemEl.appendChild(form);
+    bindCommentForm(sectionEl, form);
+    form.elements.content.focus();
 }
 
-async function updateCheckIn(id, checkInData) {
-    if (!id) { alert('缺少打卡ID'); return null; }
-    return await request(`http://localhost:8081/check-in/${id}`, 'PUT', checkInData);
+async function removeComment(button) {
+    const sectionEl = button.closest('.comment-section');
+    const comment = (sectionEl._comments || []).find(item => String(item.id) === button.dataset.id);
+    if (!comment) return;
+    try {
+        if (await deleteComment(comment, sectionEl.dataset.targetType, sectionEl.dataset.targetId)) {
+            showAlert('评论已删除', 'success');
+            await loadCommentSection(sectionEl);
+        }
+    } catch (err) {
+        reportError(err, '删除评论失败');
+    }
 }
 
-async function deleteCheckIn(id) {
-    if (!confirm('确定删除该打卡记录吗？')) return null;
-    return await request(`http://localhost:8081/check-in/${id}`, 'DELETE');
+// ====================== 藏品购买 ======================
+/**
+ * 订单状态文案（兼容数字和英文状态码）
+ */
+const ORDER_STATUS_TEXT = {
+    0: '待支付', PENDING: '待支付', UNPAID: '待支付',
+    1: '已支付', PAID: '已支付',
+    2: '已完成', COMPLETED: '已完成', SUCCESS: '已完成',
+    3: '已取消', CANCELLED: '已取消', CANCELED: '已取消',
+    4: '已退款', REFUNDED: '已退款'
+};
+
+function getOrderStatusText(status) {
+    if (status === undefined || status === null || status === '') return '已下单';
+    return ORDER_STATUS_TEXT[String(status).toUpperCase()] || String(status);
 }
 
-// ====================== 藏品订单接口（核心修改：加登录校验） ======================
-async function buyCollection(orderData) {
-    // 手动校验登录，未登录不调用接口，避免触发401跳转
+function formatPrice(value) {
+    const num = Number(value) || 0;
+    return num.toFixed(2);
+}
+
+/**
+ * 打开购买确认弹窗：选择数量 → 确认价格 → 按最新库存校验后下单 → 展示下单结果
+ * @param {Number|String} collectionId - 藏品ID
+ * @returns {Promise<Object|null>} 下单成功返回订单数据，取消或失败返回null
+ */
+async function openCheckout(collectionId) {
     if (!isLogin) {
         alert('请先登录后再购买藏品！');
-        window.location.href = 'login.html';
+        redirectToLogin();
         return null;
     }
-    if (!orderData.collectionId) {
-        alert('请选择要购买的藏品');
+
+    let item;
+    try {
+        item = await getCollectionById(collectionId, { cache: false });
+    } catch (err) {
+        return null; // 错误已由请求层提示
+    }
+    if (!item) return null;
+    // 库存按数字处理，后端返回字符串或异常值时不会拼进页面或参与字符串比较
+    const getStock = () => Math.max(Math.floor(Number(item.stock)) || 0, 0);
+    if (getStock() < 1) {
+        showAlert('该藏品库存不足', 'error');
         return null;
     }
-    return await request('http://localhost:8081/collection-order', 'POST', orderData);
+
+    return new Promise(resolve => {
+        const modal = document.createElement('div');
+        modal.className = 'checkout-modal';
+        const coverUrl = safeImageUrl(item.collectionCoverUrl);
+        modal.innerHTML = html`
+            <div class="checkout-content">
+                <span class="checkout-close">&times;</span>
+                <h2>确认购买</h2>
+                <div class="checkout-item">
+                    ${coverUrl ? html`<img src="${coverUrl}" alt="${item.name || ''}">` : ''}
+                    <div>
+                        <h3>${item.name || '未命名藏品'}</h3>
+                        <p>单价：<span class="checkout-price">${formatPrice(item.price)}</span> 元</p>
+                        <p>库存：<span class="checkout-stock">${getStock()}</span></p>
+                    </div>
+                </div>
+                <div class="checkout-quantity">
+                    <label>购买数量：</label>
+                    <button type="button" data-step="-1">-</button>
+                    <input type="number" class="checkout-qty" value="1" min="1" max="${getStock()}" step="1">
+                    <button type="button" data-step="1">+</button>
+                </div>
+                <p class="checkout-total">合计：<strong>${formatPrice(item.price)}</strong> 元</p>
+                <p class="checkout-error"></p>
+                <div class="checkout-actions">
+                    <button type="button" class="btn btn-primary checkout-confirm">确认支付</button>
+                    <button type="button" class="btn checkout-cancel">取消</button>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(modal);
+
+        const qtyInput = modal.querySelector('.checkout-qty');
+        const totalEl = modal.querySelector('.checkout-total strong');
+        const errorEl = modal.querySelector('.checkout-error');
+        const confirmBtn = modal.querySelector('.checkout-confirm');
+        let order = null;
+
+        const getQuantity = () => parseInt(qtyInput.value) || 0;
+        const clampQuantity = value => Math.min(Math.max(value, 1), getStock());
+        const updateTotal = () => {
+            totalEl.textContent = formatPrice(Number(item.price) * Math.max(getQuantity(), 0));
+            errorEl.textContent = '';
+        };
+        const close = () => {
+            modal.remove();
+            resolve(order);
+        };
+
+        modal.querySelectorAll('[data-step]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                qtyInput.value = clampQuantity(getQuantity() + parseInt(btn.dataset.step));
+                updateTotal();
+            });
+        });
+        qtyInput.addEventListener('input', updateTotal);
+        // 手动输入的数量在失焦时收回到 1~库存 之间
+        qtyInput.addEventListener('change', () => {
+            qtyInput.value = clampQuantity(getQuantity());
+            updateTotal();
+        });
+        modal.querySelector('.checkout-close').addEventListener('click', close);
+        modal.querySelector('.checkout-cancel').addEventListener('click', close);
+
+        confirmBtn.addEventListener('click', async () => {
+            const quantity = getQuantity();
+            if (quantity < 1) {
+                errorEl.textContent = '请输入有效的购买数量';
+                return;
+            }
+            confirmBtn.disabled = true;
+            confirmBtn.textContent = '提交中...';
+            try {
+                // 下单前按最新库存校验，避免页面数据过期
+                const latest = await getCollectionById(collectionId, { cache: false });
+                item = latest || item;
+                const stock = getStock();
+                modal.querySelector('.checkout-stock').textContent = stock;
+                qtyInput.max = stock;
+                if (quantity > stock) {
+                    errorEl.textContent = stock > 0 ? `库存已变化，当前最多可购买 ${stock} 件` : '该藏品已售罄';
+                    return;
+                }
+                const result = await buyCollection({
+                    collectionId: item.id,
+                    userId: currentUser?.id,
+                    quantity
+                });
+                // 未下单（如已在其他页面退出登录），保留弹窗，原因已由buyCollection提示
+                if (result === null) {
+                    errorEl.textContent = '未下单，请按提示处理后重试';
+                    return;
+                }
+                order = Object.assign({ collectionId: item.id, quantity, totalPrice: Number(item.price) * quantity },
+                    typeof result === 'object' ? result : {});
+                modal.querySelector('.checkout-content').innerHTML = html`
+                    <h2>购买成功</h2>
+                    <p>${item.name || ''} × ${quantity}</p>
+                    ${(order.id || order.orderNo) && html`<p>订单号：${order.orderNo || order.id}</p>`}
+                    <p>支付金额：<strong class="checkout-price">${formatPrice(order.totalPrice)}</strong> 元</p>
+                    <div class="checkout-actions">
+                        <a class="btn btn-primary" href="market.html?view=orders">查看我的订单</a>
+                        <button type="button" class="btn checkout-done">完成</button>
+                    </div>
+                `;
+                modal.querySelector('.checkout-done').addEventListener('click', close);
+                modal.querySelector('.checkout-actions a').addEventListener('click', close);
+            } catch (err) {
+                // 接口错误已由请求层提示，这里在弹窗内保留原因便于调整后重试
+                errorEl.textContent = `下单失败：${err.message}`;
+            } finally {
+                if (confirmBtn.isConnected) {
+                    confirmBtn.disabled = false;
+                    confirmBtn.textContent = '确认支付';
+                }
+            }
+        });
+    });
+}
+
+// ====================== 藏品集市页 ======================
+// 藏品分页
+let marketPaginator = null;
+// 藏品列表加载序号：只渲染最后一次加载（及其后台刷新）的数据
+let marketLoadSeq = 0;
+
+/**
+ * 切换集市视图：藏品列表 / 我的订单（?view=orders，可直接分享或从下单结果跳转）
+ */
+function switchMarketView(view) {
+    const isOrders = view === 'orders';
+    document.getElementById('marketListView').style.display = isOrders ? 'none' : 'block';
+    document.getElementById('marketOrdersView').style.display = isOrders ? 'block' : 'none';
+    document.querySelectorAll('.market-tabs [data-view]').forEach(tab => {
+        tab.classList.toggle('active', tab.dataset.view === (isOrders ? 'orders' : 'list'));
+    });
+    const url = new URL(window.location.href);
+    if (isOrders) {
+        url.searchParams.set('view', 'orders');
+    } else {
+        url.searchParams.delete('view');
+    }
+    window.history.replaceState(window.history.state, '', url.toString());
+    return isOrders ? loadMyOrders() : loadMarketCollections();
 }
 
-async function getMyCollectionOrders() {
-    // 手动校验登录
-    if (!isLogin) {
-        alert('请先登录查看我的订单！');
-        window.location.href = 'login.html';
-        return null;
+// 加载藏品列表（当前页）
+async function loadMarketCollections() {
+    const listEl = document.getElementById('collectionList');
+    listEl.innerHTML = '<div class="loading-text">加载中...</div>';
+    const seq = ++marketLoadSeq;
+    try {
+        const page = await getCollectionPage(marketPaginator.pageNum, marketPaginator.pageSize, {}, {
+            cancelKey: 'marketList',
+            loading: listEl.querySelector('.loading-text'),
+            onUpdate: latest => {
+                if (seq === marketLoadSeq && listEl.isConnected && latest) renderMarketCollections(listEl, normalizePageResult(latest));
+            }
+        });
+        renderMarketCollections(listEl, normalizePageResult(page));
+    } catch (err) {
+        // 接口错误已显示在本次请求的加载元素中，这里只兜底其他异常
+        if (err instanceof ApiError) return;
+        listEl.innerHTML = '<p class="loading-text" style="color:red;">加载失败，请重试</p>';
+    }
+}
+
+// 渲染藏品卡片（当前页超出范围时分页组件会跳页重新加载）
+function renderMarketCollections(listEl, page) {
+    if (!marketPaginator.render(page.total)) return;
+    const collections = page.records;
+    if (collections.length > 0) {
+        listEl.innerHTML = html`${collections.map(item => html`
+            <div class="collection-card">
+                <a href="${collectionDetailUrl(item.id)}">
+                    <img src="${safeImageUrl(item.collectionCoverUrl, 'images/default-collection.png')}" alt="${item.name || ''}">
+                </a>
+                <h3><a href="${collectionDetailUrl(item.id)}">${item.name || '未命名藏品'}</a></h3>
+                <p class="price">${formatPrice(item.price)} 元</p>
+                <p class="stock">库存：${item.stock || 0}</p>
+                <button class="buy-btn" data-id="${item.id}" ${rawHtml(item.stock > 0 ? '' : 'disabled')}>
+                    ${item.stock > 0 ? '立即购买' : '库存不足'}
+                </button>
+            </div>
+        `)}`;
+    } else {
+        listEl.innerHTML = '<p class="loading-text">暂无藏品</p>';
     }
-    return await request('http://localhost:8081/collection-order/my', 'GET');
 }
 
-// ====================== 文化藏品接口 ======================
-async function addCultureCollection(collectionData) {
-    // 空值校验
-    if (!collectionData.name) { alert('请输入藏品名称'); return null; }
-    if (!collectionData.creator) { alert('请输入创作者'); return null; }
-    if (collectionData.price === undefined || isNaN(collectionData.price)) { alert('请输入有效价格'); return null; }
-    if (collectionData.stock === undefined || isNaN(collectionData.stock)) { alert('请输入有效库存'); return null; }
-    
-    return await request('http://localhost:8081/culture-collection', 'POST', collectionData);
+// 加载我的订单
+async function loadMyOrders() {
+    const ordersTable = document.getElementById('orderTable');
+    if (!isLogin) {
+        ordersTable.innerHTML = html`<tr><td colspan="6" style="text-align:center; padding:20px;">请先<a href="${loginUrl()}">登录</a>后查看我的订单</td></tr>`;
+        return;
+    }
+    ordersTable.innerHTML = '<tr><td colspan="6" class="loading-text" style="text-align:center; padding:20px;">加载中...</td></tr>';
+    try {
+        const list = await getMyCollectionOrders({
+            cancelKey: 'orderList',
+            loading: ordersTable.querySelector('.loading-text')
+        });
+        const orders = normalizePageResult(list).records;
+        if (orders.length > 0) {
+            ordersTable.innerHTML = html`${orders.map(order => {
+                const quantity = order.quantity || 1;
+                const total = order.totalPrice ?? order.amount ?? (Number(order.price) || 0) * quantity;
+                return html`<tr>
+                    <td>${order.orderNo || order.id || ''}</td>
+                    <td>${order.collectionId ? html`<a href="${collectionDetailUrl(order.collectionId)}">${order.collectionName || `藏品#${order.collectionId}`}</a>` : order.collectionName || ''}</td>
+                    <td>${quantity}</td>
+                    <td>${formatPrice(total)} 元</td>
+                    <td><span class="order-status">${getOrderStatusText(order.status)}</span></td>
+                    <td>${order.createTime || order.orderTime || ''}</td>
+                </tr>`;
+            })}`;
+        } else {
+            ordersTable.innerHTML = '<tr><td colspan="6" style="text-align:center; padding:20px;">暂无订单，去<a href="market.html">集市</a>看看吧</td></tr>';
+        }
+    } catch (err) {
+        // 接口错误已显示在本次请求的加载元素中，这里只兜底其他异常
+        if (err instanceof ApiError) return;
+        ordersTable.innerHTML = '<tr><td colspan="6" style="text-align:center; padding:20px; color:red;">加载失败，请重试</td></tr>';
+    }
 }
 
-async function getCollectionPage(pageNum = 1, pageSize = 10) {
-    return await request(`http://localhost:8081/culture-collection/page`, 'GET', { pageNum, pageSize });
-}
+// 集市页初始化
+async function initMarketPage() {
+    if (!document.getElementById('collectionList')) return;
+    if (!marketPaginator || !marketPaginator.mounted) {
+        marketPaginator = createPaginator('#marketPagination', {
+            pageSize: 12,
+            pageSizes: [12, 24, 48],
+            onChange: loadMarketCollections
+        });
+    }
 
-async function getAllCollections() {
-    return await request('http://localhost:8081/culture-collection', 'GET');
+    const listEl = document.getElementById('collectionList');
+    if (!listEl.dataset.binded) {
+        listEl.dataset.binded = 'true';
+        listEl.addEventListener('click', async e => {
+            const btn = e.target.closest('.buy-btn');
+            if (!btn || btn.disabled) return;
+            const order = await openCheckout(btn.dataset.id);
+            if (order) await loadMarketCollections(); // 更新库存
+        });
+        document.querySelectorAll('.market-tabs [data-view]').forEach(tab => {
+            tab.addEventListener('click', () => switchMarketView(tab.dataset.view));
+        });
+    }
+    await switchMarketView(new URLSearchParams(window.location.search).get('view'));
 }
 
-async function getCollectionById(id) {
-    if (!id) { alert('缺少藏品ID'); return null; }
-    return await request(`http://localhost:8081/culture-collection/${id}`, 'GET');
-}
+// ====================== 我的收藏页 ======================
+// 收藏列表（首次初始化页面时创建，重新加载列表时保持当前页和筛选条件）
+let favoriteDataTable = null;
 
-async function updateCultureCollection(id, collectionData) {
-    if (!id) { alert('缺少藏品ID'); return null; }
-    return await request(`http://localhost:8081/culture-collection/${id}`, 'PUT', collectionData);
+function renderFavoriteRow(item) {
+    const target = INTERACTION_TARGETS[item.targetType];
+    const coverUrl = safeImageUrl(item.coverUrl);
+    const title = item.title || item.name || '无标题';
+    return html`<tr>
+        <td>${coverUrl ? html`<img src="${coverUrl}" width="50">` : '无'}</td>
+        <td>${target ? html`<a href="${target.detailUrl(item.targetId)}">${title}</a>` : title}</td>
+        <td>${target ? target.label : item.targetType || ''}</td>
+        <td>${String(item.createTime || '').replace('T', ' ').slice(0, 16)}</td>
+        <td><button class="btn btn-delete" data-action="favorite-remove" data-target-type="${item.targetType}" data-target-id="${item.targetId}">取消收藏</button></td>
+    </tr>`;
 }
 
-async function deleteCultureCollection(id) {
-    if (!confirm('确定删除该藏品吗？')) return null;
-    return await request(`http://localhost:8081/culture-collection/${id}`, 'DELETE');
+async function removeFavorite(targetType, targetId) {
+    if (!confirm('确定取消收藏吗？')) return;
+    try {
+        if (await toggleFavorite(targetType, targetId, false)) {
+            showAlert('已取消收藏', 'success');
+            if (favoriteDataTable && favoriteDataTable.mounted) await favoriteDataTable.reload();
+        }
+    } catch (err) {
+        reportError(err, '取消收藏失败');
+    }
 }
 
-// ====================== 用户打卡足迹接口（核心修改：加登录校验） ======================
-async function addUserFootprint(footData) {
+// 我的收藏页初始化
+async function initFavoritePage() {
     if (!isLogin) {
-        alert('请先登录后再添加足迹！');
-        window.location.href = 'login.html';
-        return null;
+        alert('请先登录！');
+        redirectToLogin();
+        return;
     }
-    if (!footData.location) {
-        alert('请输入打卡地点');
-        return null;
+    if (!document.getElementById('favoriteTable')) return;
+    if (!favoriteDataTable || !favoriteDataTable.mounted) {
+        favoriteDataTable = createDataTable({
+            tbody: '#favoriteTable',
+            pagination: '#favoritePagination',
+            fetchPage: getMyFavorites,
+            renderRow: renderFavoriteRow,
+            colspan: 5,
+            filters: [
+                { key: 'targetType', label: '类型', type: 'select', options: Object.keys(INTERACTION_TARGETS).map(value => (
+                    { value, label: INTERACTION_TARGETS[value].label }
+                )) }
+            ],
+            emptyText: '还没有收藏，去看看文化故事和数字藏品吧',
+            cancelKey: 'favoriteList'
+        });
     }
-    return await request('http://localhost:8081/user-check-in', 'POST', footData);
+    await favoriteDataTable.reload();
 }
 
-async function getMyFootprint() {
-    if (!isLogin) {
-        alert('请先登录查看个人足迹！');
-        window.location.href = 'login.html';
-        return null;
+// ====================== 搜索结果页 ======================
+const RECENT_SEARCH_KEY = 'recentSearches';
+const RECENT_SEARCH_LIMIT = 10;
+
+function getRecentSearches() {
+    try {
+        const list = JSON.parse(localStorage.getItem(RECENT_SEARCH_KEY) || '[]');
+        return Array.isArray(list) ? list : [];
+    } catch (e) {
+        return [];
     }
-    return await request('http://localhost:8081/user-check-in/my', 'GET');
 }
 
-async function deleteFootprint(id) {
-    if (!isLogin) {
-        alert('请先登录后再删除足迹！');
-        window.location.href = 'login.html';
-        return null;
+/**
+ * 记录最近搜索（去重后置顶，最多保留RECENT_SEARCH_LIMIT条）
+ */
+function saveRecentSearch(keyword) {
+    const list = getRecentSearches().filter(item => item !== keyword);
+    list.unshift(keyword);
+    try {
+        localStorage.setItem(RECENT_SEARCH_KEY, JSON.stringify(list.slice(0, RECENT_SEARCH_LIMIT)));
+    } catch (e) {
+        // 存储已满或不可用时不记录
     }
-    if (!confirm('确定删除该足迹吗？')) return null;
-    return await request(`http://localhost:8081/user-check-in/${id}`, 'DELETE');
 }
 
-// ====================== 个性化推荐接口（核心修改：加登录校验） ======================
-async function getPersonalRecommend() {
-    if (!isLogin) {
-        // 未登录时返回空，不弹窗不跳转，页面显示“暂无个性化推荐”
-        return null;
-    }
-    return await request('http://localhost:8081/culture-story/personal', 'GET');
+function clearRecentSearches() {
+    localStorage.removeItem(RECENT_SEARCH_KEY);
 }
 
-// ====================== 通用初始化函数 ======================
-async function initPage(pageType) {
-    // 先初始化登录状态
-    await initLoginStatus();
+/**
+ * 跳转到搜索结果页（关键词放在URL中，结果可直接分享）
+ */
+function goSearch(keyword) {
+    navigateTo(`search.html?q=${encodeURIComponent(keyword)}`);
+}
 
-    switch (pageType) {
-        case "index":
-            await initIndexPage(); // 加await确保加载完成
-            break;
-        case "story":
-            await initStoryPage();
-            break;
-        case "check-in":
-            await initCheckInPage();
-            break;
-        case "collection":
-            await initCollectionPage();
-            break;
-        case "footprint":
-            await initFootprintPage();
-            break;
-    }
+/**
+ * 高亮关键词：按关键词切分原文，命中部分包裹<mark>，其余部分由html模板转义
+ */
+function highlightKeyword(text, keyword) {
+    const content = String(text || '');
+    if (!keyword) return html`${content}`;
+    const pattern = new RegExp(`(${keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')})`, 'gi');
+    // 带捕获组的split：奇数位是命中的关键词
+    return html`${content.split(pattern).map((part, i) => i % 2 === 1 ? html`<mark>${part}</mark>` : part)}`;
 }
 
-// ====================== 各页面专属初始化函数 ======================
-// 首页初始化
-async function initIndexPage() {
-    const dailyRecommendEl = document.getElementById('dailyRecommend');
-    if (dailyRecommendEl) {
-        try {
-            const recommend = await getDailyRecommend('story');
-            dailyRecommendEl.innerHTML = `
-                <div class="recommend-card">
-                    <h3>${recommend?.title || '暂无推荐'}</h3>
-                    <p>${recommend?.content?.substring(0, 200) || '暂无内容'}${recommend?.content?.length > 200 ? '...' : ''}</p>
-                    <p class="reason"><strong>推荐理由：</strong>${recommend?.reason || '精选优质文化内容'}</p>
-                </div>
-            `;
-        } catch (err) {
-            dailyRecommendEl.innerHTML = '<p style="text-align:center; padding:20px;">暂无每日推荐</p>';
-        }
-    }
+/**
+ * 截取包含关键词的片段（关键词前后各保留部分上下文）
+ */
+function makeExcerpt(text, keyword, length = 80) {
+    const content = String(text || '');
+    if (content.length <= length) return content;
+    const index = keyword ? content.toLowerCase().indexOf(keyword.toLowerCase()) : -1;
+    const start = index > length / 2 ? index - Math.floor(length / 2) : 0;
+    const excerpt = content.substring(start, start + length);
+    return `${start > 0 ? '...' : ''}${excerpt}${start + length < content.length ? '...' : ''}`;
+}
 
-    if (isLogin) {
-        document.getElementById('personalFootprintLink')?.style.setProperty('display', 'inline');
-        document.getElementById('collectionMarketLink')?.style.setProperty('display', 'inline');
-        document.getElementById('personalFootprintCard')?.style.setProperty('display', 'block');
-        document.getElementById('collectionMarketCard')?.style.setProperty('display', 'block');
+/**
+ * 搜索框联想：聚焦时展示最近搜索和热门搜索，点击直接搜索
+ * @param {HTMLInputElement} input - 搜索输入框
+ * @param {Function} onSearch - 选中关键词后的回调，默认跳转搜索结果页
+ */
+function bindSearchSuggest(input, onSearch = goSearch) {
+    if (!input || input.dataset.binded) return;
+    input.dataset.binded = 'true';
 
-        const personalRecommendEl = document.getElementById('personalRecommend');
-        const personalCardEl = document.getElementById('personalRecommendCard');
-        if (personalRecommendEl && personalCardEl) {
-            personalCardEl.style.display = 'block';
-            try {
-                const personal = await getPersonalRecommend();
-                personalRecommendEl.innerHTML = `
-                    <div class="recommend-card">
-                        <h3>${personal?.title || '暂无个性化推荐'}</h3>
-                        <p>${personal?.content?.substring(0, 200) || '暂无内容'}${personal?.content?.length > 200 ? '...' : ''}</p>
-                        <p class="reason"><strong>推荐理由：</strong>${personal?.reason || '基于你的打卡足迹和收藏偏好推荐'}</p>
-                    </div>
-                `;
-            } catch (err) {
-                personalRecommendEl.innerHTML = '<p style="text-align:center; padding:10px;">暂无个性化推荐</p>';
-            }
-        }
-    }
-}
+    const wrapper = input.parentNode;
+    wrapper.style.position = 'relative';
+    const panel = document.createElement('div');
+    panel.className = 'search-suggest';
+    wrapper.appendChild(panel);
 
-// 文化故事页初始化
-async function initStoryPage() {
-    const dailyEl = document.getElementById('dailyRecommend');
-    if (dailyEl) {
-        try {
-            const recommend = await getDailyRecommend('story');
-            if (recommend && recommend.id) {
-                dailyEl.innerHTML = `
-                    <h3 style="text-align:center; margin:10px 0;">每日推荐</h3>
-                    <h4 style="padding:0 20px;">${recommend.title || '无标题'}</h4>
-                    <p style="padding:0 20px; line-height:1.6;">${recommend.content?.substring(0, 200) || '暂无内容'}...</p>
-                    ${recommend.coverUrl ? `<img src="${recommend.coverUrl}" style="width:100%; margin:10px 0; border-radius:4px;">` : ''}
-                    <p style="padding:0 20px; color:#666;">推荐理由：${recommend.reason || '暂无'}</p>
-                `;
-            } else {
-                dailyEl.innerHTML = '<p style="text-align:center; padding:20px;">暂无每日推荐</p>';
-            }
-        } catch (err) {
-            dailyEl.innerHTML = '<p style="text-align:center; padding:20px; color:red;">加载失败</p>';
-        }
+    let hotSearches = null;
+    async function showPanel() {
+        if (hotSearches === null) hotSearches = await getHotSearches();
+        const recent = getRecentSearches();
+        panel.innerHTML = html`
+            ${recent.length > 0 && html`<div class="suggest-title">最近搜索<a class="suggest-clear">清空</a></div>
+                <div class="suggest-tags">${recent.map(item => html`<span class="suggest-tag" data-keyword="${item}">${item}</span>`)}</div>`}
+            ${hotSearches.length > 0 && html`<div class="suggest-title">热门搜索</div>
+                <div class="suggest-tags">${hotSearches.map(item => html`<span class="suggest-tag hot" data-keyword="${item}">${item}</span>`)}</div>`}
+        `;
+        panel.style.display = recent.length > 0 || hotSearches.length > 0 ? 'block' : 'none';
     }
 
-    const storyTable = document.getElementById('storyTable');
-    if (storyTable) {
-        // 添加loading-text类标识加载元素
-        storyTable.innerHTML = '<tr><td colspan="8" class="loading-text" style="text-align:center; padding:20px;">加载中...</td></tr>';
-        try {
-            const list = await getAllStories();
-            if (list && list.length > 0) {
-                let html = '';
-                list.forEach(story => {
-                    html += `<tr>
-                        <td>${story.id || ''}</td>
-                        <td>${story.title || ''}</td>
-                        <td>${story.content?.substring(0, 50) || ''}...</td>
-                        <td>${story.pushDate || ''}</td>
-                        <td>${story.type === 'story' ? '文化故事' : '景点推荐'}</td>
-                        <td>${story.reason || ''}</td>
-                        <td>${story.coverUrl ? `<img src="${story.coverUrl}" width="50">` : '无'}</td>
-                        <td>
-                            <button onclick="openStoryEditModal(${story.id})">编辑</button>
-                            <button onclick="deleteCultureStory(${story.id})">删除</button>
-                        </td>
-                    </tr>`;
-                });
-                storyTable.innerHTML = html;
-            } else {
-                storyTable.innerHTML = '<tr><td colspan="8" style="text-align:center; padding:20px;">暂无文化故事数据</td></tr>';
-            }
-        } catch (err) {
-            storyTable.innerHTML = '<tr><td colspan="8" style="text-align:center; padding:20px; color:red;">加载失败，请重试</td></tr>';
+    input.addEventListener('focus', showPanel);
+    input.addEventListener('keydown', e => {
+        if (e.key === 'Enter' && input.value.trim()) {
+            panel.style.display = 'none';
+            onSearch(input.value.trim());
+        }
+    });
+    // mousedown先于blur触发，保证点击标签时面板还在
+    panel.addEventListener('mousedown', e => {
+        e.preventDefault();
+        if (e.target.classList.contains('suggest-clear')) {
+            clearRecentSearches();
+            showPanel();
+            return;
         }
+        const tag = e.target.closest('.suggest-tag');
+        if (tag) {
+            input.value = tag.dataset.keyword;
+            panel.style.display = 'none';
+            onSearch(tag.dataset.keyword);
+        }
+    });
+    input.addEventListener('blur', () => {
+        panel.style.display = 'none';
+    });
+}
+
+/**
+ * 渲染一组搜索结果
+ */
+function renderSearchGroup(title, list, renderItem) {
+    const items = list || [];
+    return html`
+        <div class="card search-group">
+            <h2>${title}<span class="search-count">（${items.length}条）</span></h2>
+            ${items.length > 0
+                ? html`<ul class="search-list">${items.map(item => html`<li>${renderItem(item)}</li>`)}</ul>`
+                : html`<p class="search-empty">没有匹配的结果</p>`}
+        </div>
+    `;
+}
+
+/**
+ * 按URL中的关键词执行搜索并渲染分组结果
+ */
+async function renderSearchResults() {
+    const resultsEl = document.getElementById('searchResults');
+    const summaryEl = document.getElementById('searchSummary');
+    const keyword = (new URLSearchParams(window.location.search).get('q') || '').trim();
+    const input = document.getElementById('searchInput');
+    if (input) input.value = keyword;
+
+    if (!keyword) {
+        document.title = '搜索 - 文化打卡与数字藏品平台';
+        summaryEl.textContent = '请输入关键词搜索文化故事、数字藏品和打卡记录';
+        resultsEl.innerHTML = '';
+        return;
     }
 
-    // 绑定新增故事表单提交事件（仅绑定一次，前端页面无需重复绑定）
-    const storyForm = document.getElementById('storyForm');
-    if (storyForm && !storyForm.dataset.binded) { // 标记已绑定，避免重复
-        storyForm.dataset.binded = 'true';
-        storyForm.addEventListener('submit', async (e) => {
-            e.preventDefault();
-            const storyData = {
-                title: document.getElementById('storyTitle').value.trim(),
-                content: document.getElementById('storyContent').value.trim(),
-                coverUrl: document.getElementById('coverUrl').value.trim() || '',
-                pushDate: document.getElementById('pushDate').value,
-                type: document.getElementById('storyType').value,
-                reason: document.getElementById('recommendReason').value.trim()
-            };
-            const result = await addCultureStory(storyData);
-            if (result) {
-                alert('新增成功！');
-                storyForm.reset();
-                await initStoryPage(); // 重新加载列表
-            }
-        });
+    document.title = `${keyword} - 搜索 - 文化打卡与数字藏品平台`;
+    saveRecentSearch(keyword);
+    summaryEl.textContent = '';
+    resultsEl.innerHTML = '<p class="loading-text" style="text-align:center; padding:20px;">加载中...</p>';
+    try {
+        const data = await searchAll(keyword, {
+            cancelKey: 'search',
+            loading: resultsEl.querySelector('.loading-text')
+        }) || {};
+        const stories = data.stories || [];
+        const collections = data.collections || [];
+        const checkIns = data.checkIns || [];
+        summaryEl.textContent = `“${keyword}” 共找到 ${stories.length + collections.length + checkIns.length} 条结果`;
+
+        resultsEl.innerHTML = html`
+            ${renderSearchGroup('文化故事', stories, story => html`
+                <a class="search-title" href="${storyDetailUrl(story.id)}">${highlightKeyword(story.title || '无标题', keyword)}</a>
+                <p class="search-excerpt">${highlightKeyword(makeExcerpt(markdownToText(story.content), keyword), keyword)}</p>
+                <p class="search-meta">${story.type === 'story' ? '文化故事' : '景点推荐'} · ${story.pushDate || ''}</p>
+            `)}
+            ${renderSearchGroup('数字藏品', collections, item => html`
+                <a class="search-title" href="${collectionDetailUrl(item.id)}">${highlightKeyword(item.name || '未命名藏品', keyword)}</a>
+                <p class="search-excerpt">创作者：${highlightKeyword(item.creator || '未知', keyword)}　${highlightKeyword(makeExcerpt(item.creatorInfo, keyword, 50), keyword)}</p>
+                <p class="search-meta">${item.price ?? 0} 元 · 库存 ${item.stock ?? 0}</p>
+            `)}
+            ${renderSearchGroup('打卡记录', checkIns, item => html`
+                <a class="search-title" href="check-in.html?keyword=${encodeURIComponent(keyword)}">${highlightKeyword(makeExcerpt(item.checkInContent, keyword, 40), keyword)}</a>
+                <p class="search-meta">${highlightKeyword(item.location || '', keyword)} · ${item.checkInTime || ''}</p>
+            `)}
+        `;
+    } catch (err) {
+        // 接口错误已显示在本次请求的加载元素中，这里只兜底其他异常
+        if (err instanceof ApiError) return;
+        console.error('搜索结果渲染失败：', err);
+        resultsEl.innerHTML = '<p style="text-align:center; padding:20px; color:red;">加载失败，请重试</p>';
     }
 }
 
-// 打卡页初始化
-async function initCheckInPage() {
-    const checkInTable = document.getElementById('checkInTable');
-    if (checkInTable) {
-        // 添加loading-text类标识加载元素
-        checkInTable.innerHTML = '<tr><td colspan="6" class="loading-text" style="text-align:center; padding:20px;">加载中...</td></tr>';
-        try {
-            const list = await getAllCheckIns();
-            
-            if (list && list.length > 0) {
-                let html = '';
-                list.forEach(item => {
-                    html += `<tr>
-                        <td>${item.id || ''}</td>
-                        <td>${item.userId || ''}</td>
-                        <td>${item.checkInContent || ''}</td>
-                        <td>${item.checkInTime || ''}</td>
-                        <td>${item.location || ''}</td>
-                        <td>
-                            <button class="btn btn-edit" onclick="openCheckInEditModal(${item.id})">编辑</button>
-                            <button class="btn btn-delete" onclick="deleteCheckIn(${item.id})">删除</button>
-                        </td>
-                    </tr>`;
-                });
-                checkInTable.innerHTML = html;
-            } else {
-                checkInTable.innerHTML = '<tr><td colspan="6" style="text-align:center; padding:20px;">暂无打卡记录</td></tr>';
-            }
-        } catch (err) {
-            console.error('打卡列表加载失败：', err);
-            checkInTable.innerHTML = '<tr><td colspan="6" style="text-align:center; padding:20px; color:red;">加载失败，请重试</td></tr>';
+// 搜索结果页初始化
+async function initSearchPage() {
+    const input = document.getElementById('searchInput');
+    // 页内再次搜索：由路由更新URL（可前进/后退）并重新渲染，无需刷新页面
+    const searchInPage = keyword => {
+        if (!keyword) {
+            showAlert('请输入搜索关键词！', 'error');
+            return;
         }
-    }
+        goSearch(keyword);
+    };
+    bindSearchSuggest(input, searchInPage);
 
-    // 绑定新增打卡表单
-    const checkInForm = document.getElementById('checkInForm');
-    if (checkInForm && !checkInForm.dataset.binded) {
-        checkInForm.dataset.binded = 'true';
-        checkInForm.addEventListener('submit', async (e) => {
-            e.preventDefault();
-            const checkInData = {
-                userId: document.getElementById('userId').value.trim(),
-                checkInContent: document.getElementById('checkInContent').value.trim(),
-                checkInTime: document.getElementById('checkInTime').value,
-                location: document.getElementById('location').value.trim()
-            };
-            const result = await addCheckIn(checkInData);
-            if (result) {
-                alert('打卡成功！');
-                checkInForm.reset();
-                await initCheckInPage(); // 重新加载列表
-            }
-        });
+    const searchBtn = document.getElementById('searchBtn');
+    if (searchBtn && !searchBtn.dataset.binded) {
+        searchBtn.dataset.binded = 'true';
+        searchBtn.addEventListener('click', () => searchInPage(input.value.trim()));
     }
+    await renderSearchResults();
+}
 
-    // 绑定编辑打卡表单
-    const editForm = document.getElementById('editCheckInForm');
-    if (editForm && !editForm.dataset.binded) {
-        editForm.dataset.binded = 'true';
-        editForm.addEventListener('submit', async (e) => {
-            e.preventDefault();
-            const id = document.getElementById('editId').value;
-            const checkInData = {
-                userId: document.getElementById('editUserId').value.trim(),
-                checkInContent: document.getElementById('editCheckInContent').value.trim(),
-                checkInTime: document.getElementById('editCheckInTime').value,
-                location: document.getElementById('editLocation').value.trim()
-            };
-            const result = await updateCheckIn(id, checkInData);
-            if (result) {
-                alert('编辑成功！');
-                closeCheckInEditModal();
-                await initCheckInPage(); // 重新加载列表
-            }
-        });
+// ====================== 登录/注册页 ======================
+// 切换登录/注册标签
+function switchTab(type) {
+    const loginTab = document.getElementById('loginTab');
+    const registerTab = document.getElementById('registerTab');
+    const loginBtn = document.getElementById('loginTabBtn');
+    const registerBtn = document.getElementById('registerTabBtn');
+
+    if (type === 'login') {
+        loginTab.classList.add('active');
+        registerTab.classList.remove('active');
+        loginBtn.classList.add('active');
+        registerBtn.classList.remove('active');
+    } else {
+        loginTab.classList.remove('active');
+        registerTab.classList.add('active');
+        loginBtn.classList.remove('active');
+        registerBtn.classList.add('active');
     }
 }
 
-// 数字藏品页初始化
-async function initCollectionPage() {
-    const collectionTable = document.getElementById('collectionTable');
-    if (collectionTable) {
-        // 添加loading-text类标识加载元素
-        collectionTable.innerHTML = '<tr><td colspan="10" class="loading-text" style="text-align:center; padding:20px;">加载中...</td></tr>';
-        try {
-            const list = await getAllCollections();
-            
-            if (list && list.length > 0) {
-                let html = '';
-                list.forEach(item => {
-                    html += `<tr>
-                        <td>${item.id || ''}</td>
-                        <td>${item.name || ''}</td>
-                        <td>${item.creator || ''}</td>
-                        <td>${item.creatorInfo?.substring(0, 30) || ''}...</td>
-                        <td>${item.price || 0} 元</td>
-                        <td>${item.stock || 0}</td>
-                        <td>${item.blockchainId || '无'}</td>
-                        <td>${item.collectionCoverUrl ? `<img src="${item.collectionCoverUrl}" width="50">` : '无'}</td>
-                        <td><button onclick="viewCollectionDetail(${item.id})">查看</button></td>
-                        <td>
-                            <button onclick="openCollectionEditModal(${item.id})">编辑</button>
-                            <button onclick="deleteCultureCollection(${item.id})">删除</button>
-                        </td>
-                    </tr>`;
-                });
-                collectionTable.innerHTML = html;
-            } else {
-                collectionTable.innerHTML = '<tr><td colspan="10" style="text-align:center; padding:20px;">暂无数字藏品</td></tr>';
-            }
-        } catch (err) {
-            collectionTable.innerHTML = '<tr><td colspan="10" style="text-align:center; padding:20px; color:red;">加载失败，请重试</td></tr>';
-        }
-    }
+// 预览头像
+function previewAvatar() {
+    const file = document.getElementById('avatarFile').files[0];
+    if (!file) return;
 
-    // 绑定新增藏品表单
-    const collectionForm = document.getElementById('collectionForm');
-    if (collectionForm && !collectionForm.dataset.binded) {
-        collectionForm.dataset.binded = 'true';
-        collectionForm.addEventListener('submit', async (e) => {
-            e.preventDefault();
-            const collectionData = {
-                name: document.getElementById('collectionName').value.trim(),
-                creator: document.getElementById('creator').value.trim(),
-                creatorInfo: document.getElementById('creatorInfo').value.trim() || '',
-                collectionCoverUrl: document.getElementById('collectionCoverUrl').value.trim() || '',
-                detailUrl: document.getElementById('detailUrl').value.trim() || '',
-                price: parseFloat(document.getElementById('price').value),
-                blockchainId: document.getElementById('blockchainId').value.trim() || '',
-                stock: parseInt(document.getElementById('stock').value)
-            };
-            const result = await addCultureCollection(collectionData);
-            if (result) {
-                alert('新增藏品成功！');
-                collectionForm.reset();
-                await initCollectionPage();
-            }
-        });
+    const reader = new FileReader();
+    reader.onload = function(e) {
+        document.getElementById('avatarPreview').src = e.target.result;
     }
+    reader.readAsDataURL(file);
 }
 
-// 个人足迹页初始化
-async function initFootprintPage() {
-    if (!isLogin) {
-        alert('请先登录！');
-        window.location.href = 'login.html';
+// 处理登录（登录后整页跳转回returnTo页面，重新获取登录状态）
+async function handleLogin() {
+    const username = document.getElementById('loginUsername').value.trim();
+    const password = document.getElementById('loginPassword').value.trim();
+
+    if (!username || !password) {
+        alert('请输入用户名和密码');
         return;
     }
 
-    const footprintTable = document.getElementById('footprintTable');
-    if (footprintTable) {
-        // 添加loading-text类标识加载元素
-        footprintTable.innerHTML = '<tr><td colspan="6" class="loading-text" style="text-align:center;">加载中...</td></tr>';
-        try {
-            const list = await getMyFootprint();
-            
-            if (list && list.length > 0) {
-                let html = '';
-                list.forEach(item => {
-                    html += `<tr>
-                        <td>${item.id || ''}</td>
-                        <td>${item.content || ''}</td>
-                        <td>${item.location || ''}</td>
-                        <td>${item.checkInTime || ''}</td>
-                        <td>${item.footprintImg ? `<img src="${item.footprintImg}" width="60">` : '-'}</td>
-                        <td><button class="btn btn-delete" onclick="deleteFootprint(${item.id})">删除</button></td>
-                    </tr>`;
-                });
-                footprintTable.innerHTML = html;
-            } else {
-                footprintTable.innerHTML = '<tr><td colspan="6" style="text-align:center;">暂无个人足迹</td></tr>';
-            }
-        } catch (err) {
-            footprintTable.innerHTML = '<tr><td colspan="6" style="color:red; text-align:center;">加载失败，请重试</td></tr>';
+    try {
+        const userData = await doLogin(username, password);
+        if (userData) {
+            alert('登录成功！');
+            broadcastAuthChange('login');
+            window.location.replace(getReturnTo());
         }
+    } catch (err) {
+        reportError(err, '登录失败');
     }
+}
 
-    // 绑定新增足迹表单
-    const footprintForm = document.getElementById('footprintForm');
-    if (footprintForm && !footprintForm.dataset.binded) {
-        footprintForm.dataset.binded = 'true';
-        footprintForm.addEventListener('submit', async (e) => {
-            e.preventDefault();
-            const footData = {
-                content: document.getElementById('footprintContent').value.trim(),
-                location: document.getElementById('footprintLocation').value.trim(),
-                footprintImg: document.getElementById('footprintImg').value.trim() || '',
-                checkInTime: new Date().toISOString().split('.')[0]
-            };
-            const result = await addUserFootprint(footData);
-            if (result) {
-                alert('足迹打卡成功！');
-                footprintForm.reset();
-                await initFootprintPage();
-            }
-        });
-    }
+// 登录页初始化：绑定注册表单（含头像上传，按multipart提交）
+function initLoginPage() {
+    bindSchemaForm('#registerForm', FORM_SCHEMAS.register, async values => {
+        const payload = toPayload(FORM_SCHEMAS.register, Object.assign({}, values, {
+            nickname: values.nickname || values.username
+        }));
+        const result = await doRegisterWithAvatar(toFormData(payload));
+        if (result) {
+            alert('注册成功！请登录');
+            switchTab('login');
+            document.getElementById('loginUsername').value = values.username;
+            document.getElementById('loginPassword').value = '';
+        }
+    });
 }
 
 // ====================== 通用弹窗函数 ======================
@@ -787,18 +4097,16 @@ function openStoryEditModal(storyId) {
     // 修复：调用正确的getStoryById函数 + 弹窗居中
     getStoryById(storyId).then(story => {
         if (story) {
-            document.getElementById('editStoryId').value = story.id;
-            document.getElementById('editStoryTitle').value = story.title || '';
-            document.getElementById('editStoryContent').value = story.content || '';
-            document.getElementById('editCoverUrl').value = story.coverUrl || '';
-            document.getElementById('editPushDate').value = story.pushDate || '';
-            document.getElementById('editStoryType').value = story.type || 'story';
-            document.getElementById('editRecommendReason').value = story.reason || '';
+            const form = document.getElementById('editStoryForm');
+            form.elements.id.value = story.id;
+            fillForm(form, FORM_SCHEMAS.story, story);
+            // 上次未保存的修改（如误关弹窗、保存失败）自动恢复
+            getStoryDraft(form).start();
             // 改为flex显示，匹配CSS居中
             document.getElementById('editStoryModal').style.display = 'flex';
         }
     }).catch(error => {
-        alert('加载故事数据失败：' + error.message);
+        reportError(error, '加载故事数据失败');
     });
 }
 
@@ -807,17 +4115,15 @@ function closeStoryEditModal() {
 }
 
 function openCheckInEditModal(checkInId) {
-    getCheckInById(checkInId).then(item => {
+    getManageableCheckIn(checkInId, 'edit').then(item => {
         if (item) {
-            document.getElementById('editId').value = item.id;
-            document.getElementById('editUserId').value = item.userId || '';
-            document.getElementById('editCheckInContent').value = item.checkInContent || '';
-            document.getElementById('editCheckInTime').value = item.checkInTime || '';
-            document.getElementById('editLocation').value = item.location || '';
+            const form = document.getElementById('editCheckInForm');
+            form.elements.id.value = item.id;
+            fillForm(form, FORM_SCHEMAS.checkIn, item);
             document.getElementById('editModal').style.display = 'flex'; // 居中
         }
     }).catch(error => {
-        alert('加载打卡数据失败：' + error.message);
+        reportError(error, '加载打卡数据失败');
     });
 }
 
@@ -828,19 +4134,13 @@ function closeCheckInEditModal() {
 function openCollectionEditModal(collectionId) {
     getCollectionById(collectionId).then(item => {
         if (item) {
-            document.getElementById('editCollectionId').value = item.id;
-            document.getElementById('editCollectionName').value = item.name || '';
-            document.getElementById('editCreator').value = item.creator || '';
-            document.getElementById('editCreatorInfo').value = item.creatorInfo || '';
-            document.getElementById('editCollectionCoverUrl').value = item.collectionCoverUrl || '';
-            document.getElementById('editDetailUrl').value = item.detailUrl || '';
-            document.getElementById('editPrice').value = item.price || 0;
-            document.getElementById('editBlockchainId').value = item.blockchainId || '';
-            document.getElementById('editStock').value = item.stock || 0;
+            const form = document.getElementById('editCollectionForm');
+            form.elements.id.value = item.id;
+            fillForm(form, FORM_SCHEMAS.collection, item);
             document.getElementById('editCollectionModal').style.display = 'flex'; // 居中
         }
     }).catch(error => {
-        alert('加载藏品数据失败：' + error.message);
+        reportError(error, '加载藏品数据失败');
     });
 }
 
@@ -849,29 +4149,185 @@ function closeCollectionEditModal() {
 }
 
 function viewCollectionDetail(collectionId) {
-    getCollectionById(collectionId).then(item => {
-        if (item) {
-            alert(`
-                藏品详情：
-                名称：${item.name}
-                创作者：${item.creator}
-                价格：${item.price} 元
-                库存：${item.stock}
-                区块链ID：${item.blockchainId || '无'}
-            `);
-        }
-    }).catch(error => {
-        alert('查看藏品详情失败：' + error.message);
+    navigateTo(collectionDetailUrl(collectionId));
+}
+
+// ====================== 安全模板 ======================
+/**
+ * 转义HTML特殊字符（后端返回的文本插入innerHTML前使用）
+ */
+function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * 已确认安全的HTML片段（html模板的结果，或rawHtml包裹的固定内容），再次插入模板时不转义
+ */
+class SafeHtml {
+    constructor(value) {
+        this.value = String(value);
+    }
+
+    toString() {
+        return this.value;
+    }
+}
+
+/**
+ * 标记固定的HTML片段为安全内容（只能用于代码中写死的字符串，不能包裹后端数据）
+ */
+function rawHtml(value) {
+    return value instanceof SafeHtml ? value : new SafeHtml(value);
+}
+
+/**
+ * HTML模板标签：插值默认转义，SafeHtml原样插入，数组逐项处理后拼接，null/undefined/false输出为空
+ * 用法：el.innerHTML = html`<td>${item.title}</td>${list.map(x => html`<li>${x.name}</li>`)}`
+ * 事件不要写在模板里（onclick等），用 data-action 交给事件委托处理
+ */
+function html(strings, ...values) {
+    let result = strings[0];
+    values.forEach((value, i) => {
+        result += renderTemplateValue(value) + strings[i + 1];
     });
+    return new SafeHtml(result);
+}
+
+function renderTemplateValue(value) {
+    if (value === null || value === undefined || value === false) return '';
+    if (value instanceof SafeHtml) return value.value;
+    if (Array.isArray(value)) return value.map(renderTemplateValue).join('');
+    return escapeHtml(value);
+}
+
+/**
+ * 只允许http(s)和站内相对地址，避免javascript:等协议
+ */
+function safeLink(url) {
+    const value = String(url || '').trim();
+    if (!value) return '';
+    return /^(https?:)?\/\//i.test(value) || !/^[a-z][a-z0-9+.-]*:/i.test(value) ? value : '';
+}
+
+/**
+ * 图片地址：在safeLink基础上允许base64的data:image（如头像），不安全或为空时返回fallback
+ */
+function safeImageUrl(url, fallback = '') {
+    const value = String(url || '').trim();
+    if (/^data:image\/(png|jpe?g|gif|webp);base64,[a-z0-9+/=]+$/i.test(value)) return value;
+    return safeLink(value) || fallback;
+}
+
+// ====================== 事件委托 ======================
+/**
+ * 页面和模板中的按钮不写内联onclick，改为 data-action="动作名"（参数放在 data-id 等属性上），由document统一分发
+ * 视图重新渲染、路由切换后无需重新绑定；需要在change时触发的（如文件选择框）加 data-action-on="change"
+ */
+const actionHandlers = {};
+
+/**
+ * 注册动作处理函数
+ * @param {String} name - 动作名（对应 data-action）
+ * @param {Function} handler - 处理函数，参数为 (触发元素, 事件)
+ */
+function onAction(name, handler) {
+    actionHandlers[name] = handler;
+}
+
+function handleActionEvent(e) {
+    const target = e.target.closest('[data-action]');
+    if (!target || (target.dataset.actionOn || 'click') !== e.type) return;
+    const handler = actionHandlers[target.dataset.action];
+    if (handler) handler(target, e);
 }
 
+document.addEventListener('click', handleActionEvent);
+document.addEventListener('change', handleActionEvent);
+
+// 导航栏用户菜单
+onAction('toggle-user-menu', (el, e) => toggleUserMenu(e));
+onAction('logout', () => logout());
+onAction('switch-account', () => switchAccount());
+// 首页搜索
+onAction('search', () => doSearch());
+// 登录/注册页
+onAction('switch-tab', el => switchTab(el.dataset.tab));
+onAction('login', () => handleLogin());
+onAction('pick-avatar', () => document.getElementById('avatarFile').click());
+onAction('preview-avatar', () => previewAvatar());
+// 表格行操作
+onAction('story-edit', el => openStoryEditModal(el.dataset.id));
+onAction('story-delete', el => removeListItem('story', el.dataset.id, deleteCultureStory));
+// 故事页排期日历
+onAction('calendar-filter', () => refreshStoryCalendar());
+onAction('calendar-reschedule', el => rescheduleStory(el.dataset.id, el.value));
+onAction('checkin-edit', el => openCheckInEditModal(el.dataset.id));
+onAction('checkin-delete', el => removeListItem('checkIn', el.dataset.id, deleteCheckIn));
+onAction('checkin-promote', el => promoteCheckInToFootprint(el.dataset.id));
+onAction('collection-view', el => viewCollectionDetail(el.dataset.id));
+onAction('collection-edit', el => openCollectionEditModal(el.dataset.id));
+onAction('collection-delete', el => removeListItem('collection', el.dataset.id, deleteCultureCollection));
+onAction('footprint-delete', el => removeFootprint(el.dataset.id));
+onAction('footprint-locate', el => locateFootprint(el.dataset.id));
+// 详情页点赞、收藏、评论
+onAction('interaction-like', el => toggleInteraction(el.closest('.interaction-bar'), 'like'));
+onAction('interaction-favorite', el => toggleInteraction(el.closest('.interaction-bar'), 'favorite'));
+onAction('comment-reply', el => openReplyForm(el));
+onAction('comment-reply-cancel', el => el.closest('form').remove());
+onAction('comment-delete', el => removeComment(el));
+// 我的收藏：取消收藏
+onAction('favorite-remove', el => removeFavorite(el.dataset.targetType, el.dataset.targetId));
+// 列表批量操作
+onAction('batch-delete', el => batchDelete(el.dataset.target));
+onAction('batch-story-type', () => batchChangeStoryType());
+onAction('batch-collection-adjust', () => batchAdjustCollections());
+onAction('batch-clear', el => BATCH_TARGETS[el.dataset.target].getTable()?.setSelection([]));
+// 离线队列：放弃未同步的记录
+onAction('outbox-discard', el => discardOutboxItem(el.dataset.id));
+// 编辑弹窗
+onAction('close-story-modal', () => closeStoryEditModal());
+onAction('close-checkin-modal', () => closeCheckInEditModal());
+onAction('close-collection-modal', () => closeCollectionEditModal());
+
+// 离线队列变化（入队、同步完成、放弃）后刷新当前页面的待同步行
+onOutboxChange(() => {
+    if (checkInDataTable && checkInDataTable.mounted) checkInDataTable.reload();
+    if (document.getElementById('footprintTable') && isLogin) loadFootprintList();
+});
+
+/**
+ * 非阻塞提示：页面有#alertBox时使用页面提示框，否则在顶部弹出自动消失的提示
+ * @param {String} msg - 提示内容
+ * @param {String} type - success/error
+ */
 function showAlert(msg, type = "success") {
     const alertBox = document.getElementById('alertBox');
-    if (!alertBox) return;
-    
-    alertBox.className = `alert ${type}`;
-    alertBox.textContent = msg;
-    setTimeout(() => {
-        alertBox.className = 'alert';
-    }, 3000);
-}
\ No newline at end of file
+    if (alertBox) {
+        alertBox.className = `alert ${type}`;
+        alertBox.textContent = msg;
+        clearTimeout(alertBox._hideTimer);
+        alertBox._hideTimer = setTimeout(() => {
+            alertBox.className = 'alert';
+        }, 3000);
+        return;
+    }
+
+    let toastContainer = document.getElementById('toastContainer');
+    if (!toastContainer) {
+        toastContainer = document.createElement('div');
+        toastContainer.id = 'toastContainer';
+        toastContainer.style.cssText = 'position:fixed; top:20px; left:50%; transform:translateX(-50%); z-index:10000; display:flex; flex-direction:column; gap:8px; pointer-events:none;';
+        document.body.appendChild(toastContainer);
+    }
+    const toast = document.createElement('div');
+    toast.className = `toast ${type}`;
+    toast.style.cssText = `padding:10px 20px; border-radius:4px; box-shadow:0 2px 8px rgba(0,0,0,0.15); font-size:14px; white-space:pre-line; ${type === 'error' ? 'background:#f8d7da; color:#721c24;' : 'background:#d4edda; color:#155724;'}`;
+    toast.textContent = msg;
+    toastContainer.appendChild(toast);
+    setTimeout(() => toast.remove(), 3000);
+}
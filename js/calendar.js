@@ -0,0 +1,170 @@
+// ====================== 通用月历组件 ======================
+/**
+ * 创建月历（周一为每周第一天，含上月/下月补齐的日期），支持选中日期和把条目拖到其他日期
+ * 日期统一用 YYYY-MM-DD 字符串（toDayKey，见 js/footprint-stats.js）
+ * @param {HTMLElement|String} container - 月历容器元素或选择器
+ * @param {Object} options - 配置项
+ * @param {Function} options.renderDay - 渲染某天的内容，参数为 (dayKey, date)，返回HTML（需自行转义）
+ * @param {Function} options.dayClass - 某天格子附加的class，参数为 (dayKey, date)
+ * @param {Function} options.onSelect - 点击日期时回调，参数为 (dayKey)
+ * @param {Function} options.onMove - 条目拖到其他日期时回调，参数为 (itemId, fromKey, toKey)；
+ *                                    可拖动的条目需带 draggable="true" data-calendar-item="id"
+ * @param {Function} options.onChangeMonth - 切换月份时回调，参数为 (year, month)，month从1开始
+ * @param {Date} options.date - 初始显示的月份，默认本月
+ * @returns {Object} 月历实例：{ year, month, selected, mounted, range, render(), setMonth(year, month), select(dayKey) }
+ */
+function createMonthCalendar(container, options = {}) {
+    const el = typeof container === 'string' ? document.querySelector(container) : container;
+    const initial = options.date || new Date();
+    const weekdays = ['一', '二', '三', '四', '五', '六', '日'];
+    // 拖动中的条目（dataTransfer在dragover中读不到内容，所以另外记录）
+    let dragging = null;
+
+    const calendar = {
+        year: initial.getFullYear(),
+        month: initial.getMonth() + 1,
+        selected: '',
+
+        /**
+         * 月历容器是否仍在页面中（路由切换视图后需重新创建）
+         */
+        get mounted() {
+            return !!el && el.isConnected;
+        },
+
+        /**
+         * 当前显示的日期范围（含补齐的前后几天）：{ start, end }，均为dayKey
+         */
+        get range() {
+            const days = getDays();
+            return { start: toDayKey(days[0]), end: toDayKey(days[days.length - 1]) };
+        },
+
+        /**
+         * 切换月份（month超出1~12时自动进位，如 setMonth(2024, 13) 为2025年1月）
+         */
+        setMonth(year, month) {
+            const date = new Date(year, month - 1, 1);
+            this.year = date.getFullYear();
+            this.month = date.getMonth() + 1;
+            this.render();
+            if (typeof options.onChangeMonth === 'function') options.onChangeMonth(this.year, this.month);
+        },
+
+        /**
+         * 选中某天（不在当前月份时切换过去）
+         */
+        select(dayKey) {
+            this.selected = dayKey;
+            const [year, month] = dayKey.split('-').map(Number);
+            if (year !== this.year || month !== this.month) {
+                this.setMonth(year, month);
+            } else {
+                this.render();
+            }
+            if (typeof options.onSelect === 'function') options.onSelect(dayKey);
+        },
+
+        render() {
+            if (el) el.innerHTML = buildHtml();
+        }
+    };
+
+    /**
+     * 月历显示的全部日期：从本月1日所在周的周一到月末所在周的周日
+     */
+    function getDays() {
+        const first = new Date(calendar.year, calendar.month - 1, 1);
+        const last = new Date(calendar.year, calendar.month, 0);
+        const start = addDays(first, -((first.getDay() + 6) % 7));
+        const end = addDays(last, 6 - ((last.getDay() + 6) % 7));
+        const days = [];
+        for (let date = start; date <= end; date = addDays(date, 1)) days.push(date);
+        return days;
+    }
+
+    function buildHtml() {
+        const todayKey = toDayKey(new Date());
+        let html = `<div class="calendar-header">
+            <button type="button" data-calendar-nav="-1">‹ 上月</button>
+            <span class="calendar-title">${calendar.year}年${calendar.month}月</span>
+            <button type="button" data-calendar-nav="1">下月 ›</button>
+            <button type="button" data-calendar-nav="today">今天</button>
+        </div>`;
+        html += '<div class="calendar-grid">';
+        html += weekdays.map(day => `<div class="calendar-weekday">${day}</div>`).join('');
+        getDays().forEach(date => {
+            const key = toDayKey(date);
+            const classes = ['calendar-day'];
+            if (date.getMonth() + 1 !== calendar.month) classes.push('is-other-month');
+            if (key === todayKey) classes.push('is-today');
+            if (key === calendar.selected) classes.push('is-selected');
+            if (typeof options.dayClass === 'function') classes.push(options.dayClass(key, date) || '');
+            html += `<div class="${classes.join(' ').trim()}" data-date="${key}">
+                <div class="calendar-date">${date.getDate()}</div>
+                ${typeof options.renderDay === 'function' ? String(options.renderDay(key, date) || '') : ''}
+            </div>`;
+        });
+        html += '</div>';
+        return html;
+    }
+
+    function clearDropTarget() {
+        el.querySelectorAll('.calendar-day.is-drop-target').forEach(day => day.classList.remove('is-drop-target'));
+    }
+
+    // 事件委托：容器内容每次重绘，只需绑定一次
+    if (el && !el.dataset.binded) {
+        el.dataset.binded = 'true';
+        el.addEventListener('click', e => {
+            const nav = e.target.closest('[data-calendar-nav]');
+            if (nav) {
+                if (nav.dataset.calendarNav === 'today') {
+                    calendar.select(toDayKey(new Date()));
+                } else {
+                    calendar.setMonth(calendar.year, calendar.month + Number(nav.dataset.calendarNav));
+                }
+                return;
+            }
+            // 日期格子里的链接/按钮照常响应，不当作选中日期
+            if (e.target.closest('a, button')) return;
+            const day = e.target.closest('.calendar-day');
+            if (day) calendar.select(day.dataset.date);
+        });
+        el.addEventListener('dragstart', e => {
+            const item = e.target.closest('[data-calendar-item]');
+            const day = item && item.closest('.calendar-day');
+            if (!day) return;
+            dragging = { id: item.dataset.calendarItem, from: day.dataset.date };
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', dragging.id);
+        });
+        el.addEventListener('dragend', () => {
+            dragging = null;
+            clearDropTarget();
+        });
+        el.addEventListener('dragover', e => {
+            const day = e.target.closest('.calendar-day');
+            if (!dragging || !day) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'move';
+            if (!day.classList.contains('is-drop-target')) {
+                clearDropTarget();
+                day.classList.add('is-drop-target');
+            }
+        });
+        el.addEventListener('drop', e => {
+            const day = e.target.closest('.calendar-day');
+            if (!dragging || !day) return;
+            e.preventDefault();
+            const { id, from } = dragging;
+            dragging = null;
+            clearDropTarget();
+            if (day.dataset.date !== from && typeof options.onMove === 'function') {
+                options.onMove(id, from, day.dataset.date);
+            }
+        });
+    }
+
+    return calendar;
+}
@@ -0,0 +1,288 @@
+// ====================== 通用数据表格组件 ======================
+/**
+ * 创建数据表格（服务端分页 + 排序 + 列筛选 + 关键词联想搜索）
+ * 排序列在表头th上声明 data-sort="字段名"，点击切换 升序 → 降序 → 不排序
+ * 查询条件（排序、筛选、关键词）与页码一样同步到URL参数，刷新/分享后保持
+ * 可选的行选择（批量操作）：行内复选框 data-select-id="行ID"，表头全选框 data-select-all（只选当前页），
+ * 禁用的复选框不参与全选；翻页、筛选后只保留仍在当前页的选中行
+ * @param {Object} options - 配置项
+ * @param {HTMLElement|String} options.tbody - 表格tbody元素或选择器
+ * @param {HTMLElement|String} options.pagination - 分页容器元素或选择器
+ * @param {Function} options.fetchPage - 拉取数据，参数为 (pageNum, pageSize, query, requestOptions)，返回分页接口的data
+ *   requestOptions含 cancelKey、loading、onUpdate（缓存的后台刷新回调），直接传给接口函数即可
+ * @param {Function} options.renderRow - 渲染单行，参数为行数据，返回 <tr> HTML
+ * @param {Number} options.colspan - 列数（用于加载/空数据提示行）
+ * @param {Array} options.filters - 筛选项：[{ key, label, type: 'select'|'text', options: [{ value, label }] }]
+ * @param {String} options.searchPlaceholder - 关键词搜索框提示（不传则不显示搜索框）
+ * @param {String} options.emptyText - 无数据提示
+ * @param {String} options.cancelKey - 请求取消标识（重复加载时取消上一次请求）
+ * @param {Function} options.pinnedRows - 置顶行（如离线待同步的记录），返回 <tr> HTML 数组（可为Promise），只在第一页显示
+ * @param {Function} options.onSelectionChange - 选中行变化时回调，参数为选中的行ID数组（字符串）
+ * @returns {Object} 表格实例：{ query, paginator, mounted, selectedIds, reload(), setQuery(patch), getQuery(), setSelection(ids) }
+ */
+function createDataTable(options) {
+    const tbody = typeof options.tbody === 'string' ? document.querySelector(options.tbody) : options.tbody;
+    const table = tbody.closest('table');
+    const filters = options.filters || [];
+    const colspan = options.colspan || (table ? table.querySelectorAll('thead th').length : 1);
+    const queryKeys = ['sortField', 'sortOrder', 'keyword'].concat(filters.map(item => item.key));
+
+    const dataTable = {
+        query: {},
+        paginator: null,
+
+        /**
+         * 表格是否仍在页面中（路由切换视图后原表格被移除，需重新创建）
+         */
+        get mounted() {
+            return tbody.isConnected;
+        },
+
+        /**
+         * 选中的行ID（字符串）
+         */
+        get selectedIds() {
+            return Array.from(selected);
+        },
+
+        /**
+         * 按当前页码和查询条件重新加载
+         */
+        async reload() {
+            const seq = ++reloadSeq;
+            pinnedHtml = options.pinnedRows && this.paginator.pageNum === 1 ? (await options.pinnedRows()).join('') : '';
+            if (seq !== reloadSeq) return;
+            tbody.innerHTML = pinnedHtml + `<tr><td colspan="${colspan}" class="loading-text" style="text-align:center; padding:20px;">加载中...</td></tr>`;
+            try {
+                const data = await options.fetchPage(
+                    this.paginator.pageNum,
+                    this.paginator.pageSize,
+                    getActiveQuery(),
+                    {
+                        cancelKey: options.cancelKey,
+                        loading: tbody.querySelector('.loading-text'),
+                        // 先用缓存渲染时，后台刷新到新数据再重新渲染（期间已重新加载或离开页面则忽略）
+                        onUpdate: latest => {
+                            if (seq === reloadSeq && this.mounted && latest) renderPage(normalizePageResult(latest));
+                        }
+                    }
+                );
+                renderPage(normalizePageResult(data));
+            } catch (err) {
+                // 接口错误已显示在本次请求的加载元素中（取消说明已有更新的加载），这里只兜底其他异常
+                if (err instanceof ApiError) return;
+                console.error('表格渲染失败：', err);
+                tbody.innerHTML = pinnedHtml + `<tr><td colspan="${colspan}" style="text-align:center; padding:20px; color:red;">加载失败，请重试</td></tr>`;
+            }
+        },
+
+        /**
+         * 修改查询条件并回到第一页重新加载
+         * @param {Object} patch - 要修改的条件，值为空表示清除该条件
+         */
+        setQuery(patch) {
+            Object.assign(this.query, patch);
+            syncQueryToUrl();
+            syncControls();
+            this.paginator.reset();
+            return this.reload();
+        },
+
+        /**
+         * 当前生效的查询条件（去掉空值，与接口参数一致），如导出当前筛选结果
+         */
+        getQuery() {
+            return getActiveQuery();
+        },
+
+        /**
+         * 设置选中的行（只保留当前页可选择的行），如批量操作后保留失败的行；传空数组即取消选择
+         */
+        setSelection(ids) {
+            selected.clear();
+            (ids || []).forEach(id => selected.add(String(id)));
+            syncSelection();
+            notifySelection();
+        }
+    };
+
+    // 加载序号：只渲染最后一次加载（及其后台刷新）的数据
+    let reloadSeq = 0;
+    // 本次加载的置顶行
+    let pinnedHtml = '';
+    // 选中的行ID
+    const selected = new Set();
+
+    /**
+     * 渲染一页数据（当前页超出范围时分页组件会跳页并重新加载，不渲染本页）
+     */
+    function renderPage(page) {
+        if (!dataTable.paginator.render(page.total)) return;
+        if (page.records.length > 0) {
+            tbody.innerHTML = pinnedHtml + page.records.map(options.renderRow).join('');
+        } else if (pinnedHtml) {
+            tbody.innerHTML = pinnedHtml;
+        } else {
+            tbody.innerHTML = `<tr><td colspan="${colspan}" style="text-align:center; padding:20px;">${options.emptyText || '暂无数据'}</td></tr>`;
+        }
+        if (syncSelection()) notifySelection();
+    }
+
+    // 从URL恢复查询条件
+    const params = new URLSearchParams(window.location.search);
+    queryKeys.forEach(key => {
+        if (params.get(key)) dataTable.query[key] = params.get(key);
+    });
+
+    /**
+     * 去掉空值的查询条件（作为接口参数）
+     */
+    function getActiveQuery() {
+        const activeQuery = {};
+        queryKeys.forEach(key => {
+            const value = dataTable.query[key];
+            if (value !== undefined && value !== null && String(value).trim() !== '') {
+                activeQuery[key] = String(value).trim();
+            }
+        });
+        if (!activeQuery.sortField) delete activeQuery.sortOrder;
+        return activeQuery;
+    }
+
+    function syncQueryToUrl() {
+        const url = new URL(window.location.href);
+        const activeQuery = getActiveQuery();
+        queryKeys.forEach(key => {
+            if (activeQuery[key]) {
+                url.searchParams.set(key, activeQuery[key]);
+            } else {
+                url.searchParams.delete(key);
+            }
+        });
+        window.history.replaceState(window.history.state, '', url.toString());
+    }
+
+    // ---------- 工具栏：筛选项 + 关键词搜索 ----------
+    let toolbar = null;
+    if (filters.length > 0 || options.searchPlaceholder) {
+        toolbar = document.createElement('div');
+        toolbar.className = 'table-toolbar';
+        let html = '';
+        if (options.searchPlaceholder) {
+            html += `<input type="search" class="table-search" data-query-key="keyword" placeholder="${options.searchPlaceholder}">`;
+        }
+        filters.forEach(filter => {
+            if (filter.type === 'select') {
+                html += `<label>${filter.label}：<select data-query-key="${filter.key}">
+                    <option value="">全部</option>
+                    ${filter.options.map(item => `<option value="${item.value}">${item.label}</option>`).join('')}
+                </select></label>`;
+            } else {
+                html += `<label>${filter.label}：<input type="text" data-query-key="${filter.key}" placeholder="${filter.placeholder || ''}"></label>`;
+            }
+        });
+        html += '<button type="button" class="table-reset">重置</button>';
+        toolbar.innerHTML = html;
+        table.parentNode.insertBefore(toolbar, table);
+
+        // 输入框防抖后查询（边输边搜），下拉框立即查询
+        let inputTimer = null;
+        toolbar.addEventListener('input', e => {
+            const key = e.target.dataset.queryKey;
+            if (!key || e.target.tagName === 'SELECT') return;
+            clearTimeout(inputTimer);
+            inputTimer = setTimeout(() => dataTable.setQuery({ [key]: e.target.value }), 300);
+        });
+        toolbar.addEventListener('change', e => {
+            const key = e.target.dataset.queryKey;
+            if (key && e.target.tagName === 'SELECT') dataTable.setQuery({ [key]: e.target.value });
+        });
+        toolbar.querySelector('.table-reset').addEventListener('click', () => {
+            clearTimeout(inputTimer);
+            const cleared = {};
+            queryKeys.forEach(key => cleared[key] = '');
+            dataTable.setQuery(cleared);
+        });
+    }
+
+    // ---------- 表头排序 ----------
+    const sortHeaders = table ? Array.from(table.querySelectorAll('thead th[data-sort]')) : [];
+    sortHeaders.forEach(th => {
+        th.classList.add('sortable');
+        th.addEventListener('click', () => {
+            const field = th.dataset.sort;
+            let sortOrder = 'asc';
+            if (dataTable.query.sortField === field) {
+                sortOrder = dataTable.query.sortOrder === 'asc' ? 'desc' : '';
+            }
+            dataTable.setQuery({ sortField: sortOrder ? field : '', sortOrder });
+        });
+    });
+
+    /**
+     * 控件显示与当前查询条件保持一致（恢复URL条件、重置后）
+     */
+    function syncControls() {
+        if (toolbar) {
+            toolbar.querySelectorAll('[data-query-key]').forEach(control => {
+                const value = dataTable.query[control.dataset.queryKey] || '';
+                if (control.value !== value) control.value = value;
+            });
+        }
+        sortHeaders.forEach(th => {
+            const active = dataTable.query.sortField === th.dataset.sort;
+            th.classList.toggle('sort-asc', active && dataTable.query.sortOrder === 'asc');
+            th.classList.toggle('sort-desc', active && dataTable.query.sortOrder === 'desc');
+        });
+    }
+
+    // ---------- 行选择 ----------
+    /**
+     * 复选框与选中状态保持一致：去掉已不在当前页（或不可选择）的行，更新表头全选框（部分选中时为半选）
+     * @returns {Boolean} 是否有选中的行被去掉
+     */
+    function syncSelection() {
+        const boxes = Array.from(tbody.querySelectorAll('input[data-select-id]')).filter(box => !box.disabled);
+        const pageIds = boxes.map(box => box.dataset.selectId);
+        const before = selected.size;
+        Array.from(selected).forEach(id => {
+            if (!pageIds.includes(id)) selected.delete(id);
+        });
+        boxes.forEach(box => box.checked = selected.has(box.dataset.selectId));
+        const selectAll = table && table.querySelector('thead input[data-select-all]');
+        if (selectAll) {
+            selectAll.checked = boxes.length > 0 && selected.size === boxes.length;
+            selectAll.indeterminate = selected.size > 0 && selected.size < boxes.length;
+            selectAll.disabled = boxes.length === 0;
+        }
+        return selected.size !== before;
+    }
+
+    function notifySelection() {
+        if (typeof options.onSelectionChange === 'function') options.onSelectionChange(dataTable.selectedIds);
+    }
+
+    if (table) {
+        table.addEventListener('change', e => {
+            if (e.target.matches('input[data-select-all]')) {
+                tbody.querySelectorAll('input[data-select-id]:not(:disabled)').forEach(box => {
+                    if (e.target.checked) selected.add(box.dataset.selectId);
+                    else selected.delete(box.dataset.selectId);
+                });
+            } else if (e.target.matches('input[data-select-id]')) {
+                if (e.target.checked) selected.add(e.target.dataset.selectId);
+                else selected.delete(e.target.dataset.selectId);
+            } else {
+                return;
+            }
+            syncSelection();
+            notifySelection();
+        });
+    }
+
+    dataTable.paginator = createPaginator(options.pagination, {
+        onChange: () => dataTable.reload()
+    });
+    syncControls();
+    return dataTable;
+}
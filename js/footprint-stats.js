@@ -0,0 +1,166 @@
+// ====================== 足迹统计与成就 ======================
+/**
+ * 根据个人足迹（getMyFootprint返回的列表）计算统计数据、按月分组的时间线和成就
+ * 只做计算，不请求接口、不渲染页面；日期按浏览器本地时区计算
+ */
+
+/**
+ * 成就定义：metric(统计数据) 达到 target 即解锁，未解锁时按 metric / target 显示进度
+ * 新增成就只需在此追加（id不可修改，已解锁记录按id保存）
+ */
+const FOOTPRINT_BADGES = [
+    { id: 'first-step', name: '初次打卡', description: '记录第一条文化足迹', metric: stats => stats.total, target: 1 },
+    { id: 'sites-5', name: '文化探索者', description: '在5个不同地点打卡', metric: stats => stats.distinctLocations, target: 5 },
+    { id: 'sites-10', name: '遗产寻访者', description: '在10个不同地点打卡', metric: stats => stats.distinctLocations, target: 10 },
+    { id: 'sites-30', name: '行走的文化地图', description: '在30个不同地点打卡', metric: stats => stats.distinctLocations, target: 30 },
+    { id: 'streak-3', name: '三日不辍', description: '连续3天打卡', metric: stats => stats.longestStreak, target: 3 },
+    { id: 'streak-7', name: '七日坚持', description: '连续7天打卡', metric: stats => stats.longestStreak, target: 7 },
+    { id: 'regular-5', name: '故地常客', description: '在同一地点打卡5次', metric: stats => (stats.topLocations[0] ? stats.topLocations[0].count : 0), target: 5 },
+    { id: 'total-50', name: '足迹达人', description: '累计打卡50次', metric: stats => stats.total, target: 50 }
+];
+
+/**
+ * 解析打卡时间（兼容 2024-05-01T10:00:00 和 2024-05-01 10:00:00），无效时返回null
+ */
+function parseFootprintTime(value) {
+    if (!value) return null;
+    const date = new Date(String(value).trim().replace(' ', 'T'));
+    return isNaN(date.getTime()) ? null : date;
+}
+
+function pad2(value) {
+    return String(value).padStart(2, '0');
+}
+
+function toDayKey(date) {
+    return `${date.getFullYear()}-${pad2(date.getMonth() + 1)}-${pad2(date.getDate())}`;
+}
+
+function addDays(date, days) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
+/**
+ * 计算足迹统计
+ * @param {Array} list - 足迹列表
+ * @param {Date} today - 计算当前连续天数的基准日期，默认今天
+ * @returns {Object} {
+ *   total: 打卡次数, distinctLocations: 不同地点数, activeDays: 有打卡的天数,
+ *   currentStreak: 当前连续打卡天数（今天还没打卡时从昨天算起）, longestStreak: 最长连续打卡天数,
+ *   topLocations: 最常去的地点 [{ location, count }]（最多5个）, firstTime / lastTime: 最早/最近打卡时间
+ * }
+ */
+function computeFootprintStats(list, today = new Date()) {
+    const items = list || [];
+    // 地点按去掉首尾空格、忽略大小写后的名称合并
+    const locationCounts = new Map();
+    const days = new Set();
+    let firstTime = null;
+    let lastTime = null;
+
+    items.forEach(item => {
+        const location = String(item.location || '').trim();
+        if (location) {
+            const key = location.toLowerCase();
+            const entry = locationCounts.get(key) || { location, count: 0 };
+            entry.count++;
+            locationCounts.set(key, entry);
+        }
+        const time = parseFootprintTime(item.checkInTime);
+        if (time) {
+            days.add(toDayKey(time));
+            if (!firstTime || time < firstTime) firstTime = time;
+            if (!lastTime || time > lastTime) lastTime = time;
+        }
+    });
+
+    let longestStreak = 0;
+    days.forEach(key => {
+        const [year, month, day] = key.split('-').map(Number);
+        const date = new Date(year, month - 1, day);
+        // 只从连续区间的第一天开始往后数
+        if (days.has(toDayKey(addDays(date, -1)))) return;
+        let length = 1;
+        while (days.has(toDayKey(addDays(date, length)))) length++;
+        longestStreak = Math.max(longestStreak, length);
+    });
+
+    let currentStreak = 0;
+    let cursor = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+    if (!days.has(toDayKey(cursor))) cursor = addDays(cursor, -1);
+    while (days.has(toDayKey(cursor))) {
+        currentStreak++;
+        cursor = addDays(cursor, -1);
+    }
+
+    return {
+        total: items.length,
+        distinctLocations: locationCounts.size,
+        activeDays: days.size,
+        currentStreak,
+        longestStreak,
+        topLocations: Array.from(locationCounts.values()).sort((a, b) => b.count - a.count).slice(0, 5),
+        firstTime,
+        lastTime
+    };
+}
+
+/**
+ * 各成就的解锁状态
+ * @returns {Array} [{ id, name, description, target, value, unlocked }]，value为当前进度（不超过target）
+ */
+function evaluateBadges(stats) {
+    return FOOTPRINT_BADGES.map(badge => {
+        const value = badge.metric(stats) || 0;
+        return {
+            id: badge.id,
+            name: badge.name,
+            description: badge.description,
+            target: badge.target,
+            value: Math.min(value, badge.target),
+            unlocked: value >= badge.target
+        };
+    });
+}
+
+/**
+ * 已解锁的成就
+ */
+function getUnlockedBadges(stats) {
+    return evaluateBadges(stats).filter(badge => badge.unlocked);
+}
+
+/**
+ * 按月分组（新的在前），每组内按打卡时间倒序；没有有效打卡时间的放在最后一组
+ * @returns {Array} [{ key: '2024-05', label: '2024年5月', items }]
+ */
+function groupFootprintsByMonth(list) {
+    const groups = new Map();
+    const undated = [];
+    (list || [])
+        .map(item => ({ item, time: parseFootprintTime(item.checkInTime) }))
+        .sort((a, b) => (b.time ? b.time.getTime() : 0) - (a.time ? a.time.getTime() : 0))
+        .forEach(({ item, time }) => {
+            if (!time) {
+                undated.push(item);
+                return;
+            }
+            const key = `${time.getFullYear()}-${pad2(time.getMonth() + 1)}`;
+            if (!groups.has(key)) {
+                groups.set(key, { key, label: `${time.getFullYear()}年${time.getMonth() + 1}月`, items: [] });
+            }
+            groups.get(key).items.push(item);
+        });
+    const result = Array.from(groups.values());
+    if (undated.length > 0) result.push({ key: 'undated', label: '未记录时间', items: undated });
+    return result;
+}
+
+/**
+ * 时间线上显示的日期时间（如 05-01 10:00），无效时原样返回
+ */
+function formatFootprintTime(value) {
+    const time = parseFootprintTime(value);
+    if (!time) return value || '';
+    return `${pad2(time.getMonth() + 1)}-${pad2(time.getDate())} ${pad2(time.getHours())}:${pad2(time.getMinutes())}`;
+}
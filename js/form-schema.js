@@ -0,0 +1,401 @@
+// ====================== 表单Schema ======================
+/**
+ * 按schema声明的字段统一处理表单：取值 → 校验 → 转换为接口数据，接口数据回填表单（编辑弹窗），
+ * 以及在对应输入框旁显示错误（前端校验和后端返回的字段错误走同一套显示）
+ *
+ * schema 格式：{ fields: [字段, ...] }，字段配置：
+ *   name     - 字段名，也是表单控件的name属性
+ *   label    - 字段名称（用于错误提示）
+ *   type     - text（默认）| number | integer | url | urls（多个地址，逗号分隔） | file
+ *   required - 是否必填
+ *   apiField - 接口字段名（与name不同时填写，如 reason → recommendReason）
+ *   maxLength / min / max - 长度、数值上下限
+ *   message  - 必填未填时的提示（默认“请输入xxx”）
+ *   validate - 自定义校验 (value, values) => 错误提示 | ''
+ *   default  - 未填写时提交的默认值（页面上没有对应控件的字段也会提交）
+ */
+
+/**
+ * 读取表单中schema字段的值（文件字段取第一个文件，其他字段去掉首尾空格）
+ * @param {HTMLFormElement} form - 表单
+ * @param {Object} schema - 表单schema
+ * @returns {Object} 以字段名为key的值
+ */
+function readFormValues(form, schema) {
+    const values = {};
+    schema.fields.forEach(field => {
+        const control = form.elements[field.name];
+        if (!control) return;
+        if (field.type === 'file') {
+            values[field.name] = control.files && control.files[0] ? control.files[0] : null;
+        } else {
+            values[field.name] = String(control.value ?? '').trim();
+        }
+    });
+    return values;
+}
+
+/**
+ * 解析多个地址（urls字段，逗号或换行分隔；兼容接口返回的数组）
+ * @returns {Array} 地址列表
+ */
+function parseUrlList(value) {
+    if (Array.isArray(value)) return value.map(item => String(item).trim()).filter(Boolean);
+    return String(value ?? '').split(/[,\n]/).map(item => item.trim()).filter(Boolean);
+}
+
+function isEmptyValue(value) {
+    return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+}
+
+/**
+ * 按schema校验
+ * @returns {Object} 字段错误，如 { title: '请输入故事标题' }，全部通过时为空对象
+ */
+function validateValues(schema, values) {
+    const errors = {};
+    schema.fields.forEach(field => {
+        const value = values[field.name];
+        let error = '';
+        if (isEmptyValue(value)) {
+            if (field.required) error = field.message || `请输入${field.label}`;
+        } else if ((field.type === 'number' || field.type === 'integer') && !isFinite(Number(value))) {
+            error = `请输入有效的${field.label}`;
+        } else if (field.type === 'integer' && !Number.isInteger(Number(value))) {
+            error = `${field.label}必须是整数`;
+        } else if (field.min !== undefined && Number(value) < field.min) {
+            error = `${field.label}不能小于${field.min}`;
+        } else if (field.max !== undefined && Number(value) > field.max) {
+            error = `${field.label}不能大于${field.max}`;
+        } else if (field.maxLength && String(value).length > field.maxLength) {
+            error = `${field.label}不能超过${field.maxLength}个字`;
+        } else if (field.type === 'url' && !safeLink(value)) {
+            error = `请输入有效的${field.label}`;
+        } else if (field.type === 'urls' && parseUrlList(value).some(url => !safeLink(url))) {
+            error = `请输入有效的${field.label}地址`;
+        }
+        if (!error && typeof field.validate === 'function') {
+            error = field.validate(value, values) || '';
+        }
+        if (error) errors[field.name] = error;
+    });
+    return errors;
+}
+
+/**
+ * 校验并转换为接口数据（字段名换成apiField，数值字段转数字，未填写的用default）
+ * 校验不通过时抛出ValidationError（fieldErrors按字段名），与后端字段错误的处理方式一致
+ * @param {Object} schema - 表单schema
+ * @param {Object} values - 以字段名为key的值（表单读取或代码直接传入）
+ * @returns {Object} 接口数据
+ */
+function toPayload(schema, values) {
+    const errors = validateValues(schema, values);
+    if (Object.keys(errors).length > 0) {
+        throw new ValidationError(Object.values(errors)[0], errors);
+    }
+    const payload = {};
+    schema.fields.forEach(field => {
+        let value = values[field.name];
+        if (isEmptyValue(value)) {
+            if (field.default === undefined) return;
+            value = field.default;
+        } else if (field.type === 'number') {
+            value = parseFloat(value);
+        } else if (field.type === 'integer') {
+            value = parseInt(value);
+        } else if (field.type === 'urls') {
+            value = parseUrlList(value).join(',');
+        } else if (typeof value === 'string') {
+            value = value.trim();
+        }
+        payload[field.apiField || field.name] = value;
+    });
+    return payload;
+}
+
+/**
+ * 接口数据转FormData（含文件上传的表单使用），空值不提交
+ */
+function toFormData(payload) {
+    const formData = new FormData();
+    Object.keys(payload).forEach(key => {
+        if (!isEmptyValue(payload[key])) formData.append(key, payload[key]);
+    });
+    return formData;
+}
+
+/**
+ * 接口数据转为以字段名为key的值（toPayload的逆过程），优先读取apiField，兼容按字段名返回的数据
+ * 用于回填表单，或在不经过表单时修改个别字段后重新提交（如拖动调整日期）
+ */
+function toFormValues(schema, entity) {
+    const values = {};
+    schema.fields.forEach(field => {
+        if (field.type === 'file') return;
+        const value = entity?.[field.apiField || field.name] ?? entity?.[field.name] ?? field.default ?? '';
+        values[field.name] = field.type === 'urls' ? parseUrlList(value).join(',') : value;
+    });
+    return values;
+}
+
+/**
+ * 用接口数据回填表单（编辑弹窗）
+ * 回填后触发change事件，便于上传组件等同步显示
+ */
+function fillForm(form, schema, entity) {
+    clearFieldErrors(form);
+    const values = toFormValues(schema, entity);
+    schema.fields.forEach(field => {
+        const control = form.elements[field.name];
+        if (!control || field.type === 'file') return;
+        control.value = values[field.name];
+        if (control.dispatchEvent) control.dispatchEvent(new Event('change', { bubbles: true }));
+    });
+}
+
+/**
+ * 清除表单中的字段错误
+ * @param {HTMLFormElement} form - 表单
+ * @param {String} name - 只清除某个字段（不传则全部清除）
+ */
+function clearFieldErrors(form, name) {
+    const selector = name ? `.field-error[data-field="${name}"]` : '.field-error, .form-error';
+    form.querySelectorAll(selector).forEach(el => el.remove());
+    form.querySelectorAll(name ? `[name="${name}"].is-invalid` : '.is-invalid').forEach(el => el.classList.remove('is-invalid'));
+}
+
+/**
+ * 在输入框旁显示字段错误；错误的key可以是字段名或接口字段名（后端返回）
+ * 表单中找不到对应字段的错误显示在表单底部
+ * @param {HTMLFormElement} form - 表单
+ * @param {Object} schema - 表单schema
+ * @param {Object} fieldErrors - 字段错误
+ */
+function showFieldErrors(form, schema, fieldErrors) {
+    clearFieldErrors(form);
+    const unmatched = [];
+    Object.keys(fieldErrors || {}).forEach(key => {
+        const field = schema.fields.find(item => item.name === key || item.apiField === key);
+        const control = field && form.elements[field.name];
+        if (!control) {
+            unmatched.push(fieldErrors[key]);
+            return;
+        }
+        control.classList.add('is-invalid');
+        const errorEl = document.createElement('p');
+        errorEl.className = 'field-error';
+        errorEl.dataset.field = field.name;
+        errorEl.textContent = fieldErrors[key];
+        (control.closest('.form-group') || control.parentNode).appendChild(errorEl);
+    });
+    if (unmatched.length > 0) {
+        const formError = document.createElement('p');
+        formError.className = 'form-error';
+        formError.textContent = unmatched.join('；');
+        form.appendChild(formError);
+    }
+    const firstInvalid = form.querySelector('.is-invalid');
+    if (firstInvalid) firstInvalid.focus();
+}
+
+/**
+ * 表单中仍在处理的控件（如图片上传中），控件上 data-pending 属性的值即提示
+ * @returns {Object} 以字段名为key的提示
+ */
+function getPendingErrors(form) {
+    const errors = {};
+    form.querySelectorAll('[name][data-pending]').forEach(control => {
+        errors[control.name] = control.dataset.pending || '请稍候再提交';
+    });
+    return errors;
+}
+
+/**
+ * 绑定schema表单提交（每个表单只绑定一次）：校验不通过时在字段旁提示，不调用onSubmit；
+ * 有控件仍在处理（data-pending，如图片上传中）时同样不提交；
+ * onSubmit抛出的ValidationError（前端或后端）同样显示到对应字段
+ * @param {HTMLFormElement|String} form - 表单元素或选择器
+ * @param {Object} schema - 表单schema
+ * @param {Function} onSubmit - 提交回调，参数为 (values, form)
+ */
+function bindSchemaForm(form, schema, onSubmit) {
+    const formEl = typeof form === 'string' ? document.querySelector(form) : form;
+    if (!formEl || formEl.dataset.binded) return;
+    formEl.dataset.binded = 'true';
+    // 使用行内错误提示代替浏览器默认的校验气泡
+    formEl.noValidate = true;
+
+    formEl.addEventListener('input', e => {
+        if (e.target.name) clearFieldErrors(formEl, e.target.name);
+    });
+    formEl.addEventListener('submit', async e => {
+        e.preventDefault();
+        const values = readFormValues(formEl, schema);
+        const errors = Object.assign(validateValues(schema, values), getPendingErrors(formEl));
+        if (Object.keys(errors).length > 0) {
+            showFieldErrors(formEl, schema, errors);
+            return;
+        }
+        clearFieldErrors(formEl);
+        const submitBtn = formEl.querySelector('[type="submit"]');
+        if (submitBtn) submitBtn.disabled = true;
+        try {
+            await onSubmit(values, formEl);
+        } catch (err) {
+            if (err instanceof ValidationError) {
+                const hasFieldErrors = Object.keys(err.fieldErrors || {}).length > 0;
+                showFieldErrors(formEl, schema, hasFieldErrors ? err.fieldErrors : { _form: err.message });
+            } else {
+                reportError(err, '提交失败');
+            }
+        } finally {
+            if (submitBtn) submitBtn.disabled = false;
+        }
+    });
+}
+
+// ====================== 表单草稿 ======================
+/**
+ * 表单草稿自动保存到localStorage：输入停顿或离开输入框时保存，与初始值相同时不保存
+ * 开始编辑（start）时如有草稿自动恢复并在表单顶部提示，可放弃草稿；提交成功后调用clear清除
+ * 每个表单只创建一次，再次调用返回同一实例
+ * @param {HTMLFormElement|String} form - 表单元素或选择器
+ * @param {Object} schema - 表单schema（只保存schema中的非文件字段）
+ * @param {Function|String} key - 草稿的存储key，函数在每次start时计算（如编辑弹窗按记录ID区分）
+ * @param {Object} options - { delay: 输入停顿多久后保存（毫秒），默认800 }
+ * @returns {Object} 草稿实例：{ key, savedAt, start(), save(), clear(), discard() }
+ */
+function bindFormDraft(form, schema, key, options = {}) {
+    const formEl = typeof form === 'string' ? document.querySelector(form) : form;
+    if (!formEl) return null;
+    if (formEl._formDraft) return formEl._formDraft;
+    const delay = options.delay || 800;
+    const fields = schema.fields.filter(field => field.type !== 'file' && formEl.elements[field.name]);
+    // 开始编辑时的表单值（放弃草稿时恢复）
+    let baseline = {};
+    let timer = null;
+
+    const snapshot = () => {
+        const values = {};
+        fields.forEach(field => {
+            values[field.name] = String(formEl.elements[field.name].value ?? '');
+        });
+        return values;
+    };
+    const isSame = (a, b) => fields.every(field => (a[field.name] || '').trim() === (b[field.name] || '').trim());
+    const applyValues = values => {
+        fields.forEach(field => {
+            const control = formEl.elements[field.name];
+            if (values[field.name] === undefined) return;
+            control.value = values[field.name];
+            control.dispatchEvent(new Event('change', { bubbles: true }));
+        });
+    };
+    const readStored = () => {
+        try {
+            return JSON.parse(localStorage.getItem(draft.key) || 'null');
+        } catch (e) {
+            return null;
+        }
+    };
+
+    function removeNotice() {
+        formEl.querySelectorAll('.form-draft-notice').forEach(el => el.remove());
+    }
+
+    function showNotice() {
+        removeNotice();
+        const notice = document.createElement('p');
+        notice.className = 'form-draft-notice';
+        notice.innerHTML = html`已恢复 ${new Date(draft.savedAt).toLocaleString()} 自动保存的草稿
+            <button type="button" class="form-draft-discard">放弃草稿</button>`;
+        notice.querySelector('.form-draft-discard').addEventListener('click', () => draft.discard());
+        formEl.insertAdjacentElement('afterbegin', notice);
+    }
+
+    const draft = {
+        key: '',
+        // 草稿保存时间（ISO字符串），没有草稿时为空
+        savedAt: '',
+
+        /**
+         * 开始编辑：以当前表单值为初始值，有草稿时恢复
+         * @returns {Boolean} 是否恢复了草稿
+         */
+        start() {
+            clearTimeout(timer);
+            removeNotice();
+            draft.key = typeof key === 'function' ? key() : key;
+            baseline = snapshot();
+            const stored = readStored();
+            if (!stored || !stored.values || isSame(stored.values, baseline)) {
+                draft.savedAt = '';
+                return false;
+            }
+            draft.savedAt = stored.savedAt;
+            applyValues(stored.values);
+            showNotice();
+            return true;
+        },
+
+        /**
+         * 立即保存（与初始值相同时删除草稿）
+         */
+        save() {
+            clearTimeout(timer);
+            timer = null;
+            if (!draft.key) return;
+            const values = snapshot();
+            try {
+                if (isSame(values, baseline)) {
+                    localStorage.removeItem(draft.key);
+                    draft.savedAt = '';
+                } else {
+                    draft.savedAt = new Date().toISOString();
+                    localStorage.setItem(draft.key, JSON.stringify({ values, savedAt: draft.savedAt }));
+                }
+            } catch (e) {
+                // 存储不可用或已满，不影响正常提交
+            }
+        },
+
+        /**
+         * 清除草稿（提交成功后调用），当前表单值作为新的初始值
+         */
+        clear() {
+            clearTimeout(timer);
+            removeNotice();
+            baseline = snapshot();
+            draft.savedAt = '';
+            try {
+                if (draft.key) localStorage.removeItem(draft.key);
+            } catch (e) {
+                // 存储不可用，忽略
+            }
+        },
+
+        /**
+         * 放弃草稿：表单恢复为开始编辑时的值
+         */
+        discard() {
+            clearTimeout(timer);
+            applyValues(baseline);
+            draft.clear();
+        }
+    };
+
+    const scheduleSave = e => {
+        if (!e.target.name || !fields.some(field => field.name === e.target.name)) return;
+        clearTimeout(timer);
+        timer = setTimeout(() => draft.save(), delay);
+    };
+    formEl.addEventListener('input', scheduleSave);
+    formEl.addEventListener('change', scheduleSave);
+    formEl.addEventListener('focusout', () => {
+        if (timer) draft.save();
+    });
+
+    formEl._formDraft = draft;
+    return draft;
+}
@@ -0,0 +1,478 @@
+// ====================== 地理位置与地图 ======================
+/**
+ * 打卡/足迹表单可选获取浏览器定位：坐标写入表单的 latitude / longitude 字段，
+ * 再通过可替换的逆地理编码服务（geocoder）把坐标转换为地点名称填入地点输入框
+ * 个人足迹页用Leaflet地图展示带坐标的足迹（按屏幕距离聚合，点击查看详情）
+ *
+ * 逆地理编码和地图都会把坐标发给第三方服务，默认关闭，需在 window.APP_CONFIG 中开启（测试时可指向本地替身）：
+ *   geocoder      - 内置服务名（none | nominatim）、registerGeocoder注册的名称、
+ *                   地址模板（如 http://localhost:3000/reverse?lat={lat}&lng={lng}）或函数 (lat, lng, { signal }) => 地点名称
+ *   map           - 为true时显示足迹地图（加载Leaflet和地图瓦片）
+ *   mapTileUrl    - 瓦片地址模板（{z}/{x}/{y}，可含{s}子域名）
+ *   mapAttribution - 瓦片版权说明
+ *   leafletUrl / leafletCssUrl - Leaflet脚本和样式地址（页面已引入window.L时不再加载）
+ *   leafletIntegrity / leafletCssIntegrity - 自定义Leaflet地址时对应的SRI哈希（默认地址使用内置哈希）
+ */
+// 默认的Leaflet地址及其SRI哈希（升级版本时一并更新）
+const LEAFLET_CDN = {
+    url: 'https://unpkg.com/leaflet@1.9.4/dist/leaflet.js',
+    integrity: 'sha256-20nQCchB9co0qIjJZRGuk2/Z9VM+kNiyxNV1lvTlZBo=',
+    cssUrl: 'https://unpkg.com/leaflet@1.9.4/dist/leaflet.css',
+    cssIntegrity: 'sha256-p4NxAoJBhIIN+hmNHrzRCf9tD/miZyoHS5obTRR9BMY='
+};
+
+const MAP_CONFIG = {
+    geocoder: (window.APP_CONFIG && window.APP_CONFIG.geocoder) || 'none',
+    enabled: !!(window.APP_CONFIG && window.APP_CONFIG.map),
+    geocoderTimeout: (window.APP_CONFIG && window.APP_CONFIG.geocoderTimeout) || 8000, // 逆地理编码超时（毫秒）
+    tileUrl: (window.APP_CONFIG && window.APP_CONFIG.mapTileUrl) || 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
+    attribution: (window.APP_CONFIG && window.APP_CONFIG.mapAttribution) || '&copy; OpenStreetMap contributors',
+    maxZoom: 18,
+    leafletUrl: (window.APP_CONFIG && window.APP_CONFIG.leafletUrl) || LEAFLET_CDN.url,
+    leafletCssUrl: (window.APP_CONFIG && window.APP_CONFIG.leafletCssUrl) || LEAFLET_CDN.cssUrl,
+    leafletIntegrity: window.APP_CONFIG && window.APP_CONFIG.leafletUrl
+        ? window.APP_CONFIG.leafletIntegrity || '' : LEAFLET_CDN.integrity,
+    leafletCssIntegrity: window.APP_CONFIG && window.APP_CONFIG.leafletCssUrl
+        ? window.APP_CONFIG.leafletCssIntegrity || '' : LEAFLET_CDN.cssIntegrity,
+    // 没有足迹坐标时的默认视野（中国）
+    center: [35.86, 104.2],
+    zoom: 4
+};
+
+/**
+ * 读取记录中的坐标（latitude / longitude），没有或无效时返回null
+ * @returns {Object|null} { lat, lng }
+ */
+function getCoords(item) {
+    const lat = parseFloat(item && item.latitude);
+    const lng = parseFloat(item && item.longitude);
+    if (!isFinite(lat) || !isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) return null;
+    return { lat, lng };
+}
+
+function formatCoords(coords) {
+    return `${coords.lat.toFixed(5)}, ${coords.lng.toFixed(5)}`;
+}
+
+// ====================== 浏览器定位 ======================
+const GEOLOCATION_ERRORS = {
+    1: '定位权限被拒绝，请在浏览器设置中允许本站获取位置',
+    2: '无法获取当前位置，请稍后重试',
+    3: '定位超时，请稍后重试'
+};
+
+/**
+ * 获取当前位置（需HTTPS或localhost）
+ * @param {Object} options - navigator.geolocation的定位选项
+ * @returns {Promise<Object>} { lat, lng, accuracy }
+ */
+function getCurrentPosition(options = {}) {
+    return new Promise((resolve, reject) => {
+        if (!navigator.geolocation) {
+            reject(new Error('当前浏览器不支持定位'));
+            return;
+        }
+        navigator.geolocation.getCurrentPosition(
+            position => resolve({
+                lat: position.coords.latitude,
+                lng: position.coords.longitude,
+                accuracy: position.coords.accuracy
+            }),
+            err => reject(new Error(GEOLOCATION_ERRORS[err.code] || '定位失败')),
+            Object.assign({ enableHighAccuracy: true, timeout: 10000, maximumAge: 60000 }, options)
+        );
+    });
+}
+
+// ====================== 逆地理编码 ======================
+/**
+ * 从服务返回的数据中取地点名称：字符串直接使用；对象依次取 name / display_name / address，
+ * 兼容本站接口的 { code, data } 包装
+ */
+function pickPlaceName(data) {
+    if (!data) return '';
+    if (typeof data === 'string') return data.trim();
+    if (data.data !== undefined && data.code !== undefined) return pickPlaceName(data.data);
+    const name = data.name || data.display_name || data.address;
+    return typeof name === 'string' ? name.trim() : '';
+}
+
+async function fetchPlaceName(url, signal) {
+    const response = await fetch(url, { headers: { Accept: 'application/json' }, signal });
+    if (!response.ok) throw new Error(`逆地理编码失败（${response.status}）`);
+    const text = await response.text();
+    try {
+        return pickPlaceName(JSON.parse(text));
+    } catch (e) {
+        return pickPlaceName(text);
+    }
+}
+
+/**
+ * 逆地理编码服务：(lat, lng, { signal }) => Promise<地点名称>，查不到时返回空字符串
+ */
+const GEOCODERS = {
+    nominatim: (lat, lng, { signal }) => fetchPlaceName(
+        `https://nominatim.openstreetmap.org/reverse?format=jsonv2&accept-language=zh-CN&lat=${lat}&lon=${lng}`, signal
+    ),
+    // 只记录坐标，地点名称由用户填写
+    none: async () => ''
+};
+
+/**
+ * 注册逆地理编码服务（如接入其他地图服务商），通过 APP_CONFIG.geocoder 指定名称使用
+ * @param {String} name - 服务名
+ * @param {Function} geocoder - (lat, lng, { signal }) => Promise<地点名称>
+ */
+function registerGeocoder(name, geocoder) {
+    GEOCODERS[name] = geocoder;
+}
+
+function resolveGeocoder() {
+    const geocoder = MAP_CONFIG.geocoder;
+    if (typeof geocoder === 'function') return geocoder;
+    if (GEOCODERS[geocoder]) return GEOCODERS[geocoder];
+    if (/\{lat\}/.test(geocoder)) {
+        return (lat, lng, { signal }) => fetchPlaceName(
+            geocoder.replace('{lat}', encodeURIComponent(lat)).replace('{lng}', encodeURIComponent(lng)), signal
+        );
+    }
+    return GEOCODERS.none;
+}
+
+/**
+ * 坐标转地点名称（超时后放弃）
+ * @returns {Promise<String>} 地点名称，查不到时为空字符串
+ */
+async function reverseGeocode(lat, lng) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), MAP_CONFIG.geocoderTimeout);
+    try {
+        return (await resolveGeocoder()(lat, lng, { signal: controller.signal })) || '';
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+// ====================== 定位选择组件 ======================
+/**
+ * 为地点输入框挂载“获取当前位置”按钮：定位成功后坐标写入同一表单的纬度/经度字段（一般为隐藏输入框），
+ * 地点名称为空或仍是上次自动填写的名称时，用逆地理编码结果填入；逆地理编码失败不影响保存坐标
+ * @param {HTMLInputElement|String} input - 地点输入框或选择器
+ * @param {Object} options - 配置项
+ * @param {String} options.latField - 纬度字段名，默认latitude
+ * @param {String} options.lngField - 经度字段名，默认longitude
+ * @returns {Object} 定位实例：{ coords, locating, mounted, locate(), clear(), sync() }
+ */
+function createLocationPicker(input, options = {}) {
+    const inputEl = typeof input === 'string' ? document.querySelector(input) : input;
+    const form = inputEl.form;
+    const latInput = form && form.elements[options.latField || 'latitude'];
+    const lngInput = form && form.elements[options.lngField || 'longitude'];
+    // 上次自动填入的地点名称（用户改过后不再覆盖）
+    let autoName = '';
+
+    const root = document.createElement('div');
+    root.className = 'location-picker';
+    root.innerHTML = `
+        <button type="button" class="btn location-picker-locate">获取当前位置</button>
+        <span class="location-picker-status"></span>
+        <button type="button" class="location-picker-clear" hidden>清除坐标</button>
+    `;
+    const locateBtn = root.querySelector('.location-picker-locate');
+    const statusEl = root.querySelector('.location-picker-status');
+    const clearBtn = root.querySelector('.location-picker-clear');
+
+    const picker = {
+        locating: false,
+
+        /**
+         * 当前表单中的坐标，未定位时为null
+         */
+        get coords() {
+            return latInput && lngInput ? getCoords({ latitude: latInput.value, longitude: lngInput.value }) : null;
+        },
+
+        /**
+         * 地点输入框是否仍在页面中（路由切换视图后需重新创建）
+         */
+        get mounted() {
+            return inputEl.isConnected;
+        },
+
+        /**
+         * 获取当前位置并填写坐标和地点名称
+         */
+        async locate() {
+            if (this.locating) return;
+            this.locating = true;
+            locateBtn.disabled = true;
+            statusEl.textContent = '定位中...';
+            try {
+                const position = await getCurrentPosition();
+                writeCoords(position.lat.toFixed(6), position.lng.toFixed(6));
+                statusEl.textContent = `已定位：${formatCoords(position)}，正在获取地点名称...`;
+                let name = '';
+                try {
+                    name = await reverseGeocode(position.lat, position.lng);
+                } catch (e) {
+                    showAlert('已记录坐标，地点名称获取失败，请手动填写', 'error');
+                }
+                const current = inputEl.value.trim();
+                if (name && (!current || current === autoName)) {
+                    inputEl.value = name;
+                    autoName = name;
+                    inputEl.dispatchEvent(new Event('input', { bubbles: true }));
+                }
+            } catch (err) {
+                showAlert(err.message, 'error');
+            } finally {
+                this.locating = false;
+                locateBtn.disabled = false;
+                this.sync();
+            }
+        },
+
+        /**
+         * 清除坐标（地点名称保留）
+         */
+        clear() {
+            writeCoords('', '');
+            this.sync();
+        },
+
+        /**
+         * 按坐标字段的值刷新状态（编辑弹窗回填、表单重置后调用）
+         */
+        sync() {
+            const coords = this.coords;
+            statusEl.textContent = coords ? `已定位：${formatCoords(coords)}` : '';
+            clearBtn.hidden = !coords;
+        }
+    };
+
+    function writeCoords(lat, lng) {
+        latInput.value = lat;
+        lngInput.value = lng;
+        latInput.dispatchEvent(new Event('input', { bubbles: true }));
+        lngInput.dispatchEvent(new Event('input', { bubbles: true }));
+    }
+
+    // 表单中没有坐标字段时只作为普通输入框
+    if (!latInput || !lngInput) return picker;
+
+    inputEl.insertAdjacentElement('afterend', root);
+    locateBtn.addEventListener('click', () => picker.locate());
+    clearBtn.addEventListener('click', () => picker.clear());
+    // 编辑弹窗回填（fillForm触发change）时同步状态
+    [latInput, lngInput].forEach(el => el.addEventListener('change', () => picker.sync()));
+    // 隐藏输入框的值不随表单重置恢复，需手动清除；reset事件在表单值重置前触发，等重置完成后再处理
+    form.addEventListener('reset', () => setTimeout(() => {
+        autoName = '';
+        picker.clear();
+    }, 0));
+
+    picker.sync();
+    return picker;
+}
+
+/**
+ * 为页面中带 data-geolocate 属性的地点输入框挂载定位组件（每个输入框只挂载一次）
+ * @param {HTMLElement} root - 查找范围，默认整个页面
+ */
+function initLocationPickers(root = document) {
+    root.querySelectorAll('input[data-geolocate]').forEach(input => {
+        if (input.dataset.geolocateBinded) return;
+        input.dataset.geolocateBinded = 'true';
+        createLocationPicker(input);
+    });
+}
+
+// ====================== 地图 ======================
+let leafletPromise = null;
+
+/**
+ * 第三方资源带上SRI哈希，内容被篡改时浏览器拒绝执行
+ */
+function setIntegrity(el, integrity) {
+    if (!integrity) return;
+    el.setAttribute('integrity', integrity);
+    el.setAttribute('crossorigin', 'anonymous');
+}
+
+function loadStylesheet(href, integrity) {
+    if (document.querySelector(`link[rel="stylesheet"][href="${href}"]`)) return;
+    const link = document.createElement('link');
+    link.rel = 'stylesheet';
+    link.href = href;
+    setIntegrity(link, integrity);
+    document.head.appendChild(link);
+}
+
+/**
+ * 按需加载Leaflet（只有地图页用到，不在每个页面引入）
+ * @returns {Promise<Object>} window.L
+ */
+function loadLeaflet() {
+    if (window.L && window.L.map) return Promise.resolve(window.L);
+    if (!leafletPromise) {
+        loadStylesheet(MAP_CONFIG.leafletCssUrl, MAP_CONFIG.leafletCssIntegrity);
+        leafletPromise = new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = MAP_CONFIG.leafletUrl;
+            setIntegrity(script, MAP_CONFIG.leafletIntegrity);
+            script.onload = () => (window.L && window.L.map ? resolve(window.L) : reject(new Error('地图组件加载失败')));
+            script.onerror = () => {
+                script.remove();
+                reject(new Error('地图组件加载失败，请检查网络'));
+            };
+            document.head.appendChild(script);
+        });
+        // 加载失败不缓存，下次重新尝试
+        leafletPromise.catch(() => leafletPromise = null);
+    }
+    return leafletPromise;
+}
+
+/**
+ * 按屏幕距离聚合标记点：与已有分组中心距离不超过radius像素的点归入该组
+ * @param {Array} points - 标记点 [{ lat, lng, ... }]
+ * @param {Function} project - 坐标转屏幕像素 (point) => { x, y }
+ * @param {Number} radius - 聚合半径（像素）
+ * @returns {Array} 分组 [{ x, y, points }]
+ */
+function clusterPoints(points, project, radius) {
+    const clusters = [];
+    points.forEach(point => {
+        const pixel = project(point);
+        const cluster = clusters.find(item => Math.hypot(item.x - pixel.x, item.y - pixel.y) <= radius);
+        if (cluster) {
+            cluster.points.push(point);
+        } else {
+            clusters.push({ x: pixel.x, y: pixel.y, points: [point] });
+        }
+    });
+    return clusters;
+}
+
+/**
+ * 创建标记点地图（Leaflet按需加载，相近的点聚合显示数量，点击聚合放大，最大缩放仍重叠时弹出列表）
+ * @param {HTMLElement|String} container - 地图容器或选择器（需有高度）
+ * @param {Object} options - 配置项
+ * @param {Number} options.clusterRadius - 聚合半径（像素），默认50
+ * @returns {Object} 地图实例：{ ready, mounted, setPoints(points), focus(id) }
+ *   标记点格式：{ id, lat, lng, popup }，popup为弹窗内容（html模板结果）
+ */
+function createFootprintMap(container, options = {}) {
+    const el = typeof container === 'string' ? document.querySelector(container) : container;
+    const radius = options.clusterRadius || 50;
+    let L = null;
+    let map = null;
+    let layer = null;
+    let points = [];
+    // 标记点id → { marker, cluster }（focus时打开弹窗，聚合中的点带cluster）
+    let markersById = new Map();
+
+    function renderMarkers() {
+        if (!map) return;
+        layer.clearLayers();
+        markersById = new Map();
+        const zoom = map.getZoom();
+        const clusters = clusterPoints(points, point => map.project([point.lat, point.lng], zoom), radius);
+        clusters.forEach(cluster => {
+            if (cluster.points.length === 1) {
+                const point = cluster.points[0];
+                const marker = L.marker([point.lat, point.lng]).bindPopup(String(point.popup || ''));
+                markersById.set(String(point.id), { marker });
+                layer.addLayer(marker);
+                return;
+            }
+            const count = cluster.points.length;
+            const latlng = map.unproject([cluster.x, cluster.y], zoom);
+            const marker = L.marker(latlng, {
+                icon: L.divIcon({
+                    className: `map-cluster ${count >= 10 ? 'is-large' : ''}`,
+                    html: `<span>${count}</span>`,
+                    iconSize: [36, 36]
+                })
+            });
+            marker.on('click', () => {
+                if (map.getZoom() < map.getMaxZoom()) {
+                    map.fitBounds(L.latLngBounds(cluster.points.map(point => [point.lat, point.lng])), { padding: [40, 40] });
+                } else {
+                    openClusterList(cluster, marker);
+                }
+            });
+            cluster.points.forEach(point => markersById.set(String(point.id), { marker, cluster }));
+            layer.addLayer(marker);
+        });
+    }
+
+    // 坐标完全相同或相距很近、放大后仍重叠的点：弹窗列出全部
+    function openClusterList(cluster, marker) {
+        marker.bindPopup(String(html`<div class="map-popup-list">${cluster.points.map(point => point.popup)}</div>`)).openPopup();
+    }
+
+    function fitPoints() {
+        if (!map) return;
+        if (points.length === 0) {
+            map.setView(MAP_CONFIG.center, MAP_CONFIG.zoom);
+        } else {
+            map.fitBounds(L.latLngBounds(points.map(point => [point.lat, point.lng])), { padding: [40, 40], maxZoom: 14 });
+        }
+    }
+
+    const footprintMap = {
+        /**
+         * 地图加载完成（加载失败时容器内显示提示，Promise仍正常完成）
+         */
+        ready: null,
+
+        /**
+         * 容器是否仍在页面中（路由切换视图后需重新创建）
+         */
+        get mounted() {
+            return el.isConnected;
+        },
+
+        /**
+         * 替换全部标记点并调整视野
+         */
+        setPoints(list) {
+            points = (list || []).filter(point => getCoords({ latitude: point.lat, longitude: point.lng }));
+            fitPoints();
+            renderMarkers();
+        },
+
+        /**
+         * 定位到某个标记点并打开弹窗
+         */
+        focus(id) {
+            const point = points.find(item => String(item.id) === String(id));
+            if (!map || !point) return;
+            map.setView([point.lat, point.lng], Math.max(map.getZoom(), 15), { animate: false });
+            renderMarkers();
+            const entry = markersById.get(String(point.id));
+            if (!entry) return;
+            if (entry.cluster) {
+                openClusterList(entry.cluster, entry.marker);
+            } else {
+                entry.marker.openPopup();
+            }
+        }
+    };
+
+    el.classList.add('footprint-map');
+    footprintMap.ready = loadLeaflet().then(leaflet => {
+        L = leaflet;
+        map = L.map(el, { maxZoom: MAP_CONFIG.maxZoom });
+        L.tileLayer(MAP_CONFIG.tileUrl, { attribution: MAP_CONFIG.attribution, maxZoom: MAP_CONFIG.maxZoom }).addTo(map);
+        layer = L.layerGroup().addTo(map);
+        map.on('zoomend', renderMarkers);
+        fitPoints();
+        renderMarkers();
+    }).catch(err => {
+        el.innerHTML = html`<p class="map-error">${err.message}</p>`;
+    });
+    return footprintMap;
+}
@@ -0,0 +1,306 @@
+// ====================== Markdown 编辑与渲染 ======================
+/**
+ * 故事内容按Markdown书写：标题、列表、引用、代码、粗体/斜体/删除线、链接和图片
+ * 渲染时先转义全部文本，只输出下列语法生成的标签，链接和图片地址经safeLink/safeImageUrl过滤，
+ * 内容中手写的HTML原样显示为文本；为兼容已有的纯文本内容，每一行即一个段落
+ */
+
+// 块级语法
+const MD_FENCE = /^\s*```/;
+const MD_HEADING = /^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/;
+const MD_RULE = /^\s{0,3}([-*_])(\s*\1){2,}\s*$/;
+const MD_QUOTE = /^\s{0,3}>\s?/;
+const MD_LIST_ITEM = /^\s{0,3}([-*+]|\d+[.)])\s+(.*)$/;
+
+// 行内语法：代码、图片、链接、粗体、删除线、斜体（按顺序匹配，先出现的优先；地址中允许一层括号）
+const MD_INLINE = /`([^`]+)`|!\[([^\]]*)\]\(\s*((?:[^()\s]|\([^()\s]*\))+)\s*\)|\[([^\]]+)\]\(\s*((?:[^()\s]|\([^()\s]*\))+)\s*\)|\*\*(.+?)\*\*|~~(.+?)~~|\*([^*\s][^*]*?)\*/g;
+
+function renderMarkdownInline(text) {
+    let result = '';
+    let lastIndex = 0;
+    const pattern = new RegExp(MD_INLINE.source, 'g');
+    let match;
+    while ((match = pattern.exec(text))) {
+        result += escapeHtml(text.slice(lastIndex, match.index));
+        lastIndex = pattern.lastIndex;
+        const [, code, alt, src, label, href, strong, del, em] = match;
+        if (code !== undefined) {
+            result += `<code>${escapeHtml(code)}</code>`;
+        } else if (src !== undefined) {
+            const url = safeImageUrl(src);
+            result += url ? `<img src="${escapeHtml(url)}" alt="${escapeHtml(alt)}" loading="lazy">` : escapeHtml(alt);
+        } else if (href !== undefined) {
+            const url = safeLink(href);
+            result += url
+                ? `<a href="${escapeHtml(url)}" target="_blank" rel="noopener noreferrer">${renderMarkdownInline(label)}</a>`
+                : renderMarkdownInline(label);
+        } else if (strong !== undefined) {
+            result += `<strong>${renderMarkdownInline(strong)}</strong>`;
+        } else if (del !== undefined) {
+            result += `<del>${renderMarkdownInline(del)}</del>`;
+        } else {
+            result += `<em>${renderMarkdownInline(em)}</em>`;
+        }
+    }
+    return result + escapeHtml(text.slice(lastIndex));
+}
+
+function renderMarkdownBlocks(lines) {
+    let result = '';
+    let i = 0;
+    while (i < lines.length) {
+        const line = lines[i];
+        if (!line.trim()) {
+            i++;
+        } else if (MD_FENCE.test(line)) {
+            // 代码块：到下一个```为止（没有结束标记时到内容末尾）
+            const code = [];
+            i++;
+            while (i < lines.length && !MD_FENCE.test(lines[i])) code.push(lines[i++]);
+            i++;
+            result += `<pre><code>${escapeHtml(code.join('\n'))}</code></pre>`;
+        } else if (MD_HEADING.test(line)) {
+            // 页面标题已是h1，# 从h2开始
+            const [, marks, text] = line.match(MD_HEADING);
+            const level = Math.min(marks.length + 1, 6);
+            result += `<h${level}>${renderMarkdownInline(text)}</h${level}>`;
+            i++;
+        } else if (MD_RULE.test(line)) {
+            result += '<hr>';
+            i++;
+        } else if (MD_QUOTE.test(line)) {
+            const quote = [];
+            while (i < lines.length && MD_QUOTE.test(lines[i])) quote.push(lines[i++].replace(MD_QUOTE, ''));
+            result += `<blockquote>${renderMarkdownBlocks(quote)}</blockquote>`;
+        } else if (MD_LIST_ITEM.test(line)) {
+            const ordered = /\d/.test(line.match(MD_LIST_ITEM)[1]);
+            const items = [];
+            while (i < lines.length) {
+                const item = lines[i].match(MD_LIST_ITEM);
+                if (!item || /\d/.test(item[1]) !== ordered) break;
+                items.push(`<li>${renderMarkdownInline(item[2])}</li>`);
+                i++;
+            }
+            result += ordered ? `<ol>${items.join('')}</ol>` : `<ul>${items.join('')}</ul>`;
+        } else {
+            result += `<p>${renderMarkdownInline(line.trim())}</p>`;
+            i++;
+        }
+    }
+    return result;
+}
+
+/**
+ * Markdown转为安全的HTML片段（可直接插入html模板）
+ * @param {String} text - Markdown内容
+ * @returns {SafeHtml} 渲染结果，内容为空时为空片段
+ */
+function renderMarkdown(text) {
+    return rawHtml(renderMarkdownBlocks(String(text || '').replace(/\r\n?/g, '\n').split('\n')));
+}
+
+/**
+ * 去掉Markdown语法只保留文字（图片不保留，链接保留文字），用于摘要和搜索结果
+ */
+function markdownToText(text) {
+    return String(text || '')
+        .replace(/\r\n?/g, '\n')
+        .replace(/^\s*```.*$/gm, '')
+        .replace(/!\[[^\]]*\]\((?:[^()]|\([^()]*\))*\)/g, '')
+        .replace(/\[([^\]]+)\]\((?:[^()]|\([^()]*\))*\)/g, '$1')
+        .replace(/^\s{0,3}([-*_])(\s*\1){2,}\s*$/gm, '')
+        .replace(/^\s{0,3}((>\s?)+|#{1,6}\s+|[-*+]\s+|\d+[.)]\s+)/gm, '')
+        .replace(/\*\*|~~|`|\*/g, '')
+        .replace(/\n{2,}/g, '\n')
+        .trim();
+}
+
+/**
+ * 生成摘要：去掉Markdown语法后截取，优先在句末标点处断开，其次在逗号、空格处，不在词或字符中间截断
+ * @param {String} text - Markdown内容
+ * @param {Number} maxLength - 最多字数（不含省略号），默认200
+ * @returns {String} 摘要文字（被截断时以…结尾）
+ */
+function createExcerpt(text, maxLength = 200) {
+    const plain = markdownToText(text).replace(/\s+/g, ' ').trim();
+    // 按字符而非UTF-16编码单元计数，避免截断emoji等
+    const chars = Array.from(plain);
+    if (chars.length <= maxLength) return plain;
+    const head = chars.slice(0, maxLength).join('');
+    const minLength = Math.floor(head.length / 2);
+    const lastMatch = pattern => {
+        let index = -1;
+        head.replace(pattern, (match, offset) => {
+            index = offset;
+            return match;
+        });
+        return index;
+    };
+    const sentenceEnd = lastMatch(/[。！？；!?;]|\.(?=\s)/g);
+    if (sentenceEnd >= minLength) return head.slice(0, sentenceEnd + 1) + '…';
+    const softBreak = lastMatch(/[，、：,:\s]/g);
+    if (softBreak >= minLength) return head.slice(0, softBreak) + '…';
+    return head + '…';
+}
+
+// ====================== Markdown 编辑器 ======================
+// 工具栏按钮：before/after 包裹选中文字，block 表示在行首插入
+const MD_TOOLBAR = [
+    { command: 'heading', label: '标题', title: '标题', before: '## ', block: true },
+    { command: 'bold', label: 'B', title: '粗体', before: '**', after: '**', placeholder: '粗体文字' },
+    { command: 'italic', label: 'I', title: '斜体', before: '*', after: '*', placeholder: '斜体文字' },
+    { command: 'quote', label: '引用', title: '引用', before: '> ', block: true },
+    { command: 'list', label: '列表', title: '列表', before: '- ', block: true },
+    { command: 'link', label: '链接', title: '链接', before: '[', after: '](https://)', placeholder: '链接文字' },
+    { command: 'image', label: '图片', title: '上传图片' }
+];
+
+/**
+ * 为内容输入框挂载Markdown编辑器：工具栏、实时预览（与详情页渲染一致），工具栏可上传图片插入到光标处
+ * 输入框的取值、校验和表单提交方式不变；图片上传中输入框带 data-pending 属性，bindSchemaForm据此阻止提交
+ * @param {HTMLTextAreaElement|String} textarea - 内容输入框或选择器
+ * @param {Object} options - 配置项
+ * @param {Function} options.upload - 上传函数，参数为 (file)，返回图片地址，默认压缩后uploadFile
+ * @returns {Object} 编辑器实例：{ mounted, refresh(), insert(before, after, placeholder) }
+ */
+function createMarkdownEditor(textarea, options = {}) {
+    const inputEl = typeof textarea === 'string' ? document.querySelector(textarea) : textarea;
+    const upload = options.upload || (async file => uploadFile(await compressImage(file)));
+    let uploading = 0;
+
+    const root = document.createElement('div');
+    root.className = 'md-editor';
+    root.innerHTML = `
+        <div class="md-toolbar">
+            ${MD_TOOLBAR.map(item => `<button type="button" data-md-command="${item.command}" title="${item.title}">${item.label}</button>`).join('')}
+            <span class="md-status"></span>
+        </div>
+        <input type="file" accept="image/*" hidden>
+        <div class="md-preview-label">预览</div>
+        <div class="md-preview detail-content"></div>
+    `;
+    const previewEl = root.querySelector('.md-preview');
+    const statusEl = root.querySelector('.md-status');
+    const fileInput = root.querySelector('input[type="file"]');
+
+    const editor = {
+        /**
+         * 输入框是否仍在页面中（路由切换视图后需重新创建）
+         */
+        get mounted() {
+            return inputEl.isConnected;
+        },
+
+        /**
+         * 按输入框内容刷新预览
+         */
+        refresh() {
+            previewEl.innerHTML = inputEl.value.trim()
+                ? String(renderMarkdown(inputEl.value))
+                : '<p class="md-preview-empty">输入内容后在此预览</p>';
+        },
+
+        /**
+         * 在光标处插入（有选中文字时用before/after包裹），触发input事件
+         */
+        insert(before, after = '', placeholder = '') {
+            const start = inputEl.selectionStart ?? inputEl.value.length;
+            const end = inputEl.selectionEnd ?? start;
+            const selected = inputEl.value.slice(start, end) || placeholder;
+            inputEl.value = inputEl.value.slice(0, start) + before + selected + after + inputEl.value.slice(end);
+            inputEl.focus();
+            inputEl.setSelectionRange(start + before.length, start + before.length + selected.length);
+            inputEl.dispatchEvent(new Event('input', { bubbles: true }));
+        }
+    };
+
+    // 行首插入（标题、引用、列表）：插入到光标所在行的开头
+    function insertAtLineStart(prefix) {
+        const start = inputEl.selectionStart ?? inputEl.value.length;
+        const lineStart = inputEl.value.lastIndexOf('\n', start - 1) + 1;
+        inputEl.setSelectionRange(lineStart, lineStart);
+        editor.insert(prefix);
+    }
+
+    function updatePending() {
+        statusEl.textContent = uploading > 0 ? `图片上传中（${uploading}）...` : '';
+        if (uploading > 0) {
+            inputEl.dataset.pending = '图片上传中，请稍候再提交';
+        } else {
+            delete inputEl.dataset.pending;
+        }
+    }
+
+    async function uploadImages(files) {
+        for (const file of Array.from(files || [])) {
+            if (!/^image\//.test(file.type)) continue;
+            uploading++;
+            updatePending();
+            try {
+                const url = await upload(file);
+                if (url) editor.insert(`\n![${file.name.replace(/\.\w+$/, '').replace(/[[\]]/g, '')}](${url})\n`);
+            } catch (err) {
+                reportError(err, '图片上传失败');
+            } finally {
+                uploading--;
+                updatePending();
+            }
+        }
+    }
+
+    // 输入框移入编辑器，放在工具栏和预览之间
+    const toolbarEl = root.querySelector('.md-toolbar');
+    inputEl.insertAdjacentElement('beforebegin', root);
+    toolbarEl.insertAdjacentElement('afterend', inputEl);
+
+    toolbarEl.addEventListener('click', e => {
+        const btn = e.target.closest('[data-md-command]');
+        const item = btn && MD_TOOLBAR.find(tool => tool.command === btn.dataset.mdCommand);
+        if (!item) return;
+        if (item.command === 'image') {
+            fileInput.click();
+        } else if (item.block) {
+            insertAtLineStart(item.before);
+        } else {
+            editor.insert(item.before, item.after, item.placeholder);
+        }
+    });
+    fileInput.addEventListener('change', () => {
+        uploadImages(fileInput.files);
+        fileInput.value = '';
+    });
+    // 直接把图片拖入或粘贴到输入框时同样上传
+    inputEl.addEventListener('drop', e => {
+        if (!e.dataTransfer || !e.dataTransfer.files || e.dataTransfer.files.length === 0) return;
+        e.preventDefault();
+        uploadImages(e.dataTransfer.files);
+    });
+    inputEl.addEventListener('paste', e => {
+        const files = e.clipboardData && e.clipboardData.files;
+        if (!files || files.length === 0) return;
+        e.preventDefault();
+        uploadImages(files);
+    });
+    // 输入、编辑弹窗回填（change）、恢复草稿时刷新预览
+    inputEl.addEventListener('input', () => editor.refresh());
+    inputEl.addEventListener('change', () => editor.refresh());
+    if (inputEl.form) {
+        // reset事件在表单值重置前触发，等重置完成后再刷新
+        inputEl.form.addEventListener('reset', () => setTimeout(() => editor.refresh(), 0));
+    }
+
+    editor.refresh();
+    return editor;
+}
+
+/**
+ * 为页面中带 data-markdown 属性的输入框挂载Markdown编辑器（每个输入框只挂载一次）
+ * @param {HTMLElement} root - 查找范围，默认整个页面
+ */
+function initMarkdownEditors(root = document) {
+    root.querySelectorAll('textarea[data-markdown]').forEach(textarea => {
+        if (textarea.dataset.markdownBinded) return;
+        textarea.dataset.markdownBinded = 'true';
+        createMarkdownEditor(textarea);
+    });
+}
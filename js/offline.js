@@ -0,0 +1,281 @@
+// ====================== 离线提交队列（PWA） ======================
+/**
+ * 现场网络不好时，打卡和足迹先保存到IndexedDB队列（outbox），联网后按提交顺序重放：
+ * 离线或网络异常时入队；网络恢复（online事件）、页面初始化、Service Worker后台同步时重放
+ * 队列记录属于提交时的登录用户，只在该用户登录时显示和重放
+ * 页面外壳和故事接口的离线缓存由 sw.js 负责
+ */
+const OUTBOX_DB_NAME = 'fish361-offline';
+const OUTBOX_STORE = 'outbox';
+// 后台同步标签（与sw.js一致）
+const OUTBOX_SYNC_TAG = 'outbox-sync';
+// 最近一次登录的用户（离线打开页面时沿用，离线打卡需要登录用户）
+const OFFLINE_USER_KEY = 'offlineUser';
+// Service Worker运行时缓存的名称前缀（与sw.js一致）
+const RUNTIME_CACHE_PREFIX = 'runtime-';
+
+/**
+ * 可离线提交的记录类型：接口名、成功后失效的缓存标签
+ */
+const OUTBOX_TYPES = {
+    checkIn: { endpoint: 'checkInList', invalidates: ['checkIn:list'] },
+    footprint: { endpoint: 'footprintList', invalidates: ['footprint:list'] }
+};
+
+let outboxDbPromise = null;
+
+function openOutboxDb() {
+    if (!outboxDbPromise) {
+        outboxDbPromise = new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('当前浏览器不支持离线保存'));
+                return;
+            }
+            const openRequest = indexedDB.open(OUTBOX_DB_NAME, 1);
+            openRequest.onupgradeneeded = () => {
+                openRequest.result.createObjectStore(OUTBOX_STORE, { keyPath: 'id', autoIncrement: true });
+            };
+            openRequest.onsuccess = () => resolve(openRequest.result);
+            openRequest.onerror = () => reject(openRequest.error);
+        });
+        // 打开失败不缓存，下次重新尝试
+        outboxDbPromise.catch(() => outboxDbPromise = null);
+    }
+    return outboxDbPromise;
+}
+
+/**
+ * 在队列存储上执行一次操作，事务完成后返回操作结果
+ * @param {String} mode - readonly | readwrite
+ * @param {Function} operation - 参数为objectStore，返回IDBRequest
+ */
+async function outboxTransaction(mode, operation) {
+    const db = await openOutboxDb();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(OUTBOX_STORE, mode);
+        const storeRequest = operation(tx.objectStore(OUTBOX_STORE));
+        tx.oncomplete = () => resolve(storeRequest ? storeRequest.result : undefined);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
+
+/**
+ * 当前用户的待同步记录（按提交顺序）
+ * @param {String} type - 记录类型（不传则全部）
+ * @returns {Promise<Array>} [{ id, type, payload, userId, createdAt, error }]，error为同步被拒绝的原因
+ */
+async function getOutboxItems(type) {
+    if (!isLogin || !currentUser) return [];
+    try {
+        const items = await outboxTransaction('readonly', store => store.getAll());
+        return items.filter(item => item.userId === currentUser.id && (!type || item.type === type));
+    } catch (e) {
+        return [];
+    }
+}
+
+async function removeOutboxItem(id) {
+    await outboxTransaction('readwrite', store => store.delete(Number(id)));
+    notifyOutboxChange();
+}
+
+async function markOutboxError(item, message) {
+    await outboxTransaction('readwrite', store => store.put(Object.assign({}, item, { error: message || '同步失败' })));
+}
+
+function isOffline() {
+    return typeof navigator !== 'undefined' && navigator.onLine === false;
+}
+
+/**
+ * 保存到离线队列
+ * @returns {Promise<Object>} { queued: true, outboxId }
+ */
+async function queueSubmission(type, payload) {
+    const outboxId = await outboxTransaction('readwrite', store => store.add({
+        type,
+        payload,
+        userId: currentUser ? currentUser.id : null,
+        createdAt: new Date().toISOString(),
+        error: ''
+    }));
+    requestBackgroundSync();
+    notifyOutboxChange();
+    return { queued: true, outboxId };
+}
+
+/**
+ * 判断提交结果是否为离线保存（页面据此提示“联网后自动同步”）
+ */
+function isQueuedResult(result) {
+    return !!result && result.queued === true;
+}
+
+/**
+ * 提交记录，离线或网络异常时转存到队列（不提示网络错误）；校验失败等其他错误照常抛出
+ * @param {String} type - OUTBOX_TYPES中的记录类型
+ * @param {Object} payload - 接口数据（已按schema转换）
+ * @param {Object} options - 附加的request选项（如批量导入时 silent: true 不逐条提示错误）
+ * @returns {Promise} 接口数据，或离线保存时的 { queued: true, outboxId }
+ */
+async function submitOrQueue(type, payload, options = {}) {
+    const config = OUTBOX_TYPES[type];
+    if (isOffline()) return await queueSubmission(type, payload);
+    try {
+        return await request(apiUrl(config.endpoint), 'POST', payload, Object.assign({
+            invalidates: config.invalidates,
+            silent: error => error instanceof NetworkError
+        }, options));
+    } catch (err) {
+        if (err instanceof NetworkError) return await queueSubmission(type, payload);
+        throw err;
+    }
+}
+
+// 进行中的重放（重复触发时共用）
+let outboxSyncPromise = null;
+
+/**
+ * 重放当前用户的待同步记录（多个标签页同时打开时用Web Locks保证只有一个在重放）
+ * 网络/服务器暂时不可用或登录失效时停止，稍后再试；被后端拒绝（校验失败等）的记录标记失败，由用户放弃
+ * @returns {Promise<Number>} 成功同步的条数
+ */
+function syncOutbox() {
+    if (outboxSyncPromise) return outboxSyncPromise;
+    if (isOffline() || !isLogin) return Promise.resolve(0);
+    const run = () => replayOutbox();
+    const task = typeof navigator !== 'undefined' && navigator.locks && navigator.locks.request
+        ? navigator.locks.request(OUTBOX_SYNC_TAG, run)
+        : run();
+    outboxSyncPromise = task.finally(() => outboxSyncPromise = null);
+    return outboxSyncPromise;
+}
+
+async function replayOutbox() {
+    const items = (await getOutboxItems()).filter(item => !item.error);
+    let synced = 0;
+    let changed = false;
+    for (const item of items) {
+        const config = OUTBOX_TYPES[item.type];
+        if (!config) continue;
+        try {
+            await request(apiUrl(config.endpoint), 'POST', item.payload, {
+                silent: true,
+                reauth: false,
+                invalidates: config.invalidates
+            });
+            await outboxTransaction('readwrite', store => store.delete(item.id));
+            synced++;
+            changed = true;
+        } catch (err) {
+            const retryLater = err instanceof NetworkError || err instanceof TimeoutError || err instanceof AuthError
+                || (err instanceof HttpError && (err.status >= 500 || err.status === 429));
+            if (retryLater) break;
+            await markOutboxError(item, err.message);
+            changed = true;
+        }
+    }
+    if (synced > 0) showAlert(`已同步 ${synced} 条离线记录`, 'success');
+    if (changed) notifyOutboxChange();
+    return synced;
+}
+
+/**
+ * 请求浏览器在联网后触发后台同步（不支持时依赖online事件和下次打开页面）
+ */
+function requestBackgroundSync() {
+    if (typeof navigator === 'undefined' || !navigator.serviceWorker) return;
+    navigator.serviceWorker.ready
+        .then(registration => registration.sync && registration.sync.register(OUTBOX_SYNC_TAG))
+        .catch(() => {
+            // 后台同步不可用，忽略
+        });
+}
+
+// ====================== 队列变化通知 ======================
+const outboxListeners = [];
+
+/**
+ * 监听队列变化（入队、同步、放弃），页面据此刷新待同步行
+ * @param {Function} listener - 无参数
+ * @returns {Function} 取消监听函数
+ */
+function onOutboxChange(listener) {
+    outboxListeners.push(listener);
+    return () => {
+        const index = outboxListeners.indexOf(listener);
+        if (index > -1) outboxListeners.splice(index, 1);
+    };
+}
+
+function notifyOutboxChange() {
+    outboxListeners.forEach(listener => {
+        try {
+            listener();
+        } catch (e) {
+            console.error('离线队列监听异常：', e);
+        }
+    });
+}
+
+// ====================== 离线登录用户 ======================
+/**
+ * 记录最近一次登录的用户（退出登录时清除），只保存离线打卡和权限判断需要的字段
+ */
+function rememberOfflineUser(user) {
+    try {
+        if (user) {
+            localStorage.setItem(OFFLINE_USER_KEY, JSON.stringify({ id: user.id, username: user.username, role: user.role }));
+        } else {
+            localStorage.removeItem(OFFLINE_USER_KEY);
+        }
+    } catch (e) {
+        // 存储不可用，离线时按未登录处理
+    }
+}
+
+function getOfflineUser() {
+    try {
+        return JSON.parse(localStorage.getItem(OFFLINE_USER_KEY) || 'null');
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * 删除Service Worker的运行时缓存（退出登录时调用，缓存的接口数据不留给下一位使用者）
+ */
+async function clearRuntimeCache() {
+    if (typeof caches === 'undefined') return;
+    try {
+        const keys = await caches.keys();
+        await Promise.all(keys.filter(key => key.startsWith(RUNTIME_CACHE_PREFIX)).map(key => caches.delete(key)));
+    } catch (e) {
+        // 缓存不可用（如隐私模式），忽略
+    }
+}
+
+// ====================== Service Worker 注册 ======================
+function registerServiceWorker() {
+    if (typeof navigator === 'undefined' || !navigator.serviceWorker || window.location.protocol === 'file:') return;
+    window.addEventListener('load', () => {
+        navigator.serviceWorker.register('sw.js').catch(err => {
+            console.error('Service Worker注册失败：', err);
+        });
+    });
+    // 后台同步事件由Service Worker转发到页面执行
+    navigator.serviceWorker.addEventListener('message', e => {
+        if (e.data && e.data.type === OUTBOX_SYNC_TAG) syncOutbox();
+    });
+}
+
+window.addEventListener('online', () => {
+    showAlert('网络已恢复，正在同步离线记录', 'success');
+    syncOutbox();
+});
+window.addEventListener('offline', () => {
+    showAlert('网络已断开：打卡和足迹会先保存在本地，联网后自动同步', 'error');
+});
+
+registerServiceWorker();
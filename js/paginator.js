@@ -0,0 +1,169 @@
+// ====================== 通用分页组件 ======================
+/**
+ * 创建分页组件（页码、每页条数选择、总条数，当前页同步到URL参数，刷新/分享链接后保持）
+ * @param {HTMLElement|String} container - 分页容器元素或选择器（如 #storyPagination）
+ * @param {Object} options - 配置项
+ * @param {Function} options.onChange - 页码或每页条数变化时回调，参数为 (pageNum, pageSize)
+ * @param {Number} options.pageSize - 默认每页条数，默认10
+ * @param {Array} options.pageSizes - 可选的每页条数，默认 [10, 20, 50, 100]
+ * @param {String} options.urlKey - URL参数名前缀，默认page（即 ?page=2&pageSize=20），为空则不同步URL
+ * @param {Number} options.maxButtons - 最多显示的页码按钮数，默认7
+ * @returns {Object} 分页实例：{ pageNum, pageSize, total, pages, mounted, render(total), setPage(n), setPageSize(n), reset() }
+ */
+function createPaginator(container, options = {}) {
+    const el = typeof container === 'string' ? document.querySelector(container) : container;
+    const pageSizes = options.pageSizes || [10, 20, 50, 100];
+    const urlKey = options.urlKey === undefined ? 'page' : options.urlKey;
+    const maxButtons = options.maxButtons || 7;
+
+    const paginator = {
+        pageNum: 1,
+        pageSize: options.pageSize || pageSizes[0],
+        total: 0,
+
+        /**
+         * 总页数（至少为1）
+         */
+        get pages() {
+            return Math.max(1, Math.ceil(this.total / this.pageSize));
+        },
+
+        /**
+         * 分页容器是否仍在页面中（路由切换视图后需重新创建）
+         */
+        get mounted() {
+            return !!el && el.isConnected;
+        },
+
+        /**
+         * 跳转到指定页
+         */
+        setPage(pageNum) {
+            const target = Math.min(Math.max(1, parseInt(pageNum) || 1), this.pages);
+            if (target === this.pageNum) return;
+            this.pageNum = target;
+            syncUrl();
+            this.render();
+            notifyChange();
+        },
+
+        /**
+         * 修改每页条数（回到第一页）
+         */
+        setPageSize(pageSize) {
+            this.pageSize = parseInt(pageSize) || this.pageSize;
+            this.pageNum = 1;
+            syncUrl();
+            this.render();
+            notifyChange();
+        },
+
+        /**
+         * 筛选条件变化时回到第一页（不触发onChange，由调用方自行加载）
+         */
+        reset() {
+            this.pageNum = 1;
+            syncUrl();
+        },
+
+        /**
+         * 根据总条数重新渲染；当前页超出范围（如删除最后一页数据）时自动跳到最后一页
+         * @param {Number} total - 总条数（不传则沿用上次）
+         * @returns {Boolean} 是否停留在当前页（false表示已跳页并触发onChange，调用方无需再渲染本页数据）
+         */
+        render(total) {
+            if (total !== undefined) this.total = Math.max(0, parseInt(total) || 0);
+            if (this.total > 0 && this.pageNum > this.pages) {
+                this.setPage(this.pages);
+                return false;
+            }
+            if (el) el.innerHTML = buildHtml();
+            return true;
+        }
+    };
+
+    // 从URL恢复页码和每页条数
+    if (urlKey) {
+        const params = new URLSearchParams(window.location.search);
+        const urlPage = parseInt(params.get(urlKey));
+        const urlSize = parseInt(params.get(`${urlKey}Size`));
+        if (urlPage > 0) paginator.pageNum = urlPage;
+        if (pageSizes.includes(urlSize)) paginator.pageSize = urlSize;
+    }
+
+    function syncUrl() {
+        if (!urlKey) return;
+        const url = new URL(window.location.href);
+        if (paginator.pageNum > 1) {
+            url.searchParams.set(urlKey, paginator.pageNum);
+        } else {
+            url.searchParams.delete(urlKey);
+        }
+        if (paginator.pageSize !== (options.pageSize || pageSizes[0])) {
+            url.searchParams.set(`${urlKey}Size`, paginator.pageSize);
+        } else {
+            url.searchParams.delete(`${urlKey}Size`);
+        }
+        window.history.replaceState(window.history.state, '', url.toString());
+    }
+
+    function notifyChange() {
+        if (typeof options.onChange === 'function') {
+            options.onChange(paginator.pageNum, paginator.pageSize);
+        }
+    }
+
+    /**
+     * 计算要显示的页码（首尾页常驻，中间按当前页滑动，省略处用null表示）
+     */
+    function getPageItems() {
+        const pages = paginator.pages;
+        const current = paginator.pageNum;
+        if (pages <= maxButtons) {
+            return Array.from({ length: pages }, (_, i) => i + 1);
+        }
+        const middleCount = maxButtons - 2;
+        let start = Math.max(2, current - Math.floor(middleCount / 2));
+        let end = Math.min(pages - 1, start + middleCount - 1);
+        start = Math.max(2, end - middleCount + 1);
+
+        const items = [1];
+        if (start > 2) items.push(null);
+        for (let i = start; i <= end; i++) items.push(i);
+        if (end < pages - 1) items.push(null);
+        items.push(pages);
+        return items;
+    }
+
+    function buildHtml() {
+        const current = paginator.pageNum;
+        let html = `<span class="pagination-total">共 ${paginator.total} 条</span>`;
+        html += `<button type="button" data-page="${current - 1}" ${current <= 1 ? 'disabled' : ''}>上一页</button>`;
+        getPageItems().forEach(item => {
+            if (item === null) {
+                html += '<span class="pagination-ellipsis">...</span>';
+            } else {
+                html += `<button type="button" data-page="${item}" class="${item === current ? 'active' : ''}">${item}</button>`;
+            }
+        });
+        html += `<button type="button" data-page="${current + 1}" ${current >= paginator.pages ? 'disabled' : ''}>下一页</button>`;
+        html += `<select class="pagination-size">${pageSizes.map(size =>
+            `<option value="${size}" ${size === paginator.pageSize ? 'selected' : ''}>${size} 条/页</option>`
+        ).join('')}</select>`;
+        return html;
+    }
+
+    // 事件委托：容器内容每次重绘，只需绑定一次
+    if (el && !el.dataset.binded) {
+        el.dataset.binded = 'true';
+        el.addEventListener('click', e => {
+            const btn = e.target.closest('button[data-page]');
+            if (btn && !btn.disabled) paginator.setPage(btn.dataset.page);
+        });
+        el.addEventListener('change', e => {
+            if (e.target.classList.contains('pagination-size')) paginator.setPageSize(e.target.value);
+        });
+    }
+
+    return paginator;
+}
@@ -0,0 +1,157 @@
+// ====================== 前端路由（单页应用） ======================
+/**
+ * 各页面共用同一外壳（导航栏 + 登录状态），站内跳转时只替换 #appView 视图区域和页面专属样式，
+ * 再按 body 的 data-page-type 调用 initPage，不再整页刷新、重复获取登录状态
+ * 每个页面仍是完整的HTML文件：直接打开、刷新、分享链接时按原方式加载（深链接）
+ * 本地文件打开（file://）或视图加载失败时退回整页跳转
+ */
+
+// 可在站内切换的视图页面
+const APP_ROUTES = [
+    'index.html', 'check-in.html', 'story.html', 'collection.html', 'market.html',
+    'user-footprint.html', 'user-favorite.html', 'about-us.html', 'login.html', 'search.html'
+];
+
+// 已加载的视图文档（页面文件名 -> Promise<Document>），来回切换时不重复下载
+const viewCache = new Map();
+// 跳转序号：连续点击时只挂载最后一次跳转的视图
+let routeSeq = 0;
+
+function isRouterEnabled() {
+    return window.location.protocol !== 'file:'
+        && !!document.getElementById('appView')
+        && typeof DOMParser !== 'undefined';
+}
+
+/**
+ * 解析站内视图地址（与当前页面同目录、且在APP_ROUTES中），否则返回null
+ * @param {String} href - 链接地址（可为相对地址）
+ * @returns {Object|null} { url, file }
+ */
+function resolveRoute(href) {
+    let url;
+    try {
+        url = new URL(href, window.location.href);
+    } catch (e) {
+        return null;
+    }
+    if (url.origin !== window.location.origin) return null;
+    const baseDir = window.location.pathname.replace(/[^/]*$/, '');
+    if (!url.pathname.startsWith(baseDir)) return null;
+    const file = url.pathname.slice(baseDir.length) || 'index.html';
+    return APP_ROUTES.includes(file) ? { url, file } : null;
+}
+
+function fetchViewDocument(file) {
+    if (!viewCache.has(file)) {
+        const promise = fetch(file, { credentials: 'same-origin' })
+            .then(res => {
+                if (!res.ok) throw new Error(`视图加载失败：HTTP ${res.status}`);
+                return res.text();
+            })
+            .then(html => new DOMParser().parseFromString(html, 'text/html'));
+        // 加载失败不缓存，下次重新获取
+        promise.catch(() => viewCache.delete(file));
+        viewCache.set(file, promise);
+    }
+    return viewCache.get(file);
+}
+
+/**
+ * 挂载视图：替换 #appView、页面专属样式和标题，再执行该页面的初始化
+ * @param {Object} route - resolveRoute的返回值
+ * @param {String} mode - push（新增历史记录）| replace（替换当前记录）| pop（前进/后退，地址已变化）
+ */
+async function mountView(route, mode) {
+    const seq = ++routeSeq;
+    let doc;
+    try {
+        doc = await fetchViewDocument(route.file);
+    } catch (err) {
+        console.error(err);
+        window.location.href = route.url.href;
+        return;
+    }
+    if (seq !== routeSeq) return;
+
+    const view = doc.getElementById('appView');
+    if (!view) {
+        window.location.href = route.url.href;
+        return;
+    }
+
+    if (mode === 'push') {
+        window.history.pushState({ spa: true }, '', route.url.href);
+    } else if (mode === 'replace') {
+        window.history.replaceState({ spa: true }, '', route.url.href);
+    }
+
+    document.querySelectorAll('style[data-view-style]').forEach(style => style.remove());
+    doc.head.querySelectorAll('style').forEach(style => {
+        const viewStyle = document.importNode(style, true);
+        viewStyle.dataset.viewStyle = 'true';
+        document.head.appendChild(viewStyle);
+    });
+    document.getElementById('appView').replaceWith(document.importNode(view, true));
+    document.title = doc.title;
+    document.body.dataset.pageType = doc.body.dataset.pageType || '';
+    if (mode !== 'pop' && typeof window.scrollTo === 'function') {
+        try {
+            window.scrollTo(0, 0);
+        } catch (e) {
+            // 部分环境不支持滚动，忽略
+        }
+    }
+
+    await initPage(document.body.dataset.pageType);
+}
+
+/**
+ * 站内跳转（代码中替代 window.location.href = xxx）
+ * @param {String} href - 目标地址
+ * @param {Object} options - { replace: 是否替换当前历史记录 }
+ */
+async function navigateTo(href, options = {}) {
+    const route = isRouterEnabled() ? resolveRoute(href) : null;
+    if (!route) {
+        window.location.href = href;
+        return;
+    }
+    await mountView(route, options.replace ? 'replace' : 'push');
+}
+
+/**
+ * 拦截站内链接点击（新窗口打开、下载、带修饰键、页内锚点等交给浏览器处理）
+ */
+function handleRouteClick(e) {
+    if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+    const link = e.target.closest('a[href]');
+    if (!link || (link.target && link.target !== '_self') || link.hasAttribute('download')) return;
+    const route = resolveRoute(link.getAttribute('href'));
+    if (!route) return;
+    const samePage = route.url.pathname === window.location.pathname && route.url.search === window.location.search;
+    if (samePage && route.url.hash) return;
+    e.preventDefault();
+    navigateTo(route.url.href);
+}
+
+function initRouter() {
+    if (!isRouterEnabled()) return;
+    // 首屏页面自带的样式也属于视图样式，切换视图时一并替换
+    document.querySelectorAll('head style').forEach(style => style.dataset.viewStyle = 'true');
+    window.history.replaceState({ spa: true }, '', window.location.href);
+
+    document.addEventListener('click', handleRouteClick);
+    window.addEventListener('popstate', e => {
+        // 页内锚点产生的历史记录没有路由状态，不切换视图
+        if (!e.state || !e.state.spa) return;
+        const route = resolveRoute(window.location.href);
+        if (route) {
+            mountView(route, 'pop');
+        } else {
+            window.location.reload();
+        }
+    });
+}
+
+initRouter();
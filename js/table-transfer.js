@@ -0,0 +1,555 @@
+// ====================== 表格导入导出 ======================
+/**
+ * 列表导出为CSV/Excel，以及从CSV/Excel批量导入：文件在浏览器中解析，每行按表单schema校验（与新增表单相同的规则），
+ * 先显示预检结果（逐行错误），确认后分批提交并显示进度，结束后汇总成功/失败，未导入的行可下载修改后重新导入
+ * CSV在本地生成和解析；Excel（.xlsx/.xls）读写使用SheetJS（js/vendor/xlsx.full.min.js，随页面外壳离线缓存），首次用到时按需加载，
+ * 地址可通过 APP_CONFIG.xlsxUrl 配置，指向第三方地址时用 APP_CONFIG.xlsxIntegrity 填写SRI哈希
+ */
+const TRANSFER_CONFIG = {
+    xlsxUrl: (window.APP_CONFIG && window.APP_CONFIG.xlsxUrl) || 'js/vendor/xlsx.full.min.js',
+    xlsxIntegrity: (window.APP_CONFIG && window.APP_CONFIG.xlsxIntegrity) || '',
+    exportPageSize: 100, // 导出时每次拉取的条数
+    maxExportRows: 5000, // 单次最多导出的条数
+    maxImportRows: 1000, // 单个文件最多导入的行数
+    batchSize: (window.APP_CONFIG && window.APP_CONFIG.importBatchSize) || 5, // 每批同时提交的条数
+    batchInterval: (window.APP_CONFIG && window.APP_CONFIG.importBatchInterval) ?? 1000 // 两批之间的间隔（毫秒）
+};
+
+// 以这些字符开头的文本在Excel中会被当作公式，导出时前面加单引号（纯数字如负数除外），导入时去掉
+const SHEET_FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// ====================== CSV / Excel 读写 ======================
+let xlsxPromise = null;
+
+/**
+ * 按需加载SheetJS（只有导入导出Excel时用到）
+ * @returns {Promise<Object>} window.XLSX
+ */
+function loadXlsx() {
+    if (window.XLSX && window.XLSX.utils) return Promise.resolve(window.XLSX);
+    if (!xlsxPromise) {
+        xlsxPromise = new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = TRANSFER_CONFIG.xlsxUrl;
+            if (TRANSFER_CONFIG.xlsxIntegrity) {
+                script.setAttribute('integrity', TRANSFER_CONFIG.xlsxIntegrity);
+                script.setAttribute('crossorigin', 'anonymous');
+            }
+            script.onload = () => (window.XLSX && window.XLSX.utils ? resolve(window.XLSX) : reject(new Error('Excel组件加载失败')));
+            script.onerror = () => {
+                script.remove();
+                reject(new Error('Excel组件加载失败，请检查网络或改用CSV'));
+            };
+            document.head.appendChild(script);
+        });
+        // 加载失败不缓存，下次重新尝试
+        xlsxPromise.catch(() => xlsxPromise = null);
+    }
+    return xlsxPromise;
+}
+
+/**
+ * 导出的单元格值：数字保持数字（Excel中可计算），文本防止被当作公式
+ */
+function toSheetCell(value) {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'number') return value;
+    const text = String(value);
+    return SHEET_FORMULA_PREFIX.test(text) && !isFinite(Number(text)) ? `'${text}` : text;
+}
+
+/**
+ * 导入的单元格值：统一为去掉首尾空格的文本，Excel日期转为 YYYY-MM-DD（带时间时为 YYYY-MM-DDTHH:mm）
+ */
+function fromSheetCell(value) {
+    if (value instanceof Date) {
+        if (isNaN(value.getTime())) return '';
+        const hasTime = value.getHours() || value.getMinutes() || value.getSeconds();
+        return hasTime ? `${toDayKey(value)}T${pad2(value.getHours())}:${pad2(value.getMinutes())}` : toDayKey(value);
+    }
+    const text = String(value ?? '').trim();
+    return /^'[=+\-@]/.test(text) ? text.slice(1) : text;
+}
+
+/**
+ * 二维数组转CSV文本（含逗号、引号、换行的单元格加引号）
+ */
+function toCsv(rows) {
+    return rows.map(row => row.map(cell => {
+        const text = String(cell ?? '');
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }).join(',')).join('\r\n');
+}
+
+/**
+ * 解析CSV文本为二维数组（支持引号内的逗号、换行和转义引号，兼容Excel导出带的BOM）
+ */
+function parseCsv(text) {
+    const source = String(text || '').replace(/^\uFEFF/, '');
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+        if (quoted) {
+            if (char !== '"') {
+                cell += char;
+            } else if (source[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else {
+                quoted = false;
+            }
+        } else if (char === '"' && cell === '') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\r' || char === '\n') {
+            if (char === '\r' && source[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+    return rows;
+}
+
+/**
+ * 读取CSV/Excel文件（Excel只读第一个工作表）
+ * @param {File} file - 用户选择的文件
+ * @returns {Promise<Array>} 二维数组，第一行为表头
+ */
+async function readSheetFile(file) {
+    if (/\.csv$/i.test(file.name)) return parseCsv(await file.text());
+    if (!/\.xlsx?$/i.test(file.name)) throw new Error('请选择CSV或Excel（.xlsx）文件');
+    const XLSX = await loadXlsx();
+    const workbook = XLSX.read(await file.arrayBuffer(), { cellDates: true });
+    const sheet = workbook.Sheets[workbook.SheetNames[0]];
+    return sheet ? XLSX.utils.sheet_to_json(sheet, { header: 1, raw: true, defval: '' }) : [];
+}
+
+function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * 下载为CSV（带BOM，Excel直接打开不乱码）或Excel文件
+ * @param {Array} rows - 二维数组，第一行为表头
+ * @param {String} fileName - 文件名（不含扩展名）
+ * @param {String} format - csv | xlsx
+ */
+async function downloadSheet(rows, fileName, format = 'csv') {
+    if (format === 'xlsx') {
+        const XLSX = await loadXlsx();
+        const workbook = XLSX.utils.book_new();
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(rows), 'Sheet1');
+        XLSX.writeFile(workbook, `${fileName}.xlsx`);
+        return;
+    }
+    downloadBlob(new Blob(['\uFEFF' + toCsv(rows)], { type: 'text/csv;charset=utf-8' }), `${fileName}.csv`);
+}
+
+// ====================== 分批执行 ======================
+/**
+ * 分批执行异步任务：每批最多batchSize个同时进行，一批全部结束后间隔interval毫秒再开始下一批，
+ * 避免一次发出大量请求；单项失败不影响其他项
+ * @param {Array} items - 待处理的项
+ * @param {Function} worker - 处理函数，参数为 (item, index)，返回Promise
+ * @param {Object} options - 配置项
+ * @param {Number} options.batchSize - 每批数量，默认1
+ * @param {Number} options.interval - 两批之间的间隔（毫秒）
+ * @param {AbortSignal} options.signal - 中止信号：当前批次结束后不再开始下一批
+ * @param {Function} options.onProgress - 每批结束后回调，参数为目前为止的结果
+ * @param {Function} options.shouldStop - 某项失败时是否停止后续批次（如网络断开、登录失效），参数为错误
+ * @returns {Promise<Array>} 已执行项的结果 [{ item, index, ok, value, error }]（停止后未执行的项不在其中）
+ */
+async function runInBatches(items, worker, options = {}) {
+    const batchSize = Math.max(1, options.batchSize || 1);
+    const signal = options.signal || new AbortController().signal;
+    const results = [];
+    for (let start = 0; start < items.length; start += batchSize) {
+        if (start > 0 && options.interval) await waitFor(options.interval, signal);
+        if (signal.aborted) break;
+        const batch = await Promise.all(items.slice(start, start + batchSize).map(async (item, i) => {
+            const index = start + i;
+            try {
+                return { item, index, ok: true, value: await worker(item, index) };
+            } catch (error) {
+                return { item, index, ok: false, error };
+            }
+        }));
+        results.push(...batch);
+        if (typeof options.onProgress === 'function') options.onProgress(results);
+        if (typeof options.shouldStop === 'function' && batch.some(result => !result.ok && options.shouldStop(result.error))) break;
+    }
+    return results;
+}
+
+// ====================== 导入导出组件 ======================
+/**
+ * 表单schema对应的表格列（文件字段除外）：表头为字段名称（label），导入时表头也可以写字段名或接口字段名
+ * @returns {Array} [{ name, title, aliases }]
+ */
+function getSchemaColumns(schema) {
+    return schema.fields
+        .filter(field => field.type !== 'file')
+        .map(field => ({ name: field.name, title: field.label, aliases: [field.name, field.apiField].filter(Boolean) }));
+}
+
+/**
+ * 表头对应的列（忽略大小写和必填标记“*”），无法识别的表头（如ID）对应null
+ */
+function matchSheetColumns(header, columns) {
+    return header.map(title => {
+        const key = fromSheetCell(title).replace(/\s*\*$/, '').toLowerCase();
+        return columns.find(column => [column.title].concat(column.aliases).some(name => name.toLowerCase() === key)) || null;
+    });
+}
+
+/**
+ * 预检导入文件：识别表头，逐行按schema校验（空行跳过）
+ * @returns {Object} { header, columns（每个表头对应的列）, ignored（未识别的表头）, missing（缺少的必填列）, rows: [{ line, cells, values, errors }] }
+ *   line为表格中的行号（表头为第1行），errors为字段错误（同validateValues）
+ */
+function checkImportRows(sheetRows, schema) {
+    const header = (sheetRows[0] || []).map(fromSheetCell);
+    const columns = matchSheetColumns(header, getSchemaColumns(schema));
+    const matched = columns.filter(Boolean).map(column => column.name);
+    const missing = schema.fields.filter(field => field.required && !matched.includes(field.name)).map(field => field.label);
+    const rows = [];
+    sheetRows.slice(1).forEach((cells, i) => {
+        const texts = cells.map(fromSheetCell);
+        if (texts.every(text => text === '')) return;
+        const values = {};
+        columns.forEach((column, index) => {
+            if (column) values[column.name] = texts[index] ?? '';
+        });
+        rows.push({ line: i + 2, cells: texts, values, errors: validateValues(schema, values) });
+    });
+    return {
+        header,
+        columns,
+        ignored: header.filter((title, index) => title && !columns[index]),
+        missing,
+        rows
+    };
+}
+
+/**
+ * 创建表格导入导出工具栏：导出当前筛选条件下的全部数据，批量导入（预检 → 分批提交 → 结果）
+ * 按钮和预检面板都渲染在容器内，事件委托只绑定一次
+ * @param {HTMLElement|String} container - 容器元素或选择器
+ * @param {Object} options - 配置项
+ * @param {String} options.label - 数据名称（用于提示，如“文化故事”）
+ * @param {String} options.fileName - 导出文件名前缀（自动加日期）
+ * @param {Object} options.schema - 表单schema（决定导出的列和导入的校验规则）
+ * @param {Function} options.fetchPage - 分页接口，参数为 (pageNum, pageSize, query, requestOptions)
+ * @param {Function} options.getQuery - 当前的筛选/排序条件（导出与列表一致）
+ * @param {Function} options.submit - 提交一行，参数为按字段名的值，返回Promise
+ * @param {String} options.permission - 导入所需权限（按钮带 data-permission，由applyPermissions控制显示）
+ * @param {Function} options.canImport - 开始导入前再次校验权限，返回false时不提交
+ * @param {Array} options.previewFields - 预检表格中显示的字段名，默认前3列
+ * @param {Function} options.shouldStop - 某行提交失败时是否停止导入，参数为错误
+ * @param {Function} options.onImported - 导入结束（有成功的行）后回调，如刷新列表
+ * @returns {Object} 实例：{ mounted, exportTable(format), importFile(file), stop() }
+ */
+function createTableTransfer(container, options) {
+    const el = typeof container === 'string' ? document.querySelector(container) : container;
+    const schema = options.schema;
+    const label = options.label || '数据';
+    // 当前导入：{ fileName, check, valid, results, running, controller }
+    let current = null;
+
+    el.innerHTML = html`
+        <div class="transfer-bar">
+            <button type="button" data-transfer="export" data-format="csv">导出CSV</button>
+            <button type="button" data-transfer="export" data-format="xlsx">导出Excel</button>
+            <span ${options.permission ? html`data-permission="${options.permission}"` : ''}>
+                <button type="button" data-transfer="import">批量导入</button>
+                <button type="button" data-transfer="template">下载模板</button>
+            </span>
+            <input type="file" accept=".csv,.xlsx,.xls" data-transfer="file" hidden>
+        </div>
+        <div class="transfer-panel" hidden></div>
+    `.toString();
+    const panel = el.querySelector('.transfer-panel');
+    const fileInput = el.querySelector('[data-transfer="file"]');
+
+    const transfer = {
+        /**
+         * 工具栏是否仍在页面中（路由切换视图后需重新创建）
+         */
+        get mounted() {
+            return el.isConnected;
+        },
+
+        /**
+         * 导出当前筛选、排序条件下的全部数据（最多TRANSFER_CONFIG.maxExportRows条）
+         * @param {String} format - csv | xlsx
+         */
+        async exportTable(format = 'csv') {
+            const buttons = el.querySelectorAll('[data-transfer="export"]');
+            buttons.forEach(button => button.disabled = true);
+            try {
+                const { records, total } = await fetchAllRecords();
+                if (records.length === 0) {
+                    showAlert(`没有可导出的${label}`, 'error');
+                    return;
+                }
+                const sheetColumns = getSchemaColumns(schema);
+                const rows = [['ID'].concat(sheetColumns.map(column => column.title))].concat(records.map(item => {
+                    const values = toFormValues(schema, item);
+                    return [item.id ?? ''].concat(sheetColumns.map(column => toSheetCell(values[column.name])));
+                }));
+                await downloadSheet(rows, `${options.fileName || label}-${toDayKey(new Date())}`, format);
+                showAlert(total > records.length
+                    ? `共${total}条，已导出前${records.length}条${label}`
+                    : `已导出${records.length}条${label}`, 'success');
+            } catch (err) {
+                reportError(err, '导出失败');
+            } finally {
+                buttons.forEach(button => button.disabled = false);
+            }
+        },
+
+        /**
+         * 读取并预检导入文件，显示预检结果（确认后才提交）
+         */
+        async importFile(file) {
+            if (!file || (current && current.running)) return;
+            try {
+                const sheetRows = await readSheetFile(file);
+                const check = checkImportRows(sheetRows, schema);
+                if (check.rows.length > TRANSFER_CONFIG.maxImportRows) {
+                    showAlert(`单次最多导入${TRANSFER_CONFIG.maxImportRows}行，请拆分文件`, 'error');
+                    return;
+                }
+                current = {
+                    fileName: file.name,
+                    check,
+                    valid: check.missing.length > 0 ? [] : check.rows.filter(row => Object.keys(row.errors).length === 0),
+                    results: null,
+                    running: false,
+                    controller: null
+                };
+                renderPanel();
+            } catch (err) {
+                reportError(err, '读取文件失败');
+            }
+        },
+
+        /**
+         * 停止导入：正在提交的一批完成后不再继续
+         */
+        stop() {
+            if (current && current.controller) current.controller.abort();
+        }
+    };
+
+    /**
+     * 按当前条件逐页拉取全部数据（不使用缓存）
+     */
+    async function fetchAllRecords() {
+        const query = typeof options.getQuery === 'function' ? options.getQuery() : {};
+        const records = [];
+        let total = 0;
+        for (let pageNum = 1; records.length < TRANSFER_CONFIG.maxExportRows; pageNum++) {
+            const page = normalizePageResult(await options.fetchPage(pageNum, TRANSFER_CONFIG.exportPageSize, query, { cache: false }));
+            total = page.total;
+            records.push(...page.records);
+            // 接口不分页（直接返回数组）或已取完
+            if (page.records.length < TRANSFER_CONFIG.exportPageSize || records.length >= total) break;
+        }
+        return { records: records.slice(0, TRANSFER_CONFIG.maxExportRows), total: Math.max(total, records.length) };
+    }
+
+    async function startImport() {
+        if (!current || current.running || current.valid.length === 0) return;
+        if (typeof options.canImport === 'function' && !options.canImport()) return;
+        current.running = true;
+        current.controller = new AbortController();
+        current.results = [];
+        renderPanel();
+        const importing = current;
+        const results = await runInBatches(importing.valid, row => options.submit(row.values), {
+            batchSize: TRANSFER_CONFIG.batchSize,
+            interval: TRANSFER_CONFIG.batchInterval,
+            signal: importing.controller.signal,
+            shouldStop: options.shouldStop,
+            onProgress: progress => {
+                importing.results = progress.slice();
+                if (current === importing) renderPanel();
+            }
+        });
+        importing.results = results;
+        importing.running = false;
+        importing.controller = null;
+        if (current === importing) renderPanel();
+        const succeeded = results.filter(result => result.ok).length;
+        if (succeeded > 0 && typeof options.onImported === 'function') await options.onImported(succeeded);
+    }
+
+    /**
+     * 未导入的行（预检不通过、提交失败、停止后未提交）及原因，可下载修改后重新导入
+     */
+    function getRejectedRows() {
+        const { check, valid, results } = current;
+        const reasons = new Map();
+        check.rows.forEach(row => {
+            const errors = Object.values(row.errors);
+            if (check.missing.length > 0) reasons.set(row, `缺少必填列：${check.missing.join('、')}`);
+            else if (errors.length > 0) reasons.set(row, errors.join('；'));
+        });
+        const submitted = new Set();
+        (results || []).forEach(result => {
+            submitted.add(result.item);
+            if (!result.ok) reasons.set(result.item, getErrorMessage(result.error));
+        });
+        if (results && !current.running) {
+            valid.filter(row => !submitted.has(row)).forEach(row => reasons.set(row, '未提交（导入已停止）'));
+        }
+        return check.rows.filter(row => reasons.has(row)).map(row => ({ row, reason: reasons.get(row) }));
+    }
+
+    function downloadRejectedRows() {
+        const rejected = getRejectedRows();
+        if (rejected.length === 0) return;
+        const rows = [current.check.header.concat('错误原因')]
+            .concat(rejected.map(({ row, reason }) => current.check.header.map((title, i) => toSheetCell(row.cells[i] ?? '')).concat(reason)));
+        downloadSheet(rows, `${current.fileName.replace(/\.\w+$/, '')}-未导入`, 'csv');
+    }
+
+    function renderPanel() {
+        if (!current) {
+            panel.hidden = true;
+            panel.innerHTML = '';
+            return;
+        }
+        panel.hidden = false;
+        const { check, valid, results, running } = current;
+        const previewFields = options.previewFields || getSchemaColumns(schema).slice(0, 3).map(column => column.name);
+        const previewColumns = getSchemaColumns(schema).filter(column => previewFields.includes(column.name));
+        const invalidCount = check.rows.length - valid.length;
+
+        let body;
+        if (!results) {
+            // 预检结果
+            body = html`
+                <p class="transfer-summary">
+                    共${check.rows.length}行：<span class="is-ok">${valid.length}行可导入</span>${invalidCount > 0 ? html`，<span class="is-error">${invalidCount}行有错误（不会导入）</span>` : ''}
+                </p>
+                ${check.missing.length > 0 ? html`<p class="transfer-notice is-error">缺少必填列：${check.missing.join('、')}（表头需与导出文件或模板一致）</p>` : ''}
+                ${check.ignored.length > 0 ? html`<p class="transfer-notice">以下列不会导入：${check.ignored.join('、')}</p>` : ''}
+                <div class="transfer-preview">
+                    <table class="table">
+                        <thead><tr><th>行号</th>${previewColumns.map(column => html`<th>${column.title}</th>`)}<th>检查结果</th></tr></thead>
+                        <tbody>
+                            ${check.rows.map(row => {
+                                const errors = Object.values(row.errors);
+                                return html`<tr class="${errors.length > 0 ? 'is-invalid-row' : ''}">
+                                    <td>${row.line}</td>
+                                    ${previewColumns.map(column => html`<td>${createExcerpt(row.values[column.name] ?? '', 30)}</td>`)}
+                                    <td>${errors.length > 0 ? html`<span class="is-error">${errors.join('；')}</span>` : html`<span class="is-ok">可导入</span>`}</td>
+                                </tr>`;
+                            })}
+                        </tbody>
+                    </table>
+                </div>
+                <div class="transfer-actions">
+                    <button type="button" class="btn btn-primary" data-transfer="start" ${valid.length === 0 ? 'disabled' : ''}>导入${valid.length}条</button>
+                    <button type="button" class="btn" data-transfer="close">取消</button>
+                </div>
+            `;
+        } else {
+            // 提交进度 / 结果
+            const succeeded = results.filter(result => result.ok).length;
+            const failed = results.length - succeeded;
+            const rejected = running ? [] : getRejectedRows();
+            body = html`
+                <progress max="${valid.length}" value="${results.length}"></progress>
+                <p class="transfer-summary">
+                    ${running ? '正在导入' : (results.length < valid.length ? '导入已停止' : '导入完成')}：已提交${results.length} / ${valid.length}条，
+                    <span class="is-ok">成功${succeeded}条</span>${failed > 0 ? html`，<span class="is-error">失败${failed}条</span>` : ''}${!running && invalidCount > 0 ? html`，预检未通过${invalidCount}条` : ''}
+                </p>
+                ${rejected.length > 0 ? html`
+                    <div class="transfer-preview">
+                        <table class="table">
+                            <thead><tr><th>行号</th><th>未导入原因</th></tr></thead>
+                            <tbody>${rejected.map(({ row, reason }) => html`<tr><td>${row.line}</td><td class="is-error">${reason}</td></tr>`)}</tbody>
+                        </table>
+                    </div>
+                ` : ''}
+                <div class="transfer-actions">
+                    ${running
+                        ? html`<button type="button" class="btn" data-transfer="stop">停止</button>`
+                        : html`
+                            ${rejected.length > 0 ? html`<button type="button" class="btn" data-transfer="rejected">下载未导入的行</button>` : ''}
+                            <button type="button" class="btn" data-transfer="close">关闭</button>
+                        `}
+                </div>
+            `;
+        }
+        panel.innerHTML = html`<h3>批量导入${label}：${current.fileName}</h3>${body}`.toString();
+    }
+
+    // 事件委托：面板内容每次重绘，只需绑定一次
+    if (!el.dataset.binded) {
+        el.dataset.binded = 'true';
+        el.addEventListener('click', e => {
+            const button = e.target.closest('button[data-transfer]');
+            if (!button || button.disabled) return;
+            switch (button.dataset.transfer) {
+                case 'export':
+                    transfer.exportTable(button.dataset.format);
+                    break;
+                case 'import':
+                    if (current && current.running) {
+                        showAlert('正在导入，请等待完成或先停止', 'error');
+                        return;
+                    }
+                    fileInput.click();
+                    break;
+                case 'template':
+                    downloadSheet([getSchemaColumns(schema).map(column => column.title)], `${options.fileName || label}-导入模板`, 'csv');
+                    break;
+                case 'start':
+                    startImport();
+                    break;
+                case 'stop':
+                    transfer.stop();
+                    break;
+                case 'rejected':
+                    downloadRejectedRows();
+                    break;
+                case 'close':
+                    current = null;
+                    renderPanel();
+                    break;
+            }
+        });
+        fileInput.addEventListener('change', () => {
+            const file = fileInput.files[0];
+            // 清空选择，同一文件修改后可再次选择
+            fileInput.value = '';
+            transfer.importFile(file);
+        });
+    }
+
+    return transfer;
+}
@@ -0,0 +1,287 @@
+// ====================== 图片上传组件 ======================
+/**
+ * 为图片地址输入框挂载上传组件：点击选择或拖拽图片，前端压缩后上传，显示预览、进度，可取消
+ * 上传成功后把返回的地址写回输入框（多图时逗号分隔），表单的取值和校验方式不变；单图时仍可直接粘贴URL
+ * 上传过程中输入框带 data-pending 属性，bindSchemaForm据此阻止提交
+ * @param {HTMLInputElement|String} input - 图片地址输入框或选择器
+ * @param {Object} options - 配置项
+ * @param {Boolean} options.multiple - 是否多图（输入框隐藏，只通过组件管理），默认false
+ * @param {Number} options.maxFiles - 多图时最多张数，默认9
+ * @param {Number} options.maxSize - 单个文件大小上限（字节，压缩前），默认10MB
+ * @param {Number} options.maxWidth - 压缩后最大宽度，默认1600
+ * @param {Number} options.maxHeight - 压缩后最大高度，默认1600
+ * @param {Number} options.quality - 压缩质量（0~1），默认0.85
+ * @param {Function} options.upload - 上传函数，参数为 (file, { onUploadProgress, signal })，返回文件地址，默认uploadFile
+ * @returns {Object} 上传实例：{ items, uploading, mounted, addFiles(files), cancel(id), remove(id), sync() }
+ */
+function createUploader(input, options = {}) {
+    const inputEl = typeof input === 'string' ? document.querySelector(input) : input;
+    const multiple = !!options.multiple;
+    const maxFiles = multiple ? (options.maxFiles || 9) : 1;
+    const maxSize = options.maxSize || 10 * 1024 * 1024;
+    const upload = options.upload || uploadFile;
+    let seq = 0;
+
+    const root = document.createElement('div');
+    root.className = 'uploader' + (multiple ? ' uploader-multiple' : '');
+    root.innerHTML = `
+        <div class="uploader-list"></div>
+        <div class="uploader-drop" tabindex="0" role="button">
+            <span>点击选择或拖拽图片到此处${multiple ? `（最多${maxFiles}张）` : ''}</span>
+        </div>
+        <input type="file" accept="image/*" ${multiple ? 'multiple' : ''} hidden>
+    `;
+    const listEl = root.querySelector('.uploader-list');
+    const dropEl = root.querySelector('.uploader-drop');
+    const fileInput = root.querySelector('input[type="file"]');
+
+    const uploader = {
+        // 当前图片：{ id, url, preview, status: uploading | done | error, progress, error, controller }
+        items: [],
+
+        /**
+         * 是否有图片正在上传
+         */
+        get uploading() {
+            return this.items.some(item => item.status === 'uploading');
+        },
+
+        /**
+         * 输入框是否仍在页面中（路由切换视图后需重新创建）
+         */
+        get mounted() {
+            return inputEl.isConnected;
+        },
+
+        /**
+         * 添加并上传图片（单图时替换当前图片）
+         * @param {FileList|Array} files - 选择或拖入的文件
+         */
+        addFiles(files) {
+            let list = Array.from(files || []).filter(file => /^image\//.test(file.type));
+            if (list.length === 0) {
+                showAlert('请选择图片文件', 'error');
+                return;
+            }
+            const tooLarge = list.filter(file => file.size > maxSize);
+            if (tooLarge.length > 0) {
+                showAlert(`图片不能超过${Math.round(maxSize / 1024 / 1024)}MB：${tooLarge.map(file => file.name).join('、')}`, 'error');
+                list = list.filter(file => file.size <= maxSize);
+            }
+            if (!multiple) {
+                this.items.slice().forEach(item => this.remove(item.id));
+                list = list.slice(0, 1);
+            } else if (this.items.length + list.length > maxFiles) {
+                showAlert(`最多上传${maxFiles}张图片`, 'error');
+                list = list.slice(0, Math.max(0, maxFiles - this.items.length));
+            }
+            list.forEach(file => startUpload(file));
+        },
+
+        /**
+         * 取消上传中的图片（已上传的直接移除）
+         */
+        cancel(id) {
+            const item = findItem(id);
+            if (item && item.controller) item.controller.abort();
+            this.remove(id);
+        },
+
+        /**
+         * 移除图片
+         */
+        remove(id) {
+            const item = findItem(id);
+            if (!item) return;
+            if (item.status === 'uploading' && item.controller) item.controller.abort();
+            revokePreview(item);
+            this.items = this.items.filter(entry => entry !== item);
+            writeValue();
+            render();
+        },
+
+        /**
+         * 按输入框的值重建图片列表（编辑弹窗回填、表单重置、手动粘贴地址后调用）
+         */
+        sync() {
+            const urls = multiple ? parseUrlList(inputEl.value) : [inputEl.value.trim()].filter(Boolean);
+            const current = this.items.filter(item => item.status === 'done').map(item => item.url);
+            if (!this.uploading && urls.join(',') === current.join(',')) return;
+            this.items.forEach(item => {
+                if (item.controller) item.controller.abort();
+                revokePreview(item);
+            });
+            this.items = urls.map(url => ({ id: ++seq, url, preview: safeImageUrl(url), status: 'done', progress: 100 }));
+            updatePending();
+            render();
+        }
+    };
+
+    function findItem(id) {
+        return uploader.items.find(item => item.id === Number(id));
+    }
+
+    function revokePreview(item) {
+        if (item.objectUrl && typeof URL.revokeObjectURL === 'function') URL.revokeObjectURL(item.objectUrl);
+        item.objectUrl = null;
+    }
+
+    async function startUpload(file) {
+        const item = { id: ++seq, url: '', status: 'uploading', progress: 0, controller: new AbortController() };
+        if (typeof URL.createObjectURL === 'function') {
+            item.objectUrl = URL.createObjectURL(file);
+            item.preview = item.objectUrl;
+        }
+        uploader.items.push(item);
+        updatePending();
+        render();
+        try {
+            const compressed = await compressImage(file, options);
+            if (item.controller.signal.aborted) return;
+            const url = await upload(compressed, {
+                signal: item.controller.signal,
+                onUploadProgress: (loaded, total) => {
+                    item.progress = total > 0 ? Math.round(loaded / total * 100) : 0;
+                    updateProgress(item);
+                }
+            });
+            if (!url) throw new Error('上传失败');
+            item.url = url;
+            item.status = 'done';
+            item.progress = 100;
+            writeValue();
+        } catch (err) {
+            // 用户取消的上传已从列表移除
+            if (err instanceof CanceledError || item.controller.signal.aborted) return;
+            item.status = 'error';
+            item.error = err.message || '上传失败';
+        } finally {
+            item.controller = null;
+            updatePending();
+            if (uploader.items.includes(item)) render();
+        }
+    }
+
+    /**
+     * 已上传的地址写回输入框（触发input事件，清除该字段的校验错误）
+     */
+    function writeValue() {
+        const urls = uploader.items.filter(item => item.status === 'done').map(item => item.url);
+        inputEl.value = multiple ? urls.join(',') : (urls[0] || '');
+        inputEl.dispatchEvent(new Event('input', { bubbles: true }));
+    }
+
+    function updatePending() {
+        if (uploader.uploading) {
+            inputEl.dataset.pending = '图片上传中，请稍候再提交';
+        } else {
+            delete inputEl.dataset.pending;
+        }
+    }
+
+    function updateProgress(item) {
+        const bar = listEl.querySelector(`.uploader-item[data-id="${item.id}"] .uploader-progress span`);
+        if (bar) bar.style.width = `${item.progress}%`;
+    }
+
+    function render() {
+        listEl.innerHTML = html`${uploader.items.map(item => html`
+            <div class="uploader-item is-${item.status}" data-id="${item.id}">
+                ${item.preview ? html`<img src="${item.preview}" alt="预览">` : html`<div class="uploader-placeholder">图片</div>`}
+                ${item.status === 'uploading' ? html`<div class="uploader-progress"><span style="width:${item.progress}%"></span></div>` : ''}
+                ${item.status === 'error' ? html`<p class="uploader-error" title="${item.error}">${item.error}</p>` : ''}
+                <button type="button" class="uploader-remove" data-uploader-remove="${item.id}" title="${item.status === 'uploading' ? '取消上传' : '移除'}">×</button>
+            </div>
+        `)}`;
+        dropEl.hidden = multiple && uploader.items.length >= maxFiles;
+    }
+
+    // 多图时地址只由组件维护；单图保留输入框，可直接粘贴URL
+    if (multiple) inputEl.hidden = true;
+    inputEl.insertAdjacentElement('afterend', root);
+
+    dropEl.addEventListener('click', () => fileInput.click());
+    dropEl.addEventListener('keydown', e => {
+        if (e.key === 'Enter' || e.key === ' ') {
+            e.preventDefault();
+            fileInput.click();
+        }
+    });
+    fileInput.addEventListener('change', () => {
+        uploader.addFiles(fileInput.files);
+        fileInput.value = '';
+    });
+    ['dragenter', 'dragover'].forEach(type => dropEl.addEventListener(type, e => {
+        e.preventDefault();
+        dropEl.classList.add('is-dragover');
+    }));
+    ['dragleave', 'drop'].forEach(type => dropEl.addEventListener(type, e => {
+        e.preventDefault();
+        dropEl.classList.remove('is-dragover');
+    }));
+    dropEl.addEventListener('drop', e => uploader.addFiles(e.dataTransfer && e.dataTransfer.files));
+    listEl.addEventListener('click', e => {
+        const btn = e.target.closest('[data-uploader-remove]');
+        if (btn) uploader.cancel(btn.dataset.uploaderRemove);
+    });
+    // 手动粘贴/修改地址、编辑弹窗回填时同步预览
+    inputEl.addEventListener('change', () => uploader.sync());
+    if (inputEl.form) {
+        // reset事件在表单值重置前触发，等重置完成后再同步
+        inputEl.form.addEventListener('reset', () => setTimeout(() => uploader.sync(), 0));
+    }
+
+    uploader.sync();
+    return uploader;
+}
+
+/**
+ * 前端压缩图片：按最大宽高等比缩小并重新编码（GIF、SVG和不支持的环境原样返回；压缩后更大时也用原图）
+ * @param {File} file - 原图
+ * @param {Object} options - { maxWidth, maxHeight, quality }
+ * @returns {Promise<File>} 压缩后的文件
+ */
+async function compressImage(file, options = {}) {
+    const maxWidth = options.maxWidth || 1600;
+    const maxHeight = options.maxHeight || 1600;
+    const quality = options.quality || 0.85;
+    if (!/^image\/(jpeg|png|webp)$/.test(file.type) || typeof createImageBitmap !== 'function') return file;
+
+    let bitmap;
+    try {
+        bitmap = await createImageBitmap(file);
+    } catch (e) {
+        return file;
+    }
+    const scale = Math.min(1, maxWidth / bitmap.width, maxHeight / bitmap.height);
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(bitmap.width * scale);
+    canvas.height = Math.round(bitmap.height * scale);
+    const ctx = canvas.getContext('2d');
+    if (!ctx) return file;
+    ctx.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    if (bitmap.close) bitmap.close();
+
+    // PNG保留透明通道，其余统一转JPEG
+    const type = file.type === 'image/png' ? 'image/png' : 'image/jpeg';
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, type, quality));
+    if (!blob || (scale === 1 && blob.size >= file.size)) return file;
+    const name = type === 'image/jpeg' ? file.name.replace(/\.\w+$/, '') + '.jpg' : file.name;
+    return new File([blob], name, { type, lastModified: Date.now() });
+}
+
+/**
+ * 为页面中带 data-uploader 属性的输入框挂载上传组件（每个输入框只挂载一次）
+ * data-uploader="multiple" 表示多图，data-max-files 指定最多张数
+ * @param {HTMLElement} root - 查找范围，默认整个页面
+ */
+function initUploaders(root = document) {
+    root.querySelectorAll('input[data-uploader]').forEach(input => {
+        if (input.dataset.uploaderBinded) return;
+        input.dataset.uploaderBinded = 'true';
+        createUploader(input, {
+            multiple: input.dataset.uploader === 'multiple',
+            maxFiles: parseInt(input.dataset.maxFiles) || undefined
+        });
+    });
+}
@@ -0,0 +1,98 @@
+// ====================== Service Worker：离线访问与后台同步 ======================
+/**
+ * 页面外壳（HTML/CSS/JS）和文化故事接口按“网络优先、失败用缓存”处理：
+ * 在线时总是最新内容，离线时可浏览之前打开过的页面和故事
+ * 只缓存站内静态资源和 OFFLINE_API_PATTERNS 中的公开接口，当前用户、订单、足迹、收藏等接口不落盘；
+ * 退出登录时页面删除运行时缓存（js/offline.js 的 clearRuntimeCache）
+ * 离线打卡/足迹的提交队列保存在页面的IndexedDB中（js/offline.js），
+ * 联网后浏览器触发后台同步事件时通知页面重放队列
+ * 修改外壳文件列表或缓存策略后需升级CACHE_VERSION，旧缓存在激活时清理
+ */
+const CACHE_VERSION = 'v10';
+const SHELL_CACHE = `shell-${CACHE_VERSION}`;
+const RUNTIME_CACHE = `runtime-${CACHE_VERSION}`;
+
+// 安装时预缓存的页面外壳
+const SHELL_FILES = [
+    './',
+    'index.html', 'check-in.html', 'story.html', 'collection.html', 'market.html',
+    'user-footprint.html', 'user-favorite.html', 'about-us.html', 'login.html', 'search.html',
+    'css/style.css',
+    'js/paginator.js', 'js/data-table.js', 'js/form-schema.js', 'js/uploader.js', 'js/geo.js',
+    'js/footprint-stats.js', 'js/calendar.js', 'js/markdown.js', 'js/table-transfer.js',
+    'js/offline.js', 'js/api.js', 'js/router.js', 'js/vendor/xlsx.full.min.js',
+    'manifest.webmanifest', 'images/icon-192.png', 'images/icon-512.png'
+];
+
+// 离线可浏览的接口（GET），按路径匹配，接口基础地址可配置所以不比较域名
+// 个性化推荐（/culture-story/personal）属于当前用户的数据，不缓存
+const OFFLINE_API_PATTERNS = [/\/culture-story(?!\/personal(\/|$))(\/|$)/];
+
+// 站内可缓存的静态资源（接口基础地址为相对路径时，其他同域请求都是用户数据，不缓存）
+const STATIC_ASSET_PATTERN = /\.(js|css|png|jpe?g|gif|webp|svg|ico|woff2?|webmanifest)$/i;
+
+// 后台同步标签（与js/offline.js一致）
+const OUTBOX_SYNC_TAG = 'outbox-sync';
+
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', event => {
+    const current = [SHELL_CACHE, RUNTIME_CACHE];
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => !current.includes(key)).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+/**
+ * 网络优先：成功时更新缓存，失败时返回缓存（页面忽略查询参数匹配，如 story.html?id=3 回退到 story.html）
+ */
+async function networkFirst(request, cacheName, fallbackIgnoreSearch) {
+    const cache = await caches.open(cacheName);
+    try {
+        const response = await fetch(request);
+        if (response.ok && response.type !== 'opaque') {
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (err) {
+        const cached = await cache.match(request)
+            || await caches.match(request)
+            || (fallbackIgnoreSearch ? await caches.match(request, { ignoreSearch: true }) : null);
+        if (cached) return cached;
+        throw err;
+    }
+}
+
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+    const url = new URL(request.url);
+
+    const sameOrigin = url.origin === self.location.origin;
+    if (sameOrigin && (request.mode === 'navigate' || url.pathname.endsWith('.html'))) {
+        event.respondWith(networkFirst(request, SHELL_CACHE, true));
+        return;
+    }
+    if ((sameOrigin && STATIC_ASSET_PATTERN.test(url.pathname))
+        || OFFLINE_API_PATTERNS.some(pattern => pattern.test(url.pathname))) {
+        event.respondWith(networkFirst(request, RUNTIME_CACHE, false));
+    }
+});
+
+// 联网后通知打开的页面重放离线队列（没有打开的页面时，下次打开页面会自动重放）
+self.addEventListener('sync', event => {
+    if (event.tag !== OUTBOX_SYNC_TAG) return;
+    event.waitUntil(
+        self.clients.matchAll({ type: 'window' }).then(clients => {
+            clients.forEach(client => client.postMessage({ type: OUTBOX_SYNC_TAG }));
+        })
+    );
+});